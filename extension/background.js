@@ -6,23 +6,36 @@
  * State: Persists to chrome.storage to survive service worker restarts
  */
 
+import {
+  createFollowCache,
+  restoreFollowCache,
+  recordFollowResult,
+  getPendingFollowChecks,
+  getFollowStats,
+  mergeFollowCaches
+} from './lib/follows.js';
+import { expireClaims, getNextClaimDeadline, needsReplacement } from './lib/claims.js';
+
+// Follow checks sent to the content script per message
+const VERIFY_BATCH_SIZE = 50;
+
+// Alarm that fires at the next winner claim deadline
+const CLAIM_ALARM = 'claimDeadlines';
+
 // Global state - will be restored from storage
 let giveawayData = {
   tweetId: null,
   tweetUrl: null,
   retweeters: [],
   likers: [],
+  repliers: [], // users with a `replies` array of { tweetId, text, createdAt }
+  quoters: [], // users with a `quotes` array of { tweetId, text, createdAt }
   followers: {}, // accountUsername -> user[]
-  requirements: {
-    mustRetweet: true,
-    mustLike: true,
-    mustFollow: [] // array of account usernames
-  },
-  eligible: [],
-  winners: [],
   collectionStatus: {
     retweeters: 'idle',
     likers: 'idle',
+    repliers: 'idle',
+    quoters: 'idle',
     followers: {} // accountUsername -> status
   }
 };
@@ -30,14 +43,27 @@ let giveawayData = {
 // Collection queue managed by background script
 let collectionQueue = [];
 
+// Pre-verification of follows for the whole eligible pool (a 'verify' queue item)
+// { tweetId, usernames, accounts, status: 'running' | 'paused' | 'complete', error }
+let verifyJob = null;
+let followCache = createFollowCache(null);
+
 // Restore state from storage on service worker start
-chrome.storage.local.get(['giveawayData', 'collectionQueue'], (result) => {
+chrome.storage.local.get(['giveawayData', 'collectionQueue', 'verifyJob', 'followCache'], (result) => {
   if (result.giveawayData) {
     giveawayData = result.giveawayData;
   }
   if (result.collectionQueue) {
     collectionQueue = result.collectionQueue;
   }
+  if (result.verifyJob) {
+    verifyJob = result.verifyJob;
+    // The worker was stopped mid-run; the user can resume from the popup
+    if (verifyJob.status === 'running') verifyJob.status = 'paused';
+  }
+  if (result.followCache) {
+    followCache = restoreFollowCache(result.followCache, result.followCache.tweetId);
+  }
 });
 
 // Save state to storage (debounced)
@@ -74,6 +100,24 @@ async function processNextInQueue() {
   const next = collectionQueue.shift();
   saveQueue();
 
+  if (next.type === 'verify') {
+    verifyJob = {
+      tweetId: next.tweetId,
+      usernames: next.usernames,
+      accounts: next.accounts,
+      status: 'running',
+      error: null
+    };
+    const finished = await runVerifyJob().catch(e => {
+      console.error('[Background] Verify job failed:', e.message);
+      return false;
+    });
+    if (finished) {
+      processNextInQueue();
+    }
+    return;
+  }
+
   try {
     // Find the Twitter tab
     const tabs = await chrome.tabs.query({ url: ['*://twitter.com/*', '*://x.com/*'] });
@@ -88,7 +132,8 @@ async function processNextInQueue() {
       type: 'START_COLLECT',
       collectType: next.type,
       tweetId: next.tweetId,
-      accountUsername: next.account
+      accountUsername: next.account,
+      resume: next.resume === true
     });
   } catch (e) {
     // Try again with next item
@@ -96,6 +141,147 @@ async function processNextInQueue() {
   }
 }
 
+// Verify every (user, account) pair of the current verify job that isn't in the follow cache yet
+// Returns true when the job finished, false when it was paused or couldn't run
+async function runVerifyJob() {
+  const job = verifyJob;
+  if (!job || job.status !== 'running') return false;
+
+  try {
+    if (followCache.tweetId !== job.tweetId) {
+      const stored = await chrome.storage.local.get(['followCache']);
+      followCache = restoreFollowCache(stored.followCache, job.tweetId);
+    }
+    saveVerifyJob();
+
+    const tabs = await chrome.tabs.query({ url: ['*://twitter.com/*', '*://x.com/*'] });
+    if (tabs.length === 0) {
+      job.status = 'paused';
+      job.error = 'Open a Twitter/X tab to verify follows';
+      saveVerifyJob();
+      broadcastVerifyProgress();
+      return false;
+    }
+
+    // Pairs that fail are tried once per run, then left for the next resume
+    const pending = getPendingFollowChecks(followCache, job.usernames, job.accounts);
+
+    for (let i = 0; i < pending.length; i += VERIFY_BATCH_SIZE) {
+      if (verifyJob !== job || job.status !== 'running') return false;
+
+      const batch = pending.slice(i, i + VERIFY_BATCH_SIZE);
+      let response;
+      try {
+        response = await chrome.tabs.sendMessage(tabs[0].id, { type: 'CHECK_FOLLOWS_BULK', pairs: batch });
+      } catch (e) {
+        response = { success: false, error: e.message };
+      }
+
+      if (response?.success && Array.isArray(response.results)) {
+        for (const result of response.results) {
+          recordFollowResult(followCache, result.username, result.account, result);
+        }
+      } else {
+        for (const pair of batch) {
+          recordFollowResult(followCache, pair.username, pair.account, { error: response?.error || 'No response from content script' });
+        }
+      }
+
+      await saveFollowCache();
+      broadcastVerifyProgress();
+    }
+
+    if (verifyJob !== job || job.status !== 'running') return false;
+    job.status = 'complete';
+    saveVerifyJob();
+    broadcastVerifyProgress();
+    return true;
+  } catch (e) {
+    // A storage or tab failure pauses the job with the error, so it can be resumed instead of staying 'running'
+    console.error('[Background] Verify job failed:', e.message);
+    if (verifyJob === job) {
+      job.status = 'paused';
+      job.error = e.message;
+      saveVerifyJob();
+      broadcastVerifyProgress();
+    }
+    return false;
+  }
+}
+
+// Merge with the stored cache so checks made by the popup at pick time aren't lost
+async function saveFollowCache() {
+  try {
+    const stored = await chrome.storage.local.get(['followCache']);
+    followCache = mergeFollowCaches(stored.followCache, followCache);
+    await chrome.storage.local.set({ followCache });
+  } catch (e) {
+    console.error('[Background] Follow cache save failed:', e.message);
+  }
+}
+
+function saveVerifyJob() {
+  chrome.storage.local.set({ verifyJob }).catch(() => {});
+}
+
+function getVerifyStatus() {
+  if (!verifyJob) return { status: 'idle' };
+  return {
+    status: verifyJob.status,
+    error: verifyJob.error,
+    tweetId: verifyJob.tweetId,
+    users: verifyJob.usernames.length,
+    accounts: verifyJob.accounts,
+    ...getFollowStats(followCache, verifyJob.usernames, verifyJob.accounts)
+  };
+}
+
+function broadcastVerifyProgress() {
+  chrome.runtime.sendMessage({ type: 'VERIFY_PROGRESS', ...getVerifyStatus() }).catch(() => {});
+}
+
+// Winner claims live in the popup's giveawayState; the alarm runs even while the popup is closed
+async function scheduleClaimCheck() {
+  const { giveawayState } = await chrome.storage.local.get(['giveawayState']);
+  const winners = Array.isArray(giveawayState?.winners) ? giveawayState.winners : [];
+  const deadline = getNextClaimDeadline(winners);
+
+  if (deadline === null) {
+    await chrome.alarms.clear(CLAIM_ALARM);
+  } else {
+    // Deadlines already past fire right away (alarms can't be scheduled in the past)
+    await chrome.alarms.create(CLAIM_ALARM, { when: Math.max(deadline, Date.now() + 1000) });
+  }
+  updateClaimBadge(winners);
+}
+
+// Expire overdue claims, flag them on the toolbar icon and tell an open popup
+async function checkClaimDeadlines() {
+  const { giveawayState } = await chrome.storage.local.get(['giveawayState']);
+  if (!Array.isArray(giveawayState?.winners)) return;
+
+  const { winners, expired } = expireClaims(giveawayState.winners);
+  if (expired.length > 0) {
+    await chrome.storage.local.set({ giveawayState: { ...giveawayState, winners } });
+    chrome.runtime.sendMessage({ type: 'CLAIMS_EXPIRED', usernames: expired }).catch(() => {});
+  }
+  await scheduleClaimCheck();
+}
+
+function updateClaimBadge(winners) {
+  const count = winners.filter(needsReplacement).length;
+  chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' }).catch(() => {});
+  if (count > 0) {
+    chrome.action.setBadgeBackgroundColor({ color: '#dc2626' }).catch(() => {});
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CLAIM_ALARM) {
+    checkClaimDeadlines().catch(e => console.error('[Background] Claim check failed:', e.message));
+  }
+});
+
 // Input validation helpers
 function isValidString(val) {
   return typeof val === 'string' && val.length < 1000;
@@ -126,8 +312,12 @@ function isValidUserArray(val) {
   return val.every(u => u && typeof u === 'object' && isValidUsername(u.username));
 }
 
-function isValidNumber(val) {
-  return typeof val === 'number' && Number.isFinite(val) && val >= 0;
+function isValidVerifyItem(item) {
+  return item.type === 'verify' &&
+    isValidTweetId(item.tweetId) &&
+    Array.isArray(item.usernames) && item.usernames.length <= 50000 && item.usernames.every(isValidUsername) &&
+    Array.isArray(item.accounts) && item.accounts.length > 0 && item.accounts.length <= 10 &&
+    item.accounts.every(isValidUsername);
 }
 
 // Listen for messages
@@ -159,23 +349,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
-      case 'SET_REQUIREMENTS':
-        if (!message.requirements || typeof message.requirements !== 'object') {
-          sendResponse({ success: false, error: 'Invalid requirements' });
-          break;
-        }
-        const req = message.requirements;
-        giveawayData.requirements = {
-          mustRetweet: Boolean(req.mustRetweet),
-          mustLike: Boolean(req.mustLike),
-          mustFollow: Array.isArray(req.mustFollow)
-            ? req.mustFollow.filter(isValidUsername).map(u => u.toLowerCase())
-            : []
-        };
-        saveToStorage();
-        sendResponse({ success: true });
-        break;
-
       case 'UPDATE_RETWEETERS':
         if (!isValidUserArray(message.users)) {
           sendResponse({ success: false, error: 'Invalid users array' });
@@ -198,6 +371,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'UPDATE_REPLIERS':
+        if (!isValidUserArray(message.users)) {
+          sendResponse({ success: false, error: 'Invalid users array' });
+          break;
+        }
+        giveawayData.repliers = message.users;
+        giveawayData.collectionStatus.repliers = 'complete';
+        saveToStorage();
+        sendResponse({ success: true });
+        break;
+
+      case 'UPDATE_QUOTERS':
+        if (!isValidUserArray(message.users)) {
+          sendResponse({ success: false, error: 'Invalid users array' });
+          break;
+        }
+        giveawayData.quoters = message.users;
+        giveawayData.collectionStatus.quoters = 'complete';
+        saveToStorage();
+        sendResponse({ success: true });
+        break;
+
       case 'UPDATE_FOLLOWERS':
         if (!isValidUsername(message.account)) {
           sendResponse({ success: false, error: 'Invalid account' });
@@ -219,6 +414,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           giveawayData.collectionStatus.retweeters = 'collecting';
         } else if (message.collectType === 'likers') {
           giveawayData.collectionStatus.likers = 'collecting';
+        } else if (message.collectType === 'repliers') {
+          giveawayData.collectionStatus.repliers = 'collecting';
+        } else if (message.collectType === 'quoters') {
+          giveawayData.collectionStatus.quoters = 'collecting';
         } else if (message.collectType === 'followers' && isValidUsername(message.account)) {
           giveawayData.collectionStatus.followers[message.account.toLowerCase()] = 'collecting';
         }
@@ -231,6 +430,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           giveawayData.collectionStatus.retweeters = 'complete';
         } else if (message.collectType === 'likers') {
           giveawayData.collectionStatus.likers = 'complete';
+        } else if (message.collectType === 'repliers') {
+          giveawayData.collectionStatus.repliers = 'complete';
+        } else if (message.collectType === 'quoters') {
+          giveawayData.collectionStatus.quoters = 'complete';
         } else if (message.collectType === 'followers' && isValidUsername(message.account)) {
           giveawayData.collectionStatus.followers[message.account.toLowerCase()] = 'complete';
         }
@@ -246,17 +449,56 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (Array.isArray(message.queue)) {
           collectionQueue = message.queue.filter(item =>
             item && item.type && item.tweetId &&
-            ['retweeters', 'likers', 'followers'].includes(item.type)
+            (['retweeters', 'likers', 'repliers', 'quoters'].includes(item.type) ||
+              (item.type === 'followers' && isValidUsername(item.account)) ||
+              isValidVerifyItem(item))
           );
           saveQueue();
           // Start processing
-          processNextInQueue();
+          processNextInQueue().catch(e => console.error('[Background] Queue failed:', e.message));
           sendResponse({ success: true, queueLength: collectionQueue.length });
         } else {
           sendResponse({ success: false, error: 'Invalid queue' });
         }
         break;
 
+      case 'GET_VERIFY_STATUS':
+        sendResponse(getVerifyStatus());
+        break;
+
+      case 'PAUSE_VERIFY':
+        if (verifyJob?.status === 'running') {
+          verifyJob.status = 'paused';
+          saveVerifyJob();
+          broadcastVerifyProgress();
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'RESUME_VERIFY':
+        if (verifyJob && verifyJob.status === 'paused') {
+          verifyJob.status = 'running';
+          verifyJob.error = null;
+          broadcastVerifyProgress();
+          // Continue with the rest of the queue once verification finishes
+          runVerifyJob()
+            .then(finished => {
+              if (finished) processNextInQueue();
+            })
+            .catch(e => console.error('[Background] Verify job failed:', e.message));
+          sendResponse({ success: true });
+        } else {
+          sendResponse({ success: false, error: 'No paused verification' });
+        }
+        break;
+
+      case 'SCHEDULE_CLAIMS':
+        // The popup changed winners or claims
+        scheduleClaimCheck()
+          .then(() => sendResponse({ success: true }))
+          .catch(e => sendResponse({ success: false, error: e.message }));
+        return true;
+
       case 'GET_QUEUE':
         sendResponse({ queue: collectionQueue });
         break;
@@ -267,43 +509,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
-      case 'CALCULATE_ELIGIBLE':
-        giveawayData.eligible = calculateEligible();
-        saveToStorage();
-        sendResponse({ eligible: giveawayData.eligible });
-        break;
-
-      case 'PICK_WINNERS':
-        const count = isValidNumber(message.count) ? Math.min(message.count, 1000) : 1;
-        const filters = message.filters && typeof message.filters === 'object' ? message.filters : {};
-        const winners = pickWinners(count, filters);
-        giveawayData.winners = winners;
-        saveToStorage();
-        sendResponse({ winners });
-        break;
-
       case 'RESET':
         giveawayData = {
           tweetId: null,
           tweetUrl: null,
           retweeters: [],
           likers: [],
+          repliers: [],
+          quoters: [],
           followers: {},
-          requirements: {
-            mustRetweet: true,
-            mustLike: true,
-            mustFollow: []
-          },
-          eligible: [],
-          winners: [],
           collectionStatus: {
             retweeters: 'idle',
             likers: 'idle',
+            repliers: 'idle',
+            quoters: 'idle',
             followers: {}
           }
         };
-        // Clear both background and content script storage
-        chrome.storage.local.remove(['giveawayData', 'collectedData', 'pendingCollection']).catch(() => {});
+        verifyJob = null;
+        followCache = createFollowCache(null);
+        chrome.alarms.clear(CLAIM_ALARM).catch(() => {});
+        updateClaimBadge([]);
+        // Clear both background and content script storage. The winner history (winnerHistory,
+        // previousWinnerRule) spans giveaways and is kept.
+        chrome.storage.local.remove(['giveawayData', 'collectedData', 'pendingCollection', 'verifyJob', 'followCache']).catch(() => {});
         sendResponse({ success: true });
         break;
 
@@ -315,150 +544,3 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   return true;
 });
-
-// Calculate eligible participants based on requirements
-function calculateEligible() {
-  const req = giveawayData.requirements;
-
-  // If a requirement is set but list is empty, no one can be eligible
-  if (req.mustRetweet && giveawayData.retweeters.length === 0) {
-    return [];
-  }
-  if (req.mustLike && giveawayData.likers.length === 0) {
-    return [];
-  }
-
-  // Start with all users from first required source
-  let eligibleSet = null;
-
-  // Get retweeters set
-  if (req.mustRetweet) {
-    const retweeterUsernames = new Set(
-      giveawayData.retweeters.map(u => u.username.toLowerCase())
-    );
-    eligibleSet = eligibleSet
-      ? new Set([...eligibleSet].filter(u => retweeterUsernames.has(u)))
-      : retweeterUsernames;
-  }
-
-  // Intersect with likers
-  if (req.mustLike) {
-    const likerUsernames = new Set(
-      giveawayData.likers.map(u => u.username.toLowerCase())
-    );
-    eligibleSet = eligibleSet
-      ? new Set([...eligibleSet].filter(u => likerUsernames.has(u)))
-      : likerUsernames;
-  }
-
-  // Intersect with followers of each required account
-  for (const account of req.mustFollow) {
-    const followers = giveawayData.followers[account.toLowerCase()] || [];
-    const followerUsernames = new Set(
-      followers.map(u => u.username.toLowerCase())
-    );
-    eligibleSet = eligibleSet
-      ? new Set([...eligibleSet].filter(u => followerUsernames.has(u)))
-      : followerUsernames;
-  }
-
-  if (!eligibleSet) return [];
-
-  // Build user objects for eligible users (prefer data from retweeters as most complete)
-  const userDataMap = new Map();
-
-  // Add all user data sources, later ones override
-  [...giveawayData.likers, ...giveawayData.retweeters].forEach(u => {
-    userDataMap.set(u.username.toLowerCase(), u);
-  });
-
-  Object.values(giveawayData.followers).flat().forEach(u => {
-    const existing = userDataMap.get(u.username.toLowerCase());
-    if (!existing || !existing.followerCount) {
-      userDataMap.set(u.username.toLowerCase(), u);
-    }
-  });
-
-  return Array.from(eligibleSet)
-    .map(username => userDataMap.get(username))
-    .filter(Boolean);
-}
-
-// Apply filters and pick random winners
-function pickWinners(count, filters = {}) {
-  let candidates = [...giveawayData.eligible];
-
-  // Apply filters - FIXED: require value to be defined AND meet threshold
-  // When a filter is set, users without the data are excluded
-  if (filters.minFollowers > 0) {
-    candidates = candidates.filter(u =>
-      typeof u.followerCount === 'number' && u.followerCount >= filters.minFollowers
-    );
-  }
-
-  if (filters.minTweets > 0) {
-    candidates = candidates.filter(u =>
-      typeof u.tweetCount === 'number' && u.tweetCount >= filters.minTweets
-    );
-  }
-
-  if (filters.minAccountAgeDays > 0) {
-    const minDate = new Date();
-    minDate.setDate(minDate.getDate() - filters.minAccountAgeDays);
-    candidates = candidates.filter(u => {
-      if (!u.createdAt || typeof u.createdAt !== 'string') return false;
-      try {
-        return new Date(u.createdAt) <= minDate;
-      } catch {
-        return false;
-      }
-    });
-  }
-
-  if (filters.requireAvatar) {
-    candidates = candidates.filter(u =>
-      u.avatarUrl && typeof u.avatarUrl === 'string' && !u.avatarUrl.includes('default_profile')
-    );
-  }
-
-  if (filters.blacklist && Array.isArray(filters.blacklist) && filters.blacklist.length > 0) {
-    const blacklistSet = new Set(
-      filters.blacklist.filter(isValidUsername).map(u => u.toLowerCase())
-    );
-    candidates = candidates.filter(u => !blacklistSet.has(u.username.toLowerCase()));
-  }
-
-  // Cryptographic random shuffle with rejection sampling to avoid modulo bias
-  const shuffled = cryptoShuffle(candidates);
-
-  return shuffled.slice(0, Math.min(count, shuffled.length));
-}
-
-// Generate unbiased random integer using rejection sampling
-function secureRandomInt(max) {
-  if (max <= 0) return 0;
-
-  // Calculate the largest multiple of max that fits in 32 bits
-  const limit = Math.floor(0x100000000 / max) * max;
-
-  let value;
-  const arr = new Uint32Array(1);
-  do {
-    crypto.getRandomValues(arr);
-    value = arr[0];
-  } while (value >= limit);
-
-  return value % max;
-}
-
-// Fisher-Yates shuffle using unbiased crypto random
-function cryptoShuffle(array) {
-  const result = [...array];
-
-  for (let i = result.length - 1; i > 0; i--) {
-    const j = secureRandomInt(i + 1);
-    [result[i], result[j]] = [result[j], result[i]];
-  }
-
-  return result;
-}
@@ -11,6 +11,163 @@
 
   const MESSAGE_TYPE = 'TWITTER_PICKER_API_RESPONSE';
 
+  // Keep at most this many replies/quotes per author (enough for reply rules, bounded for storage)
+  const MAX_TWEETS_PER_USER = 10;
+
+  // Profile lookups per FETCH_PROFILES request (each one is an API call)
+  const MAX_PROFILE_FETCHES = 50;
+
+  // (user, account) pairs per CHECK_FOLLOWS_BULK request
+  const MAX_FOLLOW_CHECKS = 100;
+
+  // Sources collected per tweet rather than per user: which tweets count and where they're stored
+  const TWEET_SOURCES = {
+    repliers: {
+      field: 'replies',
+      // Any tweet in the giveaway's conversation except the giveaway tweet itself
+      matches: (tweet, tweetId) => tweet.rest_id !== tweetId && tweet.legacy.conversation_id_str === tweetId
+    },
+    quoters: {
+      field: 'quotes',
+      matches: (tweet, tweetId) =>
+        tweet.legacy.quoted_status_id_str === tweetId ||
+        tweet.quoted_status_result?.result?.rest_id === tweetId
+    }
+  };
+
+  // Timelines that can be paged directly with cursors instead of scrolling
+  // `getVariables` receives the tweet ID, or the account's user ID for followers
+  const TIMELINE_OPERATIONS = {
+    retweeters: {
+      operationName: 'Retweeters',
+      getVariables: tweetId => ({ tweetId }),
+      getInstructions: data => data?.data?.retweeters_timeline?.timeline?.instructions
+    },
+    likers: {
+      operationName: 'Favoriters',
+      getVariables: tweetId => ({ tweetId }),
+      getInstructions: data => data?.data?.favoriters_timeline?.timeline?.instructions
+    },
+    followers: {
+      operationName: 'Followers',
+      getVariables: userId => ({ userId }),
+      getInstructions: data =>
+        data?.data?.user?.result?.timeline?.timeline?.instructions ||
+        data?.data?.user?.result?.timeline_v2?.timeline?.instructions
+    }
+  };
+
+  // Feature switches sent with timeline queries (Following, Followers, Retweeters, Favoriters)
+  const TIMELINE_FEATURES = {
+    hidden_profile_subscriptions_enabled: true,
+    hidden_profile_likes_enabled: true,
+    rweb_tipjar_consumption_enabled: true,
+    responsive_web_graphql_exclude_directive_enabled: true,
+    verified_phone_label_enabled: false,
+    creator_subscriptions_tweet_preview_api_enabled: true,
+    responsive_web_graphql_timeline_navigation_enabled: true,
+    responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
+    communities_web_enable_tweet_community_results_fetch: true,
+    c9s_tweet_anatomy_moderator_badge_enabled: true,
+    articles_preview_enabled: true,
+    responsive_web_edit_tweet_api_enabled: true,
+    graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
+    view_counts_everywhere_api_enabled: true,
+    longform_notetweets_consumption_enabled: true,
+    responsive_web_twitter_article_tweet_consumption_enabled: true,
+    tweet_awards_web_tipping_enabled: false,
+    creator_subscriptions_quote_tweet_preview_enabled: false,
+    freedom_of_speech_not_reach_fetch_enabled: true,
+    standardized_nudges_misinfo: true,
+    tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
+    rweb_video_timestamps_enabled: true,
+    longform_notetweets_rich_text_read_enabled: true,
+    longform_notetweets_inline_media_enabled: true,
+    responsive_web_enhance_cards_enabled: false,
+    tweetypie_unmention_optimization_enabled: true,
+    responsive_web_media_download_video_enabled: true,
+    responsive_web_twitter_blue_verified_badge_is_enabled: true,
+    responsive_web_text_conversations_enabled: true,
+    responsive_web_twitter_article_data_v2_enabled: true,
+    blue_business_profile_image_shape_enabled: true,
+    profile_foundations_tweet_stats_enabled: true,
+    profile_foundations_tweet_stats_tweet_frequency: true,
+    responsive_web_birdwatch_note_limit_enabled: true,
+    interactive_text_enabled: true,
+    longform_notetweets_richtext_consumption_enabled: true,
+    responsive_web_home_pinned_timelines_enabled: true,
+    rweb_lists_timeline_redesign_enabled: true,
+    spaces_2022_h2_clipping: true,
+    spaces_2022_h2_spaces_communities: true
+  };
+
+  // Feature switches sent with UserByScreenName
+  const USER_FEATURES = {
+    hidden_profile_subscriptions_enabled: true,
+    hidden_profile_likes_enabled: true,
+    rweb_tipjar_consumption_enabled: true,
+    responsive_web_graphql_exclude_directive_enabled: true,
+    verified_phone_label_enabled: false,
+    subscriptions_verification_info_is_identity_verified_enabled: true,
+    subscriptions_verification_info_verified_since_enabled: true,
+    highlights_tweets_tab_ui_enabled: true,
+    responsive_web_twitter_article_notes_tab_enabled: true,
+    subscriptions_feature_can_gift_premium: true,
+    creator_subscriptions_tweet_preview_api_enabled: true,
+    responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
+    responsive_web_graphql_timeline_navigation_enabled: true,
+    tweetypie_unmention_optimization_enabled: true,
+    responsive_web_media_download_video_enabled: true,
+    responsive_web_twitter_blue_verified_badge_is_enabled: true,
+    responsive_web_text_conversations_enabled: true,
+    responsive_web_twitter_article_data_v2_enabled: true,
+    blue_business_profile_image_shape_enabled: true,
+    profile_foundations_tweet_stats_enabled: true,
+    profile_foundations_tweet_stats_tweet_frequency: true,
+    responsive_web_birdwatch_note_limit_enabled: true,
+    interactive_text_enabled: true,
+    longform_notetweets_richtext_consumption_enabled: true,
+    responsive_web_home_pinned_timelines_enabled: true,
+    freedom_of_speech_not_reach_fetch_enabled: true,
+    graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
+    view_counts_everywhere_api_enabled: true,
+    longform_notetweets_consumption_enabled: true,
+    longform_notetweets_rich_text_read_enabled: true,
+    longform_notetweets_inline_media_enabled: true,
+    responsive_web_enhance_cards_enabled: false,
+    responsive_web_edit_tweet_api_enabled: true,
+    standardized_nudges_misinfo: true,
+    rweb_lists_timeline_redesign_enabled: true,
+    c9s_tweet_anatomy_moderator_badge_enabled: true
+  };
+
+  // Built-in GraphQL operations, used until the page's own requests show us the current
+  // query IDs and feature switches (X rotates them from time to time)
+  const DEFAULT_OPERATIONS = {
+    Following: { queryId: 'PAnE9toEjRfE-4tozRcsfw', features: TIMELINE_FEATURES },
+    Followers: { queryId: 'rRXFSG5vR6drKr5M37YOTw', features: TIMELINE_FEATURES },
+    Retweeters: { queryId: '0BoJlKAxoNPQUHRftlwZ2w', features: TIMELINE_FEATURES },
+    Favoriters: { queryId: 'XRRjv1-uj1HZn3o324etOQ', features: TIMELINE_FEATURES },
+    UserByScreenName: {
+      queryId: 'xc8f1g7BYqr6VTzTbvNlGw',
+      features: USER_FEATURES,
+      fieldToggles: { withAuxiliaryUserLabels: false }
+    }
+  };
+
+  const API_HEADERS = {
+    'accept': '*/*',
+    'content-type': 'application/json',
+    'x-twitter-active-user': 'yes',
+    'x-twitter-client-language': 'en'
+  };
+
+  // Tweet ID -> author username, learned from the tweet page's own API responses (collecting or not)
+  const tweetAuthors = new Map();
+
+  // Responses that carry the viewed tweet with its author
+  const TWEET_DETAIL_OPERATIONS = /\/(TweetDetail|TweetResultByRestId)(\?|$)/;
+
   // Buffer for API responses received before we know if we're collecting
   const responseBuffer = [];
   let isInitialized = false;
@@ -19,6 +176,8 @@
   const collectedData = {
     retweeters: new Map(),
     likers: new Map(),
+    repliers: new Map(),
+    quoters: new Map(),
     followers: new Map(),
     currentTweetId: null,
     isCollecting: false,
@@ -40,6 +199,11 @@
     // Security: Validate data structure
     if (typeof event.data.url !== 'string' || typeof event.data.data !== 'object') return;
 
+    if (event.data.url.includes('/graphql/')) {
+      learnOperation(event.data.url);
+      if (TWEET_DETAIL_OPERATIONS.test(event.data.url)) learnTweetAuthor(event.data.data);
+    }
+
     // If not initialized yet, buffer the response
     if (!isInitialized) {
       responseBuffer.push({ url: event.data.url, data: event.data.data });
@@ -78,6 +242,8 @@
           let isCorrectPage = false;
           if (type === 'retweeters' && path.includes('/retweets')) isCorrectPage = true;
           if (type === 'likers' && path.includes('/likes')) isCorrectPage = true;
+          if (type === 'repliers' && isTweetDetailPage(path, tweetId)) isCorrectPage = true;
+          if (type === 'quoters' && path.includes('/quotes')) isCorrectPage = true;
           if (type === 'followers' && path.includes('/followers')) isCorrectPage = true;
 
           if (isCorrectPage) {
@@ -100,6 +266,12 @@
         if (saved.likers) {
           saved.likers.forEach(u => collectedData.likers.set(u.username.toLowerCase(), u));
         }
+        if (saved.repliers) {
+          saved.repliers.forEach(u => collectedData.repliers.set(u.username.toLowerCase(), u));
+        }
+        if (saved.quoters) {
+          saved.quoters.forEach(u => collectedData.quoters.set(u.username.toLowerCase(), u));
+        }
         if (saved.followers) {
           Object.entries(saved.followers).forEach(([account, users]) => {
             const map = new Map();
@@ -137,37 +309,108 @@
   let lastSaveError = null;
   function saveToStorage() {
     if (saveTimeout) clearTimeout(saveTimeout);
-    saveTimeout = setTimeout(async () => {
-      const dataToSave = {
-        retweeters: Array.from(collectedData.retweeters.values()),
-        likers: Array.from(collectedData.likers.values()),
-        followers: Object.fromEntries(
-          Array.from(collectedData.followers.entries()).map(([k, v]) => [k, Array.from(v.values())])
-        ),
-        currentTweetId: collectedData.currentTweetId
-      };
+    saveTimeout = setTimeout(() => {
+      saveTimeout = null;
+      writeCollectedData();
+    }, 1000); // Increased from 300ms to 1000ms to reduce I/O
+  }
+
+  // Write a pending debounced save now; resolves once it's stored
+  // Paging flushes before saving its cursor, so a saved cursor never runs ahead of the saved users
+  async function flushStorage() {
+    if (!saveTimeout) return;
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+    await writeCollectedData();
+  }
+
+  async function writeCollectedData() {
+    const dataToSave = {
+      retweeters: Array.from(collectedData.retweeters.values()),
+      likers: Array.from(collectedData.likers.values()),
+      repliers: Array.from(collectedData.repliers.values()),
+      quoters: Array.from(collectedData.quoters.values()),
+      followers: Object.fromEntries(
+        Array.from(collectedData.followers.entries()).map(([k, v]) => [k, Array.from(v.values())])
+      ),
+      currentTweetId: collectedData.currentTweetId
+    };
+    try {
+      await chrome.storage.local.set({ collectedData: dataToSave });
+      lastSaveError = null;
+    } catch (e) {
+      // Only log once per error to avoid spam
+      if (lastSaveError !== e.message) {
+        lastSaveError = e.message;
+        console.error('[Twitter Picker] Storage save failed:', e.message);
+        // Notify popup of storage error
+        chrome.runtime.sendMessage({
+          type: 'STORAGE_ERROR',
+          error: e.message
+        }).catch(() => {});
+      }
+    }
+  }
+
+  // Same key format as lib/checkpoints.js getCheckpointKey
+  function getCheckpointKey(type, tweetId, account) {
+    return account ? `${tweetId}:${type}:${account.toLowerCase()}` : `${tweetId}:${type}`;
+  }
+
+  async function loadCheckpoint(type, tweetId, account) {
+    try {
+      const result = await chrome.storage.local.get(['collectionCheckpoints']);
+      return result.collectionCheckpoints?.[getCheckpointKey(type, tweetId, account)] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Record progress of the current collection job (cursor, count, status) so it can be resumed
+  // Writes are chained so concurrent updates don't overwrite each other
+  let checkpointWrite = Promise.resolve();
+  function saveCheckpoint(fields = {}) {
+    const type = collectedData.collectType;
+    const tweetId = collectedData.currentTweetId;
+    const account = collectedData.currentFollowAccount || null;
+    if (!type || !tweetId) return checkpointWrite;
+
+    const count = getTargetMap()?.size || 0;
+
+    checkpointWrite = checkpointWrite.then(async () => {
       try {
-        await chrome.storage.local.set({ collectedData: dataToSave });
-        lastSaveError = null;
+        const result = await chrome.storage.local.get(['collectionCheckpoints']);
+        const checkpoints = result.collectionCheckpoints || {};
+        const key = getCheckpointKey(type, tweetId, account);
+        checkpoints[key] = {
+          ...checkpoints[key],
+          type,
+          tweetId,
+          account,
+          count,
+          checkpointAt: Date.now(),
+          ...fields
+        };
+        await chrome.storage.local.set({ collectionCheckpoints: checkpoints });
       } catch (e) {
-        // Only log once per error to avoid spam
-        if (lastSaveError !== e.message) {
-          lastSaveError = e.message;
-          console.error('[Twitter Picker] Storage save failed:', e.message);
-          // Notify popup of storage error
-          chrome.runtime.sendMessage({
-            type: 'STORAGE_ERROR',
-            error: e.message
-          }).catch(() => {});
-        }
+        console.error('[Twitter Picker] Checkpoint save failed:', e.message);
       }
-    }, 1000); // Increased from 300ms to 1000ms to reduce I/O
+    });
+
+    return checkpointWrite;
   }
 
   function handleApiResponse(url, data) {
     if (!collectedData.isCollecting) return;
     if (!data) return;
 
+    // Replies and quotes carry tweet content, so they are extracted per tweet rather than per user
+    const tweetSource = TWEET_SOURCES[collectedData.collectType];
+    if (tweetSource) {
+      handleTweetResponse(data, tweetSource);
+      return;
+    }
+
     // Extract users from response with depth limit
     const users = extractUsers(data, [], 0, 50);
 
@@ -189,12 +432,50 @@
     }
   }
 
+  // Merge matching tweets into the target map (one entry per author, tweets under source.field)
+  function handleTweetResponse(data, source) {
+    const targetMap = getTargetMap();
+    const tweetId = collectedData.currentTweetId;
+    if (!targetMap || !tweetId) return;
+
+    let changed = 0;
+
+    for (const tweet of extractTweets(data)) {
+      if (!source.matches(tweet, tweetId)) continue;
+
+      const [user] = extractUsers(tweet.core?.user_results?.result, [], 0, 5);
+      if (!user) continue;
+
+      const entry = buildTweetObject(tweet, user.username);
+      const key = user.username.toLowerCase();
+      const existing = targetMap.get(key);
+
+      if (!existing) {
+        targetMap.set(key, { ...user, [source.field]: [entry] });
+        changed++;
+      } else if (existing[source.field].length < MAX_TWEETS_PER_USER &&
+                 !existing[source.field].some(t => t.tweetId === entry.tweetId)) {
+        existing[source.field].push(entry);
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      saveToStorage();
+      updateProgress();
+    }
+  }
+
   function getTargetMap() {
     switch (collectedData.collectType) {
       case 'retweeters':
         return collectedData.retweeters;
       case 'likers':
         return collectedData.likers;
+      case 'repliers':
+        return collectedData.repliers;
+      case 'quoters':
+        return collectedData.quoters;
       case 'followers':
         const currentAccount = collectedData.currentFollowAccount;
         if (currentAccount) {
@@ -272,6 +553,61 @@
     return users;
   }
 
+  // Find tweet objects (GraphQL "Tweet" results) with depth limit
+  // Tweets with visibility restrictions are wrapped, the recursion reaches the inner tweet
+  function extractTweets(data, tweets = [], depth = 0, maxDepth = 50) {
+    if (depth > maxDepth) return tweets;
+    if (!data || typeof data !== 'object') return tweets;
+
+    if (data.rest_id && data.legacy && typeof data.legacy.full_text === 'string' && /^\d{1,25}$/.test(data.rest_id)) {
+      tweets.push(data);
+    }
+
+    for (const value of Object.values(data)) {
+      if (value && typeof value === 'object') {
+        extractTweets(value, tweets, depth + 1, maxDepth);
+        if (tweets.length > 10000) break; // Memory safety limit
+      }
+    }
+
+    return tweets;
+  }
+
+  // Build reply/quote object from a tweet result, dropping the auto-inserted @mention prefix
+  // Mentions, hashtags and media are kept for reply rules (tag friends, #hashtag, attach a photo)
+  function buildTweetObject(tweet, authorUsername) {
+    const legacy = tweet.legacy;
+    const entities = legacy.entities || {};
+    const range = Array.isArray(legacy.display_text_range) ? legacy.display_text_range : null;
+    const text = range
+      ? Array.from(legacy.full_text).slice(range[0], range[1]).join('')
+      : legacy.full_text;
+
+    // Mentions before the display range are the "replying to" prefix, not people tagged by the author
+    const mentions = (Array.isArray(entities.user_mentions) ? entities.user_mentions : [])
+      .filter(m => !range || !Array.isArray(m.indices) || m.indices[0] >= range[0])
+      .map(m => m.screen_name)
+      .filter(name => typeof name === 'string' && /^[a-zA-Z0-9_]{1,15}$/.test(name))
+      .map(name => name.toLowerCase())
+      .filter(name => name !== authorUsername.toLowerCase());
+
+    const hashtags = (Array.isArray(entities.hashtags) ? entities.hashtags : [])
+      .map(h => sanitizeString(h.text))
+      .filter(Boolean)
+      .map(tag => tag.toLowerCase());
+
+    const media = legacy.extended_entities?.media || entities.media;
+
+    return {
+      tweetId: tweet.rest_id,
+      text: sanitizeString(text),
+      createdAt: sanitizeString(legacy.created_at),
+      mentions: [...new Set(mentions)],
+      hashtags: [...new Set(hashtags)],
+      hasMedia: Array.isArray(media) && media.length > 0
+    };
+  }
+
   // Build user object from Twitter API data (extracted for cleaner code)
   function buildUserObject(data, legacy, core, username) {
     // Extract avatar from multiple possible locations
@@ -341,6 +677,16 @@
     }).catch(() => {});
   }
 
+  // Click "Show more replies" style buttons so hidden replies get loaded too
+  function expandHiddenReplies() {
+    const buttons = document.querySelectorAll('[data-testid="cellInnerDiv"] [role="button"]');
+    for (const button of buttons) {
+      if (/show (more|additional|probable spam)/i.test(button.textContent || '')) {
+        button.click();
+      }
+    }
+  }
+
   // Auto-scroll function with better control
   async function autoScroll(maxScrolls = 200) {
     let scrollCount = 0;
@@ -350,6 +696,10 @@
     let noNewUsersCount = 0;
 
     while (scrollCount < maxScrolls && collectedData.isCollecting) {
+      if (collectedData.collectType === 'repliers') {
+        expandHiddenReplies();
+      }
+
       // Scroll down
       window.scrollTo(0, document.body.scrollHeight);
 
@@ -385,10 +735,87 @@
       // Update progress every 3 scrolls
       if (scrollCount % 3 === 0) {
         updateProgress();
+        saveCheckpoint();
       }
     }
   }
 
+  // Page through a tweet's Retweeters/Favoriters timeline (or an account's Followers) with cursors
+  // Works in a background tab and stops when there's no next cursor or it comes round again; a page of
+  // users we already have doesn't end it (X repeats users across pages), maxPages is the safety cap
+  // Each page is checkpointed so an interrupted run can continue from `startCursor`
+  // Returns true when the end of the timeline was reached
+  async function collectTimeline(type, target, startCursor = null, maxPages = 500) {
+    const operation = TIMELINE_OPERATIONS[type];
+    const targetMap = getTargetMap();
+    if (!operation || !targetMap) {
+      throw new Error('No timeline endpoint for ' + type);
+    }
+
+    let cursor = startCursor;
+    const seenCursors = new Set(startCursor ? [startCursor] : []);
+
+    for (let page = 0; page < maxPages && collectedData.isCollecting; page++) {
+      const variables = {
+        ...operation.getVariables(target),
+        count: 100,
+        includePromotedContent: false
+      };
+
+      if (cursor) {
+        variables.cursor = cursor;
+      }
+
+      const data = await graphqlFetch(operation.operationName, variables);
+
+      if (data?.errors?.length > 0 && !data?.data) {
+        throw new Error(`Twitter API error: ${data.errors[0]?.message || 'Unknown error'}`);
+      }
+
+      const instructions = operation.getInstructions(data);
+      if (!Array.isArray(instructions)) {
+        throw new Error(`Could not parse ${operation.operationName} timeline - Twitter API may have changed`);
+      }
+
+      let added = 0;
+      let nextCursor = null;
+
+      for (const instruction of instructions) {
+        for (const entry of instruction.entries || []) {
+          if (entry.entryId?.includes('cursor-bottom')) {
+            nextCursor = entry.content?.value || null;
+            continue;
+          }
+
+          for (const user of extractUsers(entry.content, [], 0, 10)) {
+            const key = user.username.toLowerCase();
+            if (!targetMap.has(key)) {
+              targetMap.set(key, user);
+              added++;
+            }
+          }
+        }
+      }
+
+      if (added > 0) {
+        saveToStorage();
+      }
+      updateProgress();
+
+      if (!nextCursor || seenCursors.has(nextCursor)) {
+        return true;
+      }
+      seenCursors.add(nextCursor);
+
+      // Users first, then the cursor: resuming from a cursor must not skip pages whose users weren't stored
+      await flushStorage();
+      cursor = nextCursor;
+      await saveCheckpoint({ cursor });
+    }
+
+    return false;
+  }
+
   function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -400,20 +827,23 @@
     if (event.origin !== window.location.origin) return;
     if (event.data?.type !== 'TWITTER_PICKER_FETCH_RESPONSE') return;
 
-    const { requestId, data, error } = event.data;
+    const { requestId, data, error, status, rateLimit } = event.data;
     const pending = pendingRequests.get(requestId);
     if (pending) {
       pendingRequests.delete(requestId);
       if (error) {
-        pending.reject(new Error(error));
+        const err = new Error(error);
+        err.status = status;
+        err.rateLimit = rateLimit;
+        pending.reject(err);
       } else {
-        pending.resolve(data);
+        pending.resolve({ data, status, rateLimit });
       }
     }
   });
 
-  async function authenticatedFetch(url, options = {}, timeout = 15000) {
-    console.log('[Twitter Picker Content] Sending authenticated fetch request');
+  // Resolves with { data, status, rateLimit }; rejects with an Error carrying status/rateLimit
+  function sendFetchRequest(url, options = {}, timeout = 15000) {
     const requestId = Math.random().toString(36).substring(2);
 
     return new Promise((resolve, reject) => {
@@ -442,6 +872,184 @@
     });
   }
 
+  // Request scheduler: requests are queued per endpoint (GraphQL operation or REST path),
+  // wait out exhausted rate-limit windows, and retry 429/5xx with exponential backoff
+  const MIN_REQUEST_INTERVAL = 250;
+  const MAX_RETRIES = 5;
+  const MAX_BACKOFF = 60000;
+  const endpointStates = new Map();
+
+  function getEndpointKey(url) {
+    try {
+      const path = new URL(url, window.location.origin).pathname;
+      const operation = path.match(/\/graphql\/[^/]+\/([^/]+)/);
+      return operation ? operation[1] : path;
+    } catch (e) {
+      return 'default';
+    }
+  }
+
+  function getEndpointState(key) {
+    if (!endpointStates.has(key)) {
+      endpointStates.set(key, { queue: Promise.resolve(), remaining: null, reset: 0, lastRequestAt: 0 });
+    }
+    return endpointStates.get(key);
+  }
+
+  function updateRateLimit(endpoint, rateLimit) {
+    if (!rateLimit) return;
+    if (Number.isFinite(rateLimit.remaining)) endpoint.remaining = rateLimit.remaining;
+    if (Number.isFinite(rateLimit.reset)) endpoint.reset = rateLimit.reset * 1000;
+  }
+
+  async function waitForRateLimit(endpointKey, ms) {
+    const seconds = Math.ceil(ms / 1000);
+    console.log(`[Twitter Picker] Waiting ${seconds}s for ${endpointKey} rate limit`);
+    chrome.runtime.sendMessage({
+      type: 'RATE_LIMIT_WAIT',
+      endpoint: endpointKey,
+      seconds
+    }).catch(() => {});
+    await sleep(ms);
+  }
+
+  function authenticatedFetch(url, options = {}, timeout = 15000) {
+    const key = getEndpointKey(url);
+    const endpoint = getEndpointState(key);
+
+    const request = endpoint.queue.then(() => fetchWithRateLimit(key, endpoint, url, options, timeout));
+    endpoint.queue = request.catch(() => {});
+    return request;
+  }
+
+  async function fetchWithRateLimit(key, endpoint, url, options, timeout) {
+    for (let attempt = 0; ; attempt++) {
+      // Don't spend a request we know will be rejected
+      if (endpoint.remaining === 0 && endpoint.reset > Date.now()) {
+        await waitForRateLimit(key, endpoint.reset - Date.now() + 1000);
+      }
+
+      const sinceLast = Date.now() - endpoint.lastRequestAt;
+      if (sinceLast < MIN_REQUEST_INTERVAL) {
+        await sleep(MIN_REQUEST_INTERVAL - sinceLast);
+      }
+      endpoint.lastRequestAt = Date.now();
+
+      try {
+        const response = await sendFetchRequest(url, options, timeout);
+        updateRateLimit(endpoint, response.rateLimit);
+        return response.data;
+      } catch (e) {
+        updateRateLimit(endpoint, e.rateLimit);
+
+        const retryable = e.status === 429 || e.status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) throw e;
+
+        // A 429 with a known reset waits for the window (top of the loop); everything else backs off exponentially
+        if (e.status === 429) {
+          endpoint.remaining = 0;
+          if (endpoint.reset > Date.now()) continue;
+        }
+        await waitForRateLimit(key, Math.min(MAX_BACKOFF, 1000 * 2 ** attempt) + Math.random() * 500);
+      }
+    }
+  }
+
+  // Operation resolver: query IDs and feature switches learned from the page's own GraphQL
+  // requests (name -> { queryId, features, fieldToggles, seenAt }), cached in storage
+  const learnedOperations = {};
+  let saveOperationsTimeout = null;
+
+  chrome.storage.local.get(['graphqlOperations']).then(result => {
+    for (const [name, operation] of Object.entries(result.graphqlOperations || {})) {
+      // Anything learned since the page loaded is newer than the cache
+      if (DEFAULT_OPERATIONS[name] && !learnedOperations[name] && isValidQueryId(operation?.queryId)) {
+        learnedOperations[name] = operation;
+      }
+    }
+  }).catch(() => {});
+
+  function isValidQueryId(queryId) {
+    return typeof queryId === 'string' && /^[A-Za-z0-9_-]{10,40}$/.test(queryId);
+  }
+
+  // Parse a features/fieldToggles query param, keeping only boolean switches
+  function parseSwitches(param) {
+    if (!param) return null;
+    try {
+      const parsed = JSON.parse(param);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+      const switches = Object.fromEntries(
+        Object.entries(parsed).filter(([key, value]) => /^[A-Za-z0-9_]{1,100}$/.test(key) && typeof value === 'boolean')
+      );
+      return Object.keys(switches).length > 0 ? switches : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Called for every GraphQL request the page makes; only operations we use are remembered
+  function learnOperation(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.origin);
+    } catch (e) {
+      return;
+    }
+
+    const match = parsed.pathname.match(/\/graphql\/([^/]+)\/([A-Za-z]+)$/);
+    if (!match || !DEFAULT_OPERATIONS[match[2]] || !isValidQueryId(match[1])) return;
+
+    const [, queryId, name] = match;
+    const known = learnedOperations[name];
+    const learned = {
+      queryId,
+      features: parseSwitches(parsed.searchParams.get('features')) || known?.features || null,
+      fieldToggles: parseSwitches(parsed.searchParams.get('fieldToggles')) || known?.fieldToggles || null,
+      seenAt: Date.now()
+    };
+
+    if (known && known.queryId === learned.queryId &&
+        JSON.stringify(known.features) === JSON.stringify(learned.features) &&
+        JSON.stringify(known.fieldToggles) === JSON.stringify(learned.fieldToggles)) {
+      return;
+    }
+
+    learnedOperations[name] = learned;
+
+    if (saveOperationsTimeout) clearTimeout(saveOperationsTimeout);
+    saveOperationsTimeout = setTimeout(() => {
+      chrome.storage.local.set({ graphqlOperations: learnedOperations }).catch(() => {});
+    }, 1000);
+  }
+
+  // Learned feature switches are layered over the defaults so a switch the page didn't send stays set
+  function buildGraphqlUrl(name, variables, useDefaults = false) {
+    const fallback = DEFAULT_OPERATIONS[name];
+    const learned = useDefaults ? null : learnedOperations[name];
+    const features = { ...fallback.features, ...learned?.features };
+    const fieldToggles = learned?.fieldToggles || fallback.fieldToggles;
+
+    let url = `https://x.com/i/api/graphql/${learned?.queryId || fallback.queryId}/${name}` +
+      `?variables=${encodeURIComponent(JSON.stringify(variables))}` +
+      `&features=${encodeURIComponent(JSON.stringify(features))}`;
+    if (fieldToggles) {
+      url += `&fieldToggles=${encodeURIComponent(JSON.stringify(fieldToggles))}`;
+    }
+    return url;
+  }
+
+  // Run a GraphQL operation, retrying with the built-in query ID and features if the learned ones are rejected
+  async function graphqlFetch(name, variables, timeout = 15000) {
+    try {
+      return await authenticatedFetch(buildGraphqlUrl(name, variables), { headers: API_HEADERS }, timeout);
+    } catch (e) {
+      if (!learnedOperations[name] || (e.status !== 400 && e.status !== 404)) throw e;
+      console.log(`[Twitter Picker] Learned ${name} operation rejected, retrying with defaults`);
+      return authenticatedFetch(buildGraphqlUrl(name, variables, true), { headers: API_HEADERS }, timeout);
+    }
+  }
+
   // Fetch with timeout to prevent hanging requests (for non-auth requests)
   async function fetchWithTimeout(url, options = {}, timeout = 15000) {
     const controller = new AbortController();
@@ -463,21 +1071,52 @@
     }
   }
 
+  // Remember who posted the tweet on this page, so the popup can keep the host out of the draw
+  function learnTweetAuthor(data) {
+    const tweetId = getCurrentTweetId();
+    if (!tweetId || tweetAuthors.has(tweetId) || !data) return;
+
+    const tweet = extractTweets(data).find(t => t.rest_id === tweetId);
+    const [author] = extractUsers(tweet?.core?.user_results?.result, [], 0, 5);
+    if (author) tweetAuthors.set(tweetId, author.username);
+  }
+
   function getCurrentTweetId() {
     const match = window.location.pathname.match(/\/status\/(\d+)/);
     return match ? match[1] : null;
   }
 
-  async function finishCollection() {
+  // True on the tweet's own page (where replies load), not its retweets/likes sub-pages
+  function isTweetDetailPage(path, tweetId) {
+    const match = path.match(/\/status\/(\d+)\/?$/);
+    return Boolean(match) && match[1] === tweetId;
+  }
+
+  // `status` defaults to 'complete', or 'stopped' when the user stopped collection
+  // `reachedEnd` is only set when cursor paging got to the end of the timeline; scrolling can stop
+  // short without telling, so a scrolled follower list is never taken as the full list
+  async function finishCollection(status = collectedData.isCollecting ? 'complete' : 'stopped', reachedEnd = false) {
     const type = collectedData.collectType;
     const account = collectedData.currentFollowAccount;
     const count = getTargetMap()?.size || 0;
 
+    // Store the users before marking the job done, like every page does before its cursor
+    await flushStorage();
+    await saveCheckpoint(status === 'complete' ? { status, cursor: null, reachedEnd } : { status });
+
     collectedData.isCollecting = false;
     collectedData.collectionMutex = false;
 
     await chrome.storage.local.remove('pendingCollection');
-    saveToStorage();
+
+    // A full follower list goes to the background so it can intersect it when picking
+    if (type === 'followers' && account && status === 'complete' && reachedEnd) {
+      chrome.runtime.sendMessage({
+        type: 'UPDATE_FOLLOWERS',
+        account: account,
+        users: Array.from(getTargetMap()?.values() || [])
+      }).catch(() => {});
+    }
 
     // Send completion message
     chrome.runtime.sendMessage({
@@ -489,7 +1128,8 @@
   }
 
   // Navigate and collect with mutex to prevent race conditions
-  async function navigateAndCollect(type, tweetId, accountUsername = null) {
+  // With `resume`, paging continues from the job's saved cursor
+  async function navigateAndCollect(type, tweetId, accountUsername = null, resume = false) {
     // Mutex check
     if (collectedData.collectionMutex) {
       return { success: false, error: 'Collection already in progress' };
@@ -502,12 +1142,35 @@
       collectedData.currentFollowAccount = accountUsername?.toLowerCase();
       collectedData.currentTweetId = tweetId;
 
+      const checkpoint = resume ? await loadCheckpoint(type, tweetId, accountUsername) : null;
+      await saveCheckpoint({ status: 'running', cursor: checkpoint?.cursor || null, reachedEnd: false });
+
+      // Page the timeline directly when there's an endpoint for it, scroll the page otherwise
+      if (TIMELINE_OPERATIONS[type]) {
+        try {
+          const target = type === 'followers' ? await getAccountUserId(accountUsername) : tweetId;
+          const reachedEnd = await collectTimeline(type, target, checkpoint?.cursor || null);
+          await finishCollection(reachedEnd ? 'complete' : 'stopped', reachedEnd);
+          return { success: true, count: getTargetMap()?.size || 0 };
+        } catch (e) {
+          console.log('[Twitter Picker] Timeline pagination failed, falling back to scrolling:', e.message);
+          if (!collectedData.isCollecting) {
+            await finishCollection();
+            return { success: true, count: getTargetMap()?.size || 0 };
+          }
+        }
+      }
+
       let targetUrl;
 
       if (type === 'retweeters') {
         targetUrl = `https://x.com/i/status/${tweetId}/retweets`;
       } else if (type === 'likers') {
         targetUrl = `https://x.com/i/status/${tweetId}/likes`;
+      } else if (type === 'repliers') {
+        targetUrl = `https://x.com/i/status/${tweetId}`;
+      } else if (type === 'quoters') {
+        targetUrl = `https://x.com/i/status/${tweetId}/quotes`;
       } else if (type === 'followers' && accountUsername) {
         targetUrl = `https://x.com/${accountUsername}/followers`;
       }
@@ -556,7 +1219,7 @@
           sendResponse({ success: false, error: 'Missing collectType or tweetId' });
           break;
         }
-        navigateAndCollect(message.collectType, message.tweetId, message.accountUsername)
+        navigateAndCollect(message.collectType, message.tweetId, message.accountUsername, message.resume === true)
           .then(result => sendResponse(result))
           .catch(e => sendResponse({ success: false, error: e.message }));
         return true; // Keep channel open for async response
@@ -571,6 +1234,8 @@
         sendResponse({
           retweeters: Array.from(collectedData.retweeters.values()),
           likers: Array.from(collectedData.likers.values()),
+          repliers: Array.from(collectedData.repliers.values()),
+          quoters: Array.from(collectedData.quoters.values()),
           followers: Object.fromEntries(
             Array.from(collectedData.followers.entries()).map(([k, v]) => [k, Array.from(v.values())])
           ),
@@ -583,16 +1248,18 @@
       case 'CLEAR_DATA':
         collectedData.retweeters.clear();
         collectedData.likers.clear();
+        collectedData.repliers.clear();
+        collectedData.quoters.clear();
         collectedData.followers.clear();
         collectedData.currentTweetId = null;
         collectedData.isCollecting = false;
         collectedData.collectionMutex = false;
-        chrome.storage.local.remove(['collectedData', 'pendingCollection']).catch(() => {});
+        chrome.storage.local.remove(['collectedData', 'pendingCollection', 'collectionCheckpoints']).catch(() => {});
         sendResponse({ success: true });
         break;
 
       case 'GET_TWEET_ID':
-        sendResponse({ tweetId: getCurrentTweetId() });
+        sendResponse({ tweetId: getCurrentTweetId(), author: tweetAuthors.get(getCurrentTweetId()) || null });
         break;
 
       case 'CHECK_PAGE':
@@ -601,6 +1268,8 @@
           isTweetPage: /\/status\/\d+/.test(path),
           isRetweetersPage: path.includes('/retweets'),
           isLikersPage: path.includes('/likes'),
+          isRepliesPage: isTweetDetailPage(path, getCurrentTweetId()),
+          isQuotesPage: path.includes('/quotes'),
           isFollowersPage: path.includes('/followers'),
           tweetId: getCurrentTweetId(),
           isCollecting: collectedData.isCollecting
@@ -613,6 +1282,8 @@
           collectType: collectedData.collectType,
           retweetersCount: collectedData.retweeters.size,
           likersCount: collectedData.likers.size,
+          repliersCount: collectedData.repliers.size,
+          quotersCount: collectedData.quoters.size,
           followersCount: Object.fromEntries(
             Array.from(collectedData.followers.entries()).map(([k, v]) => [k, v.size])
           )
@@ -635,12 +1306,121 @@
           .catch(e => sendResponse({ followsAll: false, error: e.message }));
         return true; // Keep channel open for async response
 
+      case 'CHECK_FOLLOWS_BULK':
+        // Check many (user -> account) pairs through the relationship endpoint
+        if (!Array.isArray(message.pairs)) {
+          sendResponse({ success: false, error: 'Invalid parameters' });
+          return true;
+        }
+        checkFollowsBulk(message.pairs.slice(0, MAX_FOLLOW_CHECKS))
+          .then(results => sendResponse({ success: true, results }))
+          .catch(e => sendResponse({ success: false, error: e.message }));
+        return true; // Keep channel open for async response
+
+      case 'FETCH_PROFILES':
+        // Fill in profile fields (followers, tweets, join date, avatar) for users collected without them
+        if (!Array.isArray(message.usernames)) {
+          sendResponse({ success: false, error: 'Invalid parameters' });
+          return true;
+        }
+        fetchProfiles(message.usernames.slice(0, MAX_PROFILE_FETCHES))
+          .then(users => sendResponse({ success: true, users }))
+          .catch(e => sendResponse({ success: false, error: e.message }));
+        return true; // Keep channel open for async response
+
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
     return true;
   });
 
+  // Look up profiles one at a time and merge them into every list the user appears in
+  // Users that can't be fetched (suspended, protected lookups, network errors) are skipped
+  async function fetchProfiles(usernames) {
+    const profiles = [];
+
+    for (const username of usernames) {
+      if (typeof username !== 'string' || !/^[a-zA-Z0-9_]{1,15}$/.test(username)) continue;
+
+      try {
+        const result = await fetchUserByScreenName(username);
+        if (!result?.rest_id) continue;
+
+        const profile = buildUserObject(result, result.legacy || {}, result.core || {}, username);
+        const key = username.toLowerCase();
+        for (const map of [collectedData.retweeters, collectedData.likers, collectedData.repliers, collectedData.quoters]) {
+          const existing = map.get(key);
+          if (existing) map.set(key, { ...existing, ...withoutEmptyFields(profile), username: existing.username });
+        }
+        profiles.push(profile);
+      } catch (e) {
+        console.log('[Twitter Picker] Profile fetch failed for', username, e.message);
+      }
+    }
+
+    if (profiles.length > 0) saveToStorage();
+    return profiles;
+  }
+
+  // Keep collected values when the profile lookup didn't return a field
+  function withoutEmptyFields(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ''));
+  }
+
+  // Check (user -> account) pairs with one relationship lookup each
+  // All lookups are queued at once; the scheduler paces them against the endpoint's rate limit
+  // If the relationship endpoint fails for a user, their following list is scanned instead
+  // Returns [{ username, account, follows }] or [{ username, account, error }]
+  async function checkFollowsBulk(pairs) {
+    const byUser = new Map();
+    for (const pair of pairs) {
+      if (!isValidScreenName(pair?.username) || !isValidScreenName(pair?.account)) continue;
+      const key = pair.username.toLowerCase();
+      if (!byUser.has(key)) byUser.set(key, new Set());
+      byUser.get(key).add(pair.account.toLowerCase());
+    }
+
+    const perUser = await Promise.all(Array.from(byUser.entries()).map(async ([username, accounts]) => {
+      const results = await Promise.all(Array.from(accounts).map(async account => {
+        try {
+          return { username, account, follows: await fetchRelationship(username, account) };
+        } catch (e) {
+          return { username, account, error: e.message, status: e.status };
+        }
+      }));
+
+      // Rate-limited lookups were already retried by the scheduler, scanning won't do better
+      const failed = results.filter(r => r.error && r.status !== 429);
+      if (failed.length === 0) return results;
+
+      const fallback = await checkUserFollowsAccounts(username, failed.map(r => r.account));
+      return results.map(r => {
+        if (!failed.includes(r)) return r;
+        return fallback.results
+          ? { username, account: r.account, follows: fallback.results[r.account] }
+          : { username, account: r.account, error: fallback.error || r.error };
+      });
+    }));
+
+    return perUser.flat().map(({ status, ...result }) => result);
+  }
+
+  function isValidScreenName(name) {
+    return typeof name === 'string' && /^[a-zA-Z0-9_]{1,15}$/.test(name);
+  }
+
+  // Does `source` follow `target`? (friendships/show relationship lookup)
+  async function fetchRelationship(source, target) {
+    const url = `https://x.com/i/api/1.1/friendships/show.json?source_screen_name=${encodeURIComponent(source)}&target_screen_name=${encodeURIComponent(target)}`;
+    const data = await authenticatedFetch(url, { headers: API_HEADERS }, 15000);
+
+    const following = data?.relationship?.source?.following;
+    if (typeof following !== 'boolean') {
+      throw new Error('Could not parse relationship - Twitter API may have changed');
+    }
+    return following;
+  }
+
   // Check if a user follows all the required accounts
   async function checkUserFollowsAccounts(username, requiredAccounts) {
     try {
@@ -685,49 +1465,6 @@
     let cursor = null;
     const foundRequired = new Set();
 
-    const features = {
-      hidden_profile_subscriptions_enabled: true,
-      hidden_profile_likes_enabled: true,
-      rweb_tipjar_consumption_enabled: true,
-      responsive_web_graphql_exclude_directive_enabled: true,
-      verified_phone_label_enabled: false,
-      creator_subscriptions_tweet_preview_api_enabled: true,
-      responsive_web_graphql_timeline_navigation_enabled: true,
-      responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
-      communities_web_enable_tweet_community_results_fetch: true,
-      c9s_tweet_anatomy_moderator_badge_enabled: true,
-      articles_preview_enabled: true,
-      responsive_web_edit_tweet_api_enabled: true,
-      graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
-      view_counts_everywhere_api_enabled: true,
-      longform_notetweets_consumption_enabled: true,
-      responsive_web_twitter_article_tweet_consumption_enabled: true,
-      tweet_awards_web_tipping_enabled: false,
-      creator_subscriptions_quote_tweet_preview_enabled: false,
-      freedom_of_speech_not_reach_fetch_enabled: true,
-      standardized_nudges_misinfo: true,
-      tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
-      rweb_video_timestamps_enabled: true,
-      longform_notetweets_rich_text_read_enabled: true,
-      longform_notetweets_inline_media_enabled: true,
-      responsive_web_enhance_cards_enabled: false,
-      tweetypie_unmention_optimization_enabled: true,
-      responsive_web_media_download_video_enabled: true,
-      responsive_web_twitter_blue_verified_badge_is_enabled: true,
-      responsive_web_text_conversations_enabled: true,
-      responsive_web_twitter_article_data_v2_enabled: true,
-      blue_business_profile_image_shape_enabled: true,
-      profile_foundations_tweet_stats_enabled: true,
-      profile_foundations_tweet_stats_tweet_frequency: true,
-      responsive_web_birdwatch_note_limit_enabled: true,
-      interactive_text_enabled: true,
-      longform_notetweets_richtext_consumption_enabled: true,
-      responsive_web_home_pinned_timelines_enabled: true,
-      rweb_lists_timeline_redesign_enabled: true,
-      spaces_2022_h2_clipping: true,
-      spaces_2022_h2_spaces_communities: true
-    };
-
     // Paginate through following list (up to maxPages, but stop early if all required accounts found)
     for (let page = 0; page < maxPages; page++) {
       const variables = {
@@ -741,17 +1478,8 @@
         variables.cursor = cursor;
       }
 
-      const url = `https://x.com/i/api/graphql/PAnE9toEjRfE-4tozRcsfw/Following?variables=${encodeURIComponent(JSON.stringify(variables))}&features=${encodeURIComponent(JSON.stringify(features))}`;
-
       // Use authenticated fetch through injected script (has Twitter's auth)
-      const data = await authenticatedFetch(url, {
-        headers: {
-          'accept': '*/*',
-          'content-type': 'application/json',
-          'x-twitter-active-user': 'yes',
-          'x-twitter-client-language': 'en'
-        }
-      }, 15000);
+      const data = await graphqlFetch('Following', variables);
 
       // Check for API errors
       if (data?.errors?.length > 0) {
@@ -859,77 +1587,27 @@
       }
 
       cursor = nextCursor;
-
-      // Small delay between pages to avoid rate limiting
-      if (page < maxPages - 1) {
-        await sleep(300);
-      }
     }
 
     return following;
   }
 
   // Fetch user info by screen name
+  async function getAccountUserId(screenName) {
+    const userInfo = await fetchUserByScreenName(screenName);
+    if (!userInfo?.rest_id) {
+      throw new Error('Could not find user: ' + screenName);
+    }
+    return userInfo.rest_id;
+  }
+
   async function fetchUserByScreenName(screenName) {
     const variables = {
       screen_name: screenName,
       withSafetyModeUserFields: true
     };
 
-    const features = {
-      hidden_profile_subscriptions_enabled: true,
-      hidden_profile_likes_enabled: true,
-      rweb_tipjar_consumption_enabled: true,
-      responsive_web_graphql_exclude_directive_enabled: true,
-      verified_phone_label_enabled: false,
-      subscriptions_verification_info_is_identity_verified_enabled: true,
-      subscriptions_verification_info_verified_since_enabled: true,
-      highlights_tweets_tab_ui_enabled: true,
-      responsive_web_twitter_article_notes_tab_enabled: true,
-      subscriptions_feature_can_gift_premium: true,
-      creator_subscriptions_tweet_preview_api_enabled: true,
-      responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
-      responsive_web_graphql_timeline_navigation_enabled: true,
-      tweetypie_unmention_optimization_enabled: true,
-      responsive_web_media_download_video_enabled: true,
-      responsive_web_twitter_blue_verified_badge_is_enabled: true,
-      responsive_web_text_conversations_enabled: true,
-      responsive_web_twitter_article_data_v2_enabled: true,
-      blue_business_profile_image_shape_enabled: true,
-      profile_foundations_tweet_stats_enabled: true,
-      profile_foundations_tweet_stats_tweet_frequency: true,
-      responsive_web_birdwatch_note_limit_enabled: true,
-      interactive_text_enabled: true,
-      longform_notetweets_richtext_consumption_enabled: true,
-      responsive_web_home_pinned_timelines_enabled: true,
-      freedom_of_speech_not_reach_fetch_enabled: true,
-      graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
-      view_counts_everywhere_api_enabled: true,
-      longform_notetweets_consumption_enabled: true,
-      longform_notetweets_rich_text_read_enabled: true,
-      longform_notetweets_inline_media_enabled: true,
-      responsive_web_enhance_cards_enabled: false,
-      responsive_web_edit_tweet_api_enabled: true,
-      standardized_nudges_misinfo: true,
-      rweb_lists_timeline_redesign_enabled: true,
-      c9s_tweet_anatomy_moderator_badge_enabled: true
-    };
-
-    const fieldToggles = {
-      withAuxiliaryUserLabels: false
-    };
-
-    const url = `https://x.com/i/api/graphql/xc8f1g7BYqr6VTzTbvNlGw/UserByScreenName?variables=${encodeURIComponent(JSON.stringify(variables))}&features=${encodeURIComponent(JSON.stringify(features))}&fieldToggles=${encodeURIComponent(JSON.stringify(fieldToggles))}`;
-
-    // Use authenticated fetch through injected script (has Twitter's auth)
-    const data = await authenticatedFetch(url, {
-      headers: {
-        'accept': '*/*',
-        'content-type': 'application/json',
-        'x-twitter-active-user': 'yes',
-        'x-twitter-client-language': 'en'
-      }
-    }, 15000);
+    const data = await graphqlFetch('UserByScreenName', variables);
 
     return data?.data?.user?.result;
   }
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// content.js is a classic content script, so it runs here in a sandbox with stand-ins for the
+// page (window), the extension APIs (chrome) and injected.js (which answers fetch requests)
+const source = readFileSync(new URL('./content.js', import.meta.url), 'utf8');
+const ORIGIN = 'https://x.com';
+
+function loadContentScript(respond) {
+  const storage = {};
+  const writes = [];
+  const sent = [];
+  const windowListeners = [];
+  let onMessage = null;
+
+  const window = {
+    location: { origin: ORIGIN, pathname: '/i/status/1', href: `${ORIGIN}/i/status/1` },
+    addEventListener: (type, listener) => {
+      if (type === 'message') windowListeners.push(listener);
+    },
+    postMessage: (message) => {
+      if (message.type !== 'TWITTER_PICKER_FETCH_REQUEST') return;
+      const url = new URL(message.url);
+      const name = url.pathname.split('/').pop();
+      const variables = JSON.parse(url.searchParams.get('variables'));
+      const data = respond(name, variables);
+      setTimeout(() => windowListeners.forEach(listener => listener({
+        origin: ORIGIN,
+        data: { type: 'TWITTER_PICKER_FETCH_RESPONSE', requestId: message.requestId, data, status: 200 }
+      })));
+    }
+  };
+
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries([].concat(keys)
+          .filter(key => key in storage)
+          .map(key => [key, structuredClone(storage[key])])),
+        set: async (items) => {
+          for (const [key, value] of Object.entries(items)) {
+            storage[key] = structuredClone(value);
+            writes.push({ key, value: structuredClone(value) });
+          }
+        },
+        remove: async (keys) => {
+          [].concat(keys).forEach(key => delete storage[key]);
+        }
+      }
+    },
+    runtime: {
+      onMessage: { addListener: (listener) => { onMessage = listener; } },
+      sendMessage: async (message) => { sent.push(message); }
+    }
+  };
+
+  vm.runInNewContext(source, { window, chrome, console, setTimeout, clearTimeout, URL, AbortController });
+
+  const send = message => new Promise(resolve => onMessage(message, {}, resolve));
+  return { storage, writes, sent, send };
+}
+
+// One Retweeters/Followers timeline page; `cursor` is the bottom cursor (none on the last page)
+function timelinePage(root, usernames, cursor = null) {
+  const entries = usernames.map(name => ({
+    entryId: `user-${name}`,
+    content: { itemContent: { user_results: { result: { __typename: 'User', rest_id: `id_${name}`, legacy: { screen_name: name } } } } }
+  }));
+  if (cursor) entries.push({ entryId: `cursor-bottom-${cursor}`, content: { value: cursor } });
+  return { data: root({ timeline: { instructions: [{ entries }] } }) };
+}
+
+const retweetersPage = (usernames, cursor) => timelinePage(t => ({ retweeters_timeline: t }), usernames, cursor);
+const followersPage = (usernames, cursor) => timelinePage(t => ({ user: { result: { timeline: t } } }), usernames, cursor);
+
+// Pages keyed by the cursor that requests them ('' for the first page)
+function pagedResponder(pages) {
+  return (name, variables) => pages[variables.cursor || ''];
+}
+
+describe('collectTimeline', () => {
+  it('should store each page\'s users before saving the cursor that follows it', async () => {
+    const pages = {
+      '': retweetersPage(['alice', 'bob'], 'c1'),
+      'c1': retweetersPage(['carol'], 'c2'),
+      'c2': retweetersPage(['dave'])
+    };
+    const { writes, send } = loadContentScript(pagedResponder(pages));
+
+    const result = await send({ type: 'START_COLLECT', collectType: 'retweeters', tweetId: '1' });
+    expect(result).toEqual({ success: true, count: 4 });
+
+    // Every saved cursor must find the users of the pages before it already stored
+    const expectedBefore = { c1: ['alice', 'bob'], c2: ['alice', 'bob', 'carol'] };
+    let stored = [];
+    const checked = [];
+    for (const { key, value } of writes) {
+      if (key === 'collectedData') stored = value.retweeters.map(u => u.username);
+      if (key !== 'collectionCheckpoints') continue;
+      const checkpoint = value['1:retweeters'];
+      if (checkpoint.cursor) {
+        expect(stored).toEqual(expect.arrayContaining(expectedBefore[checkpoint.cursor]));
+        checked.push(checkpoint.cursor);
+      }
+      if (checkpoint.status === 'complete') {
+        expect(stored).toHaveLength(4);
+      }
+    }
+    expect(checked).toEqual(['c1', 'c2']);
+  });
+});
+
+describe('collectTimeline paging', () => {
+  it('should keep paging past a page of users it already has', async () => {
+    const pages = {
+      '': retweetersPage(['alice', 'bob'], 'c1'),
+      'c1': retweetersPage(['alice', 'bob'], 'c2'),
+      'c2': retweetersPage(['carol'])
+    };
+    const { send } = loadContentScript(pagedResponder(pages));
+
+    const result = await send({ type: 'START_COLLECT', collectType: 'retweeters', tweetId: '1' });
+    expect(result).toEqual({ success: true, count: 3 });
+  });
+
+  it('should stop when a cursor comes round again', async () => {
+    const requested = [];
+    const pages = {
+      '': retweetersPage(['alice'], 'c1'),
+      'c1': retweetersPage(['bob'], 'c2'),
+      'c2': retweetersPage(['carol'], 'c1')
+    };
+    const { storage, send } = loadContentScript((name, variables) => {
+      requested.push(variables.cursor || '');
+      return pages[variables.cursor || ''];
+    });
+
+    const result = await send({ type: 'START_COLLECT', collectType: 'retweeters', tweetId: '1' });
+    expect(result).toEqual({ success: true, count: 3 });
+    expect(requested).toEqual(['', 'c1', 'c2']);
+    expect(storage.collectionCheckpoints['1:retweeters'].status).toBe('complete');
+  });
+});
+
+describe('follower collection', () => {
+  function followerResponder(pages) {
+    return (name, variables) => name === 'UserByScreenName'
+      ? { data: { user: { result: { rest_id: '99', legacy: { screen_name: variables.screen_name } } } } }
+      : pages[variables.cursor || ''];
+  }
+
+  it('should mark a list paged to the end as the full list', async () => {
+    const pages = {
+      '': followersPage(['alice'], 'c1'),
+      'c1': followersPage(['bob'])
+    };
+    const { storage, sent, send } = loadContentScript(followerResponder(pages));
+
+    await send({ type: 'START_COLLECT', collectType: 'followers', tweetId: '1', accountUsername: 'Sponsor' });
+
+    const checkpoint = storage.collectionCheckpoints['1:followers:sponsor'];
+    expect(checkpoint).toMatchObject({ status: 'complete', reachedEnd: true });
+    const update = sent.find(m => m.type === 'UPDATE_FOLLOWERS');
+    expect(update.account).toBe('sponsor');
+    expect(update.users.map(u => u.username)).toEqual(['alice', 'bob']);
+  });
+
+  it('should not mark a list as full when paging fails and it falls back to scrolling', async () => {
+    const pages = { '': followersPage(['alice'], 'c1') };
+    const { storage, sent, send } = loadContentScript(followerResponder(pages));
+
+    const result = await send({ type: 'START_COLLECT', collectType: 'followers', tweetId: '1', accountUsername: 'Sponsor' });
+    expect(result).toEqual({ success: true, navigating: true });
+
+    expect(storage.collectionCheckpoints['1:followers:sponsor']).toMatchObject({ status: 'running', reachedEnd: false });
+    expect(sent.some(m => m.type === 'UPDATE_FOLLOWERS')).toBe(false);
+  });
+});
@@ -44,12 +44,17 @@
 
       console.log('[Twitter Picker Injected] Response status:', response.status);
 
+      // Rate-limit headers let the content script schedule requests instead of guessing delays
+      const rateLimit = getRateLimit(response.headers);
+
       if (!response.ok) {
         const errorText = await response.text().catch(() => 'Could not read error body');
         console.error('[Twitter Picker Injected] Request failed:', response.status, errorText.substring(0, 200));
         window.postMessage({
           type: 'TWITTER_PICKER_FETCH_RESPONSE',
           requestId,
+          status: response.status,
+          rateLimit,
           error: `HTTP ${response.status}: ${errorText.substring(0, 100)}`
         }, window.location.origin);
         return;
@@ -59,6 +64,8 @@
       window.postMessage({
         type: 'TWITTER_PICKER_FETCH_RESPONSE',
         requestId,
+        status: response.status,
+        rateLimit,
         data
       }, window.location.origin);
     } catch (e) {
@@ -69,6 +76,21 @@
       }, window.location.origin);
     }
   });
+
+  // Read x-rate-limit-* headers (reset is a Unix timestamp in seconds)
+  function getRateLimit(headers) {
+    const read = (name) => {
+      const value = parseInt(headers.get(name), 10);
+      return Number.isFinite(value) ? value : null;
+    };
+    const rateLimit = {
+      limit: read('x-rate-limit-limit'),
+      remaining: read('x-rate-limit-remaining'),
+      reset: read('x-rate-limit-reset')
+    };
+    return rateLimit.remaining === null && rateLimit.reset === null ? null : rateLimit;
+  }
+
   window.fetch = async function(...args) {
     const response = await originalFetch.apply(this, args);
 
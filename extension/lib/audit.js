@@ -0,0 +1,369 @@
+/**
+ * Draw record utilities
+ * A draw record is everything needed to re-run a seeded draw offline: the collected users,
+ * the rule and filters that turned them into entrants, the seed and the published winners.
+ * The verifier page (verify.html) re-runs it with the same eligibility and shuffle code as the picker.
+ */
+
+import {
+  calculateEligible,
+  applyFilters,
+  createFilterPredicate,
+  buildSourceIndex,
+  createUserFacts,
+  evaluateRequirement,
+  getRequirementAccounts,
+  normalizeEntryWeights,
+  hasEntryWeights,
+  calculateEntryTickets,
+  formatRequirement
+} from './eligibility.js';
+import {
+  sha256Hex,
+  hashEntrants,
+  verifyCommitment,
+  deriveBeaconSeed,
+  seededShuffle,
+  seededWeightedShuffle,
+  promoteAlternate
+} from './draw.js';
+import { normalizeTiers, createDefaultTiers, getTierFilters, drawTiers } from './tiers.js';
+import { canonicalize } from './receipt.js';
+
+// Bump when the record layout or any step of the draw changes
+export const DRAW_RECORD_VERSION = 2;
+
+// Shuffle algorithm of this version (see lib/draw.js)
+export const DRAW_ALGORITHM = 'sha256-counter-fisher-yates';
+
+// Same random stream, weighted sampling without replacement (draws with bonus entries)
+export const WEIGHTED_DRAW_ALGORITHM = 'sha256-counter-weighted-sampling';
+
+// What each draw setting is called when the reveal finds it changed since the commitment
+const DRAW_SETTING_LABELS = {
+  requirement: 'rule',
+  replyRules: 'reply rules',
+  filters: 'filters',
+  tiers: 'prize tiers',
+  winnerCount: 'winner count',
+  alternateCount: 'alternate count'
+};
+
+/**
+ * Settings a fair draw commits to along with its entrants: everything besides the shuffle that
+ * decides who wins which prize. Published as a hash, so they can't be changed once the seed is known.
+ * @param {Object} options
+ * @param {Object|null} options.requirement - Requirement tree
+ * @param {Object|null} options.replyRules - Reply rules
+ * @param {Object} options.filters - Draw filters (see applyFilters)
+ * @param {Array} options.tiers - Prize tiers (see lib/tiers.js); empty for a single list of winners
+ * @param {number} options.winnerCount - Winners in total
+ * @param {number} options.alternateCount - Alternates drawn after the winners
+ * @returns {Object} Settings, normalized so the popup and the verifier hash the same JSON
+ */
+export function createDrawSettings({
+  requirement = null,
+  replyRules = null,
+  filters = {},
+  tiers = [],
+  winnerCount = 1,
+  alternateCount = 0
+}) {
+  return {
+    requirement: requirement ?? null,
+    replyRules: replyRules || null,
+    filters: filters || {},
+    tiers: normalizeTiers(tiers),
+    winnerCount: parseInt(winnerCount) || 0,
+    alternateCount: parseInt(alternateCount) || 0
+  };
+}
+
+/**
+ * SHA-256 of the canonical JSON of the draw settings
+ * @param {Object} settings - Result of createDrawSettings
+ * @returns {Promise<string>} Hex hash
+ */
+export async function hashDrawSettings(settings) {
+  return sha256Hex(canonicalize(settings));
+}
+
+/**
+ * Names of the settings that differ between two sets of draw settings
+ * @param {Object} committed - Settings in the commitment
+ * @param {Object} current - Settings now
+ * @returns {Array<string>} e.g. ['rule', 'prize tiers']
+ */
+export function getChangedDrawSettings(committed, current) {
+  return Object.keys(DRAW_SETTING_LABELS)
+    .filter(key => canonicalize(committed?.[key] ?? null) !== canonicalize(current?.[key] ?? null))
+    .map(key => DRAW_SETTING_LABELS[key]);
+}
+
+/**
+ * One-line summary of the draw settings for the commitment text (the hash covers the filters)
+ * @param {Object} settings - Result of createDrawSettings
+ * @returns {string} e.g. 'rule retweet AND like; Grand x1 (minFollowers=100), Stickers x3; 2 alternates'
+ */
+export function formatDrawSettings({ requirement, tiers, winnerCount, alternateCount }) {
+  const prizes = tiers.length > 0
+    ? tiers.map(tier => {
+      const filters = Object.entries(tier.filters).map(([key, value]) => `${key}=${value}`).join(', ');
+      return `${tier.name} x${tier.count}` + (filters ? ` (${filters})` : '');
+    }).join(', ')
+    : `${winnerCount} winner${winnerCount === 1 ? '' : 's'}`;
+  return `rule ${formatRequirement(requirement) || 'none'}; ${prizes}; ` +
+    `${alternateCount} alternate${alternateCount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the exportable record of a revealed draw
+ * @param {Object} options
+ * @param {Object} options.draw - Revealed draw commitment (source, seed, commitment, beacon fields, entrantsHash,
+ *   settings and settingsHash from createDrawSettings, ...)
+ * @param {Object} options.inputs - retweeters, likers, repliers, quoters, followers, replyRules, requirement, filters,
+ *   verifiedFollows, entryWeights (bonus entries; makes the record a weighted draw)
+ * @param {Object} options.followChecks - Follow results used while picking (lowercase username -> account -> boolean)
+ * @param {Array} options.tiers - Prize tiers of the draw (see lib/tiers.js); empty for a single list of winners
+ * @param {Array<{username: string, position: number, tier: string}>} options.winners - Published winners, as drawn
+ * @param {Array<{username: string, position: number}>} options.alternates - Alternates, as drawn
+ * @param {Array<Object>} options.replacements - Winners replaced by alternates since (see promoteAlternate)
+ * @param {Map<string, number>} options.tickets - Tickets per entrant of a weighted draw, listed for readers
+ * @param {number} options.exportedAt - Export time (defaults to now)
+ * @returns {Object} Draw record
+ */
+export function buildDrawRecord({
+  draw,
+  inputs,
+  followChecks = {},
+  tiers = [],
+  winners,
+  alternates = [],
+  replacements = [],
+  tickets = null,
+  exportedAt = Date.now()
+}) {
+  const weighted = hasEntryWeights(inputs.entryWeights);
+  return {
+    version: DRAW_RECORD_VERSION,
+    algorithm: weighted ? WEIGHTED_DRAW_ALGORITHM : DRAW_ALGORITHM,
+    tweetId: draw.tweetId || null,
+    exportedAt,
+    draw: {
+      source: draw.source === 'beacon' ? 'beacon' : 'seed',
+      seed: draw.seed,
+      commitment: draw.commitment || null,
+      beaconSource: draw.beaconSource || null,
+      beacon: draw.beacon || null,
+      seedInput: draw.seedInput || null,
+      entrantsHash: draw.entrantsHash,
+      entrantCount: draw.entrantCount,
+      // The rest of the committed settings are the inputs and tiers below
+      settingsHash: draw.settingsHash || null,
+      winnerCount: draw.settings?.winnerCount ?? winners.length,
+      alternateCount: draw.settings?.alternateCount ?? alternates.length,
+      committedAt: draw.committedAt,
+      revealedAt: draw.revealedAt
+    },
+    inputs: {
+      retweeters: inputs.retweeters || [],
+      likers: inputs.likers || [],
+      repliers: inputs.repliers || [],
+      quoters: inputs.quoters || [],
+      followers: inputs.followers || {},
+      replyRules: inputs.replyRules || null,
+      requirement: inputs.requirement ?? null,
+      filters: inputs.filters || {},
+      verifiedFollows: inputs.verifiedFollows || {},
+      ...(weighted ? { entryWeights: normalizeEntryWeights(inputs.entryWeights) } : {})
+    },
+    ...(weighted ? { tickets: Object.fromEntries(tickets || []) } : {}),
+    followChecks,
+    tiers,
+    winners: winners.map(w => (w.tier && tiers.length > 0
+      ? { username: w.username, position: w.position, tier: w.tier }
+      : { username: w.username, position: w.position })),
+    alternates: alternates.map(w => ({ username: w.username, position: w.position })),
+    replacements
+  };
+}
+
+/**
+ * Follow results that decided who entered: everything except results for entrants themselves,
+ * which may have been checked only while picking (after the entrant list was committed)
+ * @param {Object} verifiedFollows - Lowercase username -> account -> boolean
+ * @param {Array<string>} entrants - Committed entrant usernames
+ * @returns {Object} Follow results without the entrants
+ */
+export function getEntrantFollows(verifiedFollows, entrants) {
+  const entrantSet = new Set(entrants.map(u => u.toLowerCase()));
+  return Object.fromEntries(
+    Object.entries(verifiedFollows || {}).filter(([username]) => !entrantSet.has(username))
+  );
+}
+
+/**
+ * Re-run a draw record: eligibility and filters, seed, seeded shuffle and follow checks
+ * @param {Object} record - Draw record (see buildDrawRecord)
+ * @returns {Promise<Object>} { ok, checks: [{ label, ok, detail }], entrants, tickets (weighted draws, else null),
+ *   expectedWinners, expectedAlternates }
+ */
+export async function verifyDrawRecord(record) {
+  const checks = [];
+  const check = (label, ok, detail) => {
+    checks.push({ label, ok, detail });
+    return ok;
+  };
+
+  const weighted = record?.algorithm === WEIGHTED_DRAW_ALGORITHM;
+  if (!check('Record format',
+    record?.version === DRAW_RECORD_VERSION && (record?.algorithm === DRAW_ALGORITHM || weighted),
+    `version ${record?.version ?? '?'}, ${record?.algorithm ?? 'unknown algorithm'}`)) {
+    return { ok: false, checks, entrants: [], tickets: null, expectedWinners: [], expectedAlternates: [] };
+  }
+
+  const { draw, inputs, followChecks = {}, tiers = [], winners = [], alternates = [], replacements = [] } = record;
+
+  // 1. Entrants: same rule, filters and follow results as the picker
+  const eligible = calculateEligible({
+    retweeters: inputs.retweeters,
+    likers: inputs.likers,
+    repliers: inputs.repliers,
+    quoters: inputs.quoters,
+    followers: inputs.followers,
+    replyRules: inputs.replyRules,
+    requirement: inputs.requirement,
+    verifiedFollows: inputs.verifiedFollows
+  });
+  const entrants = applyFilters(eligible, inputs.filters);
+
+  // Weighted draws commit to each entrant's tickets along with the list
+  const tickets = weighted
+    ? calculateEntryTickets(entrants, { ...inputs, weights: inputs.entryWeights })
+    : null;
+  const entrantsHash = await hashEntrants(entrants, tickets);
+  check(weighted ? 'Entrant list and tickets match the commitment' : 'Entrant list matches the commitment',
+    entrantsHash === draw.entrantsHash,
+    `${entrants.length} entrants` + (tickets ? `, ${sumTickets(tickets)} tickets` : '') + `, list hash ${entrantsHash}`);
+  if (tickets && record.tickets) {
+    const wrong = Array.from(tickets).filter(([username, count]) => record.tickets[username] !== count);
+    check('Listed tickets match the bonus entries', wrong.length === 0 &&
+      Object.keys(record.tickets).length === tickets.size,
+      wrong.length > 0 ? wrong.slice(0, 5).map(([u, count]) => `@${u} has ${count}`).join(', ') : 'Recomputed from the inputs');
+  }
+
+  // 2. Settings: the rule, filters, tiers and counts the draw re-runs with are the committed ones
+  const settings = createDrawSettings({
+    requirement: inputs.requirement,
+    replyRules: inputs.replyRules,
+    filters: inputs.filters,
+    tiers,
+    winnerCount: draw.winnerCount,
+    alternateCount: draw.alternateCount
+  });
+  const settingsHash = await hashDrawSettings(settings);
+  check('Draw settings match the commitment', settingsHash === draw.settingsHash,
+    `${formatDrawSettings(settings)}, settings hash ${settingsHash}`);
+
+  // 3. Seed: matches the published hash, or is derived from the beacon value
+  if (draw.source === 'beacon') {
+    let derived = null;
+    try {
+      derived = await deriveBeaconSeed(draw.beacon, draw.entrantsHash);
+    } catch (e) {}
+    check('Seed comes from the beacon', derived?.seed === draw.seed,
+      derived ? `SHA-256("${derived.input}")` : 'No beacon value in the record');
+  } else {
+    check('Seed matches the published seed hash', await verifyCommitment(draw.seed, draw.commitment),
+      `SHA-256 of the seed vs ${draw.commitment}`);
+  }
+
+  // 4. Shuffle and fill the tiers, then alternates, in order, skipping candidates that failed a follow check
+  const shuffled = tickets
+    ? await seededWeightedShuffle(entrants, tickets, draw.seed)
+    : await seededShuffle(entrants, draw.seed);
+  const sourceIndex = buildSourceIndex({
+    retweeters: inputs.retweeters,
+    likers: inputs.likers,
+    repliers: inputs.repliers,
+    quoters: inputs.quoters,
+    replyRules: inputs.replyRules,
+    followers: inputs.followers
+  });
+  const checksFollows = getRequirementAccounts(inputs.requirement).length > 0;
+
+  const drawTierList = settings.tiers.length > 0 ? settings.tiers : createDefaultTiers(settings.winnerCount);
+  const picked = drawTiers(shuffled, drawTierList, inputs.filters, {
+    isExcluded: u => checksFollows && evaluateRequirement(inputs.requirement,
+      createUserFacts(sourceIndex, u.username, followChecks[u.username.toLowerCase()] || {})) !== true,
+    alternateCount: settings.alternateCount
+  });
+  const toPick = w => (tiers.length > 0
+    ? { username: w.username, position: w.position, tier: w.tier }
+    : { username: w.username, position: w.position });
+  const expectedWinners = picked.winners.map(toPick);
+  const expectedAlternates = picked.alternates.map(w => ({ username: w.username, position: w.position }));
+  const picks = [...expectedWinners, ...expectedAlternates];
+
+  check('Published winners match the re-run draw', samePicks(expectedWinners, winners),
+    formatPicks(expectedWinners) || 'no winners');
+  if (alternates.length > 0 || expectedAlternates.length > 0) {
+    check('Alternates match the re-run draw', samePicks(expectedAlternates, alternates),
+      formatPicks(expectedAlternates) || 'no alternates');
+  }
+
+  // 5. Replacements: each one promotes the next alternate in order, then the rest of the shuffle,
+  // and the promoted user must meet the filters of the tier they take over
+  if (replacements.length > 0) {
+    const lastPosition = Math.max(0, ...picks.map(p => p.position));
+    const rest = shuffled.slice(lastPosition).map((u, i) => ({ username: u.username, position: lastPosition + i + 1 }));
+    const entrantsByName = new Map(shuffled.map(u => [u.username.toLowerCase(), u]));
+    const tierChecks = new Map(tiers.length > 0
+      ? drawTierList.map(tier => [tier.name, createFilterPredicate(getTierFilters(inputs.filters, tier), shuffled)])
+      : []);
+    let current = { winners: expectedWinners, alternates: [...expectedAlternates, ...rest] };
+    let error = null;
+    for (const replacement of replacements) {
+      try {
+        current = promoteAlternate(current, replacement.replaced, replacement.reason, replacement.replacedAt,
+          Array.isArray(replacement.skipped) ? replacement.skipped : []);
+      } catch (e) {
+        error = e.message;
+        break;
+      }
+      const { promoted, slot } = current.replacements[current.replacements.length - 1];
+      if (promoted.toLowerCase() !== String(replacement.promoted).toLowerCase()) {
+        error = `@${replacement.promoted} was promoted instead of @${promoted}`;
+        break;
+      }
+      const tierName = current.winners[slot - 1].tier;
+      const passesTier = tierChecks.get(tierName);
+      if (passesTier && !passesTier(entrantsByName.get(promoted.toLowerCase()))) {
+        error = `@${promoted} does not meet the ${tierName} filters`;
+        break;
+      }
+    }
+    check('Replacements promote alternates in order', !error,
+      error || replacements.map(r => `@${r.replaced} -> @${r.promoted} (${r.reason})` +
+        (r.skipped?.length ? `, passing over ${r.skipped.map(s => '@' + s.username).join(' ')}` : '')).join(', '));
+  }
+
+  return { ok: checks.every(c => c.ok), checks, entrants, tickets, expectedWinners, expectedAlternates };
+}
+
+function sumTickets(tickets) {
+  let total = 0;
+  for (const count of tickets.values()) total += count;
+  return total;
+}
+
+function samePicks(expected, published) {
+  return expected.length === published.length && expected.every((w, i) =>
+    w.username.toLowerCase() === String(published[i].username).toLowerCase() &&
+    w.position === published[i].position &&
+    (w.tier || null) === (published[i].tier || null));
+}
+
+function formatPicks(picks) {
+  return picks.map(w => (w.tier ? `${w.tier}: ` : '') + `@${w.username} (#${w.position})`).join(', ');
+}
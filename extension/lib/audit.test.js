@@ -0,0 +1,329 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DRAW_RECORD_VERSION,
+  WEIGHTED_DRAW_ALGORITHM,
+  buildDrawRecord,
+  createDrawSettings,
+  hashDrawSettings,
+  getChangedDrawSettings,
+  formatDrawSettings,
+  getEntrantFollows,
+  verifyDrawRecord
+} from './audit.js';
+import { calculateEligible, applyFilters, buildRequirementTree, calculateEntryTickets } from './eligibility.js';
+import {
+  createCommitment,
+  deriveBeaconSeed,
+  seededShuffle,
+  seededWeightedShuffle,
+  hashEntrants,
+  promoteAlternate
+} from './draw.js';
+import { drawTiers, normalizeTiers, createDefaultTiers } from './tiers.js';
+
+const SEED = 'a'.repeat(64);
+
+// Helper to create users with profile data
+function createUsers(count, prefix = 'user') {
+  return Array.from({ length: count }, (_, i) => ({ username: `${prefix}${i}`, followerCount: i * 10 }));
+}
+
+// Run a draw the way the popup does and export it
+async function createRecord({
+  requirement,
+  filters = {},
+  followChecks = {},
+  count = 2,
+  tiers = [],
+  alternateCount = 0,
+  source = 'seed',
+  entryWeights = null
+} = {}) {
+  const retweeters = createUsers(20);
+  const likers = createUsers(15);
+  const inputs = { retweeters, likers, requirement, filters, verifiedFollows: {}, entryWeights };
+  const drawTierList = tiers.length > 0 ? normalizeTiers(tiers) : createDefaultTiers(count);
+  const settings = createDrawSettings({
+    requirement,
+    filters,
+    tiers,
+    winnerCount: drawTierList.reduce((sum, tier) => sum + tier.count, 0),
+    alternateCount
+  });
+
+  const entrants = applyFilters(calculateEligible(inputs), filters);
+  const tickets = entryWeights ? calculateEntryTickets(entrants, { ...inputs, weights: entryWeights }) : null;
+  let draw;
+  if (source === 'beacon') {
+    const entrantsHash = await hashEntrants(entrants, tickets);
+    const { seed, input } = await deriveBeaconSeed('block-hash', entrantsHash);
+    draw = { source, seed, beacon: 'block-hash', seedInput: input, beaconSource: 'Block 1', entrantsHash, entrantCount: entrants.length };
+  } else {
+    draw = { source, seed: SEED, ...(await createCommitment(SEED, entrants, tickets)) };
+  }
+  draw = { ...draw, settings, settingsHash: await hashDrawSettings(settings) };
+
+  const shuffled = tickets
+    ? await seededWeightedShuffle(entrants, tickets, draw.seed)
+    : await seededShuffle(entrants, draw.seed);
+  const { winners, alternates } = drawTiers(shuffled, drawTierList, filters, {
+    isExcluded: u => followChecks[u.username]?.sponsor === false,
+    alternateCount
+  });
+
+  return buildDrawRecord({
+    draw,
+    inputs,
+    followChecks,
+    tiers: settings.tiers,
+    winners,
+    alternates,
+    tickets,
+    exportedAt: 1
+  });
+}
+
+describe('buildDrawRecord', () => {
+  it('should stamp the version and keep only the published winner fields', () => {
+    const record = buildDrawRecord({
+      draw: { seed: SEED, commitment: 'c', entrantsHash: 'h', entrantCount: 1 },
+      inputs: {},
+      winners: [{ username: 'alice', position: 1, followerCount: 5 }],
+      exportedAt: 1
+    });
+
+    expect(record.version).toBe(DRAW_RECORD_VERSION);
+    expect(record.draw.source).toBe('seed');
+    expect(record.winners).toEqual([{ username: 'alice', position: 1 }]);
+    expect(record.inputs.retweeters).toEqual([]);
+  });
+});
+
+describe('getEntrantFollows', () => {
+  it('should drop follow results of committed entrants', () => {
+    const follows = { alice: { sponsor: false }, bob: { sponsor: false } };
+
+    expect(getEntrantFollows(follows, ['Alice'])).toEqual({ bob: { sponsor: false } });
+  });
+});
+
+describe('draw settings', () => {
+  const requirement = buildRequirementTree({ requireRetweet: true, requireLike: true });
+  const settings = {
+    requirement,
+    replyRules: null,
+    filters: { minFollowers: 20, now: 1 },
+    tiers: [{ name: 'Grand', count: '1', filters: { minFollowers: '100' } }, { name: 'Stickers', count: 3 }],
+    winnerCount: 4,
+    alternateCount: 2
+  };
+
+  it('should hash the same settings the same way after a JSON round trip', async () => {
+    const stored = JSON.parse(JSON.stringify(createDrawSettings(settings)));
+
+    expect(await hashDrawSettings(createDrawSettings(stored))).toBe(await hashDrawSettings(createDrawSettings(settings)));
+  });
+
+  it('should name the settings that changed', async () => {
+    const committed = createDrawSettings(settings);
+    const current = createDrawSettings({ ...settings, tiers: [{ name: 'Grand', count: 2 }], alternateCount: 2 });
+
+    expect(await hashDrawSettings(current)).not.toBe(await hashDrawSettings(committed));
+    expect(getChangedDrawSettings(committed, current)).toEqual(['prize tiers']);
+    expect(getChangedDrawSettings(committed, createDrawSettings({ ...settings, requirement: null, winnerCount: 1 })))
+      .toEqual(['rule', 'winner count']);
+  });
+
+  it('should summarize the rule, prizes and alternates', () => {
+    expect(formatDrawSettings(createDrawSettings(settings)))
+      .toBe('rule retweet AND like; Grand x1 (minFollowers=100), Stickers x3; 2 alternates');
+    expect(formatDrawSettings(createDrawSettings({ winnerCount: 1 }))).toBe('rule none; 1 winner; 0 alternates');
+  });
+});
+
+describe('verifyDrawRecord', () => {
+  const requirement = buildRequirementTree({ requireRetweet: true, requireLike: true });
+
+  it('should accept an untouched record', async () => {
+    const record = await createRecord({ requirement, filters: { minFollowers: 20 } });
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(true);
+    expect(result.entrants).toHaveLength(13);
+    expect(result.expectedWinners).toEqual(record.winners);
+  });
+
+  it('should accept a beacon draw', async () => {
+    const result = await verifyDrawRecord(await createRecord({ requirement, source: 'beacon' }));
+
+    expect(result.ok).toBe(true);
+  });
+
+  it('should re-run a weighted draw from the bonus entries', async () => {
+    const record = await createRecord({ requirement: buildRequirementTree({ requireRetweet: true }), entryWeights: { like: 4 } });
+
+    const result = await verifyDrawRecord(record);
+
+    expect(record.algorithm).toBe(WEIGHTED_DRAW_ALGORITHM);
+    expect(record.tickets).toMatchObject({ user0: 5, user19: 1 });
+    expect(result.ok).toBe(true);
+    expect(result.tickets.get('user0')).toBe(5);
+    expect(result.checks[1].label).toBe('Entrant list and tickets match the commitment');
+  });
+
+  it('should reject a weighted draw whose bonus entries were changed', async () => {
+    const record = await createRecord({ requirement: buildRequirementTree({ requireRetweet: true }), entryWeights: { like: 4 } });
+    record.inputs.entryWeights.like = 1;
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Entrant list')).ok).toBe(false);
+    expect(result.checks.find(c => c.label === 'Listed tickets match the bonus entries').ok).toBe(false);
+  });
+
+  it('should skip candidates that failed a follow check', async () => {
+    const followRequirement = buildRequirementTree({ requireRetweet: true, mustFollow: ['sponsor'] });
+    const shuffled = await seededShuffle(createUsers(20), SEED);
+    const followChecks = { [shuffled[0].username]: { sponsor: false }, [shuffled[1].username]: { sponsor: true } };
+
+    const record = await createRecord({ requirement: followRequirement, followChecks, count: 1 });
+    const result = await verifyDrawRecord(record);
+
+    expect(record.winners[0].position).toBe(2);
+    expect(result.ok).toBe(true);
+  });
+
+  it('should reject winners that were swapped', async () => {
+    const record = await createRecord({ requirement });
+    record.winners[0] = { username: 'user19', position: 1 };
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Published winners')).ok).toBe(false);
+  });
+
+  it('should reject entrants that differ from the commitment', async () => {
+    const record = await createRecord({ requirement });
+    record.inputs.likers.push({ username: 'user19' });
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.checks.find(c => c.label.startsWith('Entrant list')).ok).toBe(false);
+  });
+
+  it('should reject a seed that does not match the commitment', async () => {
+    const record = await createRecord({ requirement });
+    record.draw.seed = 'b'.repeat(64);
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.checks.find(c => c.label.startsWith('Seed')).ok).toBe(false);
+  });
+
+  it('should accept alternates and replacements that follow the drawn order', async () => {
+    const record = await createRecord({ requirement, alternateCount: 2 });
+    const promoted = promoteAlternate(record, record.winners[1].username, 'Did not claim', 5);
+    record.replacements = promoted.replacements;
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(true);
+    expect(result.expectedAlternates).toEqual(record.alternates);
+  });
+
+  it('should continue past the alternates into the rest of the shuffle', async () => {
+    const record = await createRecord({ requirement, alternateCount: 1 });
+    const shuffled = await seededShuffle(applyFilters(calculateEligible(record.inputs), {}), SEED);
+    const afterAlternate = shuffled.slice(record.alternates[0].position);
+    const next = afterAlternate.map((u, i) => ({ username: u.username, position: record.alternates[0].position + i + 1 }));
+    let draw = promoteAlternate({ ...record, alternates: [...record.alternates, ...next] }, record.winners[0].username, 'Declined', 1);
+    draw = promoteAlternate(draw, record.winners[1].username, 'Claim expired', 2, [{ username: next[0].username, reason: 'Unfollowed' }]);
+    record.replacements = draw.replacements;
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(true);
+    expect(draw.winners[1].username).toBe(next[1].username);
+  });
+
+  it('should reject a replacement that skips an alternate', async () => {
+    const record = await createRecord({ requirement, alternateCount: 2 });
+    record.replacements = [{
+      slot: 1,
+      replaced: record.winners[0].username,
+      promoted: record.alternates[1].username,
+      reason: 'Did not claim',
+      replacedAt: 5
+    }];
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Replacements')).ok).toBe(false);
+  });
+
+  it('should re-run prize tiers with their own filters', async () => {
+    const tiers = [{ name: 'Grand', count: 1, filters: { minFollowers: 100 } }, { name: 'Stickers', count: 3 }];
+    const record = await createRecord({ requirement, tiers });
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(true);
+    expect(record.winners[0].tier).toBe('Grand');
+
+    [record.winners[0].tier, record.winners[1].tier] = ['Stickers', 'Grand'];
+    expect((await verifyDrawRecord(record)).ok).toBe(false);
+  });
+
+  it('should reject tiers that differ from the commitment, even when the winners match them', async () => {
+    const record = await createRecord({ requirement, tiers: [{ name: 'Grand', count: 1, filters: { minFollowers: 100 } }] });
+    const tiers = normalizeTiers([{ name: 'Grand', count: 1 }]);
+    const shuffled = await seededShuffle(applyFilters(calculateEligible(record.inputs), {}), SEED);
+    Object.assign(record, buildDrawRecord({ ...record, tiers, winners: drawTiers(shuffled, tiers).winners }));
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.ok).toBe(false);
+    expect(result.checks.find(c => c.label === 'Draw settings match the commitment').ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Published winners')).ok).toBe(true);
+  });
+
+  it('should re-run with the committed winner and alternate counts', async () => {
+    const record = await createRecord({ requirement, count: 3, alternateCount: 1 });
+    record.winners.pop();
+    record.draw.winnerCount = 2;
+
+    const result = await verifyDrawRecord(record);
+
+    expect(result.checks.find(c => c.label === 'Draw settings match the commitment').ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Alternates')).ok).toBe(false);
+  });
+
+  it('should only accept replacements that meet the tier\'s filters', async () => {
+    const tiers = [{ name: 'Grand', count: 1, filters: { minFollowers: 100 } }, { name: 'Stickers', count: 3 }];
+    const record = await createRecord({ requirement, tiers, alternateCount: 11 });
+    const { winners, alternates } = record;
+    const meetsGrand = alternates.map(a => record.inputs.retweeters.find(u => u.username === a.username).followerCount >= 100);
+    expect(meetsGrand).toEqual(expect.arrayContaining([true, false]));
+    const promoteGrand = promotedIndex => promoteAlternate({ ...record, replacements: [] }, winners[0].username, 'Did not claim', 5,
+      alternates.slice(0, promotedIndex).map(a => ({ username: a.username, reason: 'Does not meet the Grand filters' })));
+
+    record.replacements = promoteGrand(meetsGrand.indexOf(true)).replacements;
+    expect((await verifyDrawRecord(record)).ok).toBe(true);
+
+    record.replacements = promoteGrand(meetsGrand.indexOf(false)).replacements;
+    const result = await verifyDrawRecord(record);
+    expect(result.ok).toBe(false);
+    expect(result.checks.find(c => c.label.startsWith('Replacements')).detail).toContain('does not meet the Grand filters');
+  });
+
+  it('should stop at an unknown record version', async () => {
+    const result = await verifyDrawRecord({ version: 99, algorithm: 'other' });
+
+    expect(result.ok).toBe(false);
+    expect(result.checks).toHaveLength(1);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Heuristic bot/spam score
+ * Adds up points for traits common on throwaway accounts. Each signal that fires is reported with
+ * its points and the numbers behind it, so a disqualification can be explained to the entrant.
+ * A signal only fires when the profile fields it needs were captured.
+ *
+ * Result shape: { score: 0-MAX_BOT_SCORE, signals: [{ id, points, detail }] }, strongest signal first
+ */
+
+export const MAX_BOT_SCORE = 100;
+
+// Threshold suggested in the popup (0 turns the filter off)
+export const DEFAULT_BOT_SCORE_THRESHOLD = 50;
+
+// Signal id -> how it reads and the points it adds
+export const BOT_SIGNALS = {
+  'duplicate-bio': { label: 'Same bio as other entrants', points: 30 },
+  'new-account': { label: 'Brand-new account', points: 25 },
+  'follow-ratio': { label: 'Follows many, few followers', points: 20 },
+  'default-handle': { label: 'Default-style handle', points: 20 },
+  'tweet-rate': { label: 'Very high tweet rate', points: 15 },
+  'empty-bio': { label: 'Empty bio', points: 10 }
+};
+
+// Handles X suggests at sign-up: a name followed by a long run of digits (name12345678)
+const DEFAULT_HANDLE_PATTERN = /^[a-z_]+(\d{6,})$/i;
+
+const NEW_ACCOUNT_DAYS = 30;
+
+// Following at least this many accounts with under MIN_FOLLOW_RATIO followers per account followed
+const MIN_FOLLOWING_FOR_RATIO = 100;
+const MIN_FOLLOW_RATIO = 0.1;
+
+const MAX_TWEETS_PER_DAY = 50;
+
+// Shorter bios ("hi", "nft") are too common to mean anything when shared
+const MIN_SHARED_BIO_LENGTH = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Clamp a threshold from the popup or an imported record
+ * @param {*} value - Raw threshold
+ * @returns {number} Integer 0-MAX_BOT_SCORE (0 = off)
+ */
+export function normalizeBotScoreThreshold(value) {
+  return Math.max(0, Math.min(Math.floor(Number(value) || 0), MAX_BOT_SCORE));
+}
+
+/**
+ * Count how many entrants share each bio, for the duplicate-bio signal
+ * @param {Array} users - Entrants
+ * @returns {Map<string, number>} Normalized bio -> number of entrants using it
+ */
+export function createBioIndex(users) {
+  const counts = new Map();
+  for (const user of users) {
+    const bio = normalizeBio(user.bio);
+    if (bio) counts.set(bio, (counts.get(bio) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Score one user
+ * @param {Object} user - User object
+ * @param {Object} options
+ * @param {Date|number} options.now - Reference time for account age and tweet rate (defaults to now)
+ * @param {Map} options.bioIndex - Bio counts across the entrants (see createBioIndex); no duplicate-bio signal without it
+ * @returns {{ score: number, signals: Array<{id: string, points: number, detail: string}> }}
+ */
+export function getBotScore(user, { now = new Date(), bioIndex = null } = {}) {
+  const signals = [];
+  const add = (id, detail) => signals.push({ id, points: BOT_SIGNALS[id].points, detail });
+
+  const bio = normalizeBio(user.bio);
+  const shared = bio ? (bioIndex?.get(bio) || 0) - 1 : 0;
+  if (shared > 0) {
+    add('duplicate-bio', `same bio as ${shared} other entrant${shared === 1 ? '' : 's'}`);
+  }
+
+  const createdAt = typeof user.createdAt === 'string' ? new Date(user.createdAt).getTime() : NaN;
+  const ageDays = Number.isNaN(createdAt) ? null : Math.max(0, (new Date(now).getTime() - createdAt) / DAY_MS);
+  if (ageDays !== null && ageDays < NEW_ACCOUNT_DAYS) {
+    add('new-account', `created ${Math.floor(ageDays)} day${Math.floor(ageDays) === 1 ? '' : 's'} ago`);
+  }
+
+  if (typeof user.followingCount === 'number' && typeof user.followerCount === 'number' &&
+      user.followingCount >= MIN_FOLLOWING_FOR_RATIO && user.followerCount < user.followingCount * MIN_FOLLOW_RATIO) {
+    add('follow-ratio', `follows ${user.followingCount.toLocaleString()}, ${user.followerCount.toLocaleString()} followers`);
+  }
+
+  const handle = DEFAULT_HANDLE_PATTERN.exec(user.username || '');
+  if (handle) {
+    add('default-handle', `@${user.username} ends in ${handle[1].length} digits`);
+  }
+
+  if (ageDays !== null && typeof user.tweetCount === 'number') {
+    const perDay = user.tweetCount / Math.max(ageDays, 1);
+    if (perDay > MAX_TWEETS_PER_DAY) {
+      add('tweet-rate', `about ${Math.round(perDay).toLocaleString()} tweets a day`);
+    }
+  }
+
+  if (typeof user.bio === 'string' && !user.bio.trim()) {
+    add('empty-bio', 'no bio');
+  }
+
+  return {
+    score: Math.min(signals.reduce((sum, signal) => sum + signal.points, 0), MAX_BOT_SCORE),
+    signals
+  };
+}
+
+/**
+ * Score every entrant against the others, highest score first
+ * @param {Array} users - Entrants
+ * @param {Object} options
+ * @param {Date|number} options.now - Reference time (defaults to now)
+ * @returns {Array<{user: Object, score: number, signals: Array}>} Scored entrants (ties keep their order)
+ */
+export function scoreEntrants(users, { now = new Date() } = {}) {
+  const bioIndex = createBioIndex(users);
+  return users
+    .map(user => ({ user, ...getBotScore(user, { now, bioIndex }) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * One-line explanation of a score, e.g. "55: Brand-new account +25 (created 3 days ago), ..."
+ * @param {Object} result - getBotScore result
+ * @returns {string} Text
+ */
+export function formatBotScore({ score, signals }) {
+  if (signals.length === 0) return `${score}: no signals`;
+  return `${score}: ` + signals
+    .map(signal => `${BOT_SIGNALS[signal.id]?.label || signal.id} +${signal.points} (${signal.detail})`)
+    .join(', ');
+}
+
+/**
+ * Bio text used to compare entrants; case and spacing don't make two bios different
+ * @param {string} bio - Raw bio
+ * @returns {string|null} Normalized bio, or null when missing or too short to compare
+ */
+export function normalizeBio(bio) {
+  if (typeof bio !== 'string') return null;
+  const text = bio.trim().toLowerCase().replace(/\s+/g, ' ');
+  return text.length >= MIN_SHARED_BIO_LENGTH ? text : null;
+}
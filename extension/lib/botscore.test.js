@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_BOT_SCORE,
+  normalizeBotScoreThreshold,
+  createBioIndex,
+  getBotScore,
+  scoreEntrants,
+  formatBotScore
+} from './botscore.js';
+
+const now = new Date('2024-06-01T00:00:00Z');
+
+const createUser = (username, overrides = {}) => ({
+  username,
+  bio: 'Coffee, code and cats',
+  followerCount: 500,
+  followingCount: 300,
+  tweetCount: 2000,
+  createdAt: '2019-01-01T00:00:00Z',
+  ...overrides
+});
+
+describe('getBotScore', () => {
+  it('should give an established account no signals', () => {
+    expect(getBotScore(createUser('alice'), { now })).toEqual({ score: 0, signals: [] });
+  });
+
+  it('should explain every signal with its numbers', () => {
+    const user = createUser('john12345678', {
+      bio: '',
+      followerCount: 3,
+      followingCount: 800,
+      tweetCount: 1000,
+      createdAt: '2024-05-27T00:00:00Z'
+    });
+
+    const { score, signals } = getBotScore(user, { now });
+
+    expect(signals.map(s => s.id)).toEqual(['new-account', 'follow-ratio', 'default-handle', 'tweet-rate', 'empty-bio']);
+    expect(signals[0].detail).toBe('created 5 days ago');
+    expect(signals[1].detail).toBe('follows 800, 3 followers');
+    expect(signals[2].detail).toBe('@john12345678 ends in 8 digits');
+    expect(signals[3].detail).toBe('about 200 tweets a day');
+    expect(score).toBe(90);
+  });
+
+  it('should skip signals whose data is missing', () => {
+    const user = { username: 'bob', bio: undefined, followerCount: undefined, createdAt: 'not a date' };
+    expect(getBotScore(user, { now }).signals).toEqual([]);
+  });
+
+  it('should cap the score', () => {
+    const user = createUser('bot1234567', { bio: '', followerCount: 0, followingCount: 1000, tweetCount: 5000, createdAt: '2024-05-31T00:00:00Z' });
+    expect(getBotScore({ ...user, bio: 'Win free crypto daily' }, {
+      now,
+      bioIndex: createBioIndex([{ bio: 'win free  crypto daily' }, { bio: 'Win free crypto daily' }])
+    }).score).toBe(MAX_BOT_SCORE);
+    expect(getBotScore(user, { now }).score).toBeLessThan(MAX_BOT_SCORE);
+  });
+});
+
+describe('scoreEntrants', () => {
+  it('should flag bios shared across entrants and sort by score', () => {
+    const users = [
+      createUser('alice'),
+      createUser('bob', { bio: 'Giveaway hunter 🎁 DM for promo' }),
+      createUser('carol', { bio: 'giveaway hunter 🎁 dm for promo ' }),
+      createUser('dave', { bio: 'hi' }),
+      createUser('erin', { bio: 'hi' })
+    ];
+
+    const scored = scoreEntrants(users, { now });
+
+    expect(scored.map(r => [r.user.username, r.score])).toEqual([
+      ['bob', 30], ['carol', 30], ['alice', 0], ['dave', 0], ['erin', 0]
+    ]);
+    expect(scored[0].signals[0].detail).toBe('same bio as 1 other entrant');
+  });
+});
+
+describe('formatBotScore', () => {
+  it('should read as one line', () => {
+    expect(formatBotScore({ score: 0, signals: [] })).toBe('0: no signals');
+    expect(formatBotScore({ score: 10, signals: [{ id: 'empty-bio', points: 10, detail: 'no bio' }] }))
+      .toBe('10: Empty bio +10 (no bio)');
+  });
+});
+
+describe('normalizeBotScoreThreshold', () => {
+  it('should clamp to 0-100', () => {
+    expect(normalizeBotScoreThreshold('55')).toBe(55);
+    expect(normalizeBotScoreThreshold(-5)).toBe(0);
+    expect(normalizeBotScoreThreshold(250)).toBe(MAX_BOT_SCORE);
+    expect(normalizeBotScoreThreshold('abc')).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Collection checkpoint utilities
+ * Pure functions for resuming interrupted collections
+ *
+ * The content script saves one checkpoint per collection job under `collectionCheckpoints`:
+ * { type, tweetId, account, cursor, count, checkpointAt, status }
+ * `cursor` is the next page cursor (only for jobs paged through the API, null otherwise)
+ */
+
+// 'running' means the job never finished (tab closed, page reloaded, worker died)
+export const RESUMABLE_STATUSES = ['running', 'stopped'];
+
+/**
+ * Build the storage key for a collection job
+ * @param {string} type - Collection type ('retweeters', 'likers', 'followers', ...)
+ * @param {string} tweetId - Giveaway tweet ID
+ * @param {string} account - Account for follower collections
+ * @returns {string} Checkpoint key
+ */
+export function getCheckpointKey(type, tweetId, account) {
+  return account ? `${tweetId}:${type}:${account.toLowerCase()}` : `${tweetId}:${type}`;
+}
+
+/**
+ * Get the jobs for a tweet that were interrupted or stopped before finishing
+ * @param {Object} checkpoints - Checkpoints by key
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {Array} Checkpoints, oldest first
+ */
+export function getResumableJobs(checkpoints, tweetId) {
+  if (!checkpoints || typeof checkpoints !== 'object' || !tweetId) return [];
+
+  return Object.values(checkpoints)
+    .filter(c => c && c.tweetId === tweetId && RESUMABLE_STATUSES.includes(c.status))
+    .sort((a, b) => (a.checkpointAt || 0) - (b.checkpointAt || 0));
+}
+
+/**
+ * Build the collection queue that continues where the last run left off:
+ * unfinished jobs first (resuming from their cursor), then planned jobs that never finished
+ * @param {Object} checkpoints - Checkpoints by key
+ * @param {Array} plan - Collection queue items of the last run ({ type, tweetId, account })
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {Array} Queue items; resumed jobs have `resume: true`
+ */
+export function buildResumeQueue(checkpoints, plan, tweetId) {
+  const items = getResumableJobs(checkpoints, tweetId).map(c => ({
+    type: c.type,
+    tweetId: c.tweetId,
+    ...(c.account ? { account: c.account } : {}),
+    resume: true
+  }));
+
+  const seen = new Set(items.map(item => getCheckpointKey(item.type, item.tweetId, item.account)));
+
+  for (const item of Array.isArray(plan) ? plan : []) {
+    if (!item || item.tweetId !== tweetId) continue;
+    const key = getCheckpointKey(item.type, item.tweetId, item.account);
+    if (seen.has(key) || checkpoints?.[key]?.status === 'complete') continue;
+    seen.add(key);
+    items.push({ ...item });
+  }
+
+  return items;
+}
+
+/**
+ * Get the accounts whose follower list was paged to the end for a tweet
+ * (a partial list can't tell who doesn't follow, so only these are used for eligibility;
+ * a list collected by scrolling may have stopped short and isn't one of them)
+ * @param {Object} checkpoints - Checkpoints by key
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {Array<string>} Lowercase account usernames
+ */
+export function getCompletedFollowerAccounts(checkpoints, tweetId) {
+  if (!checkpoints || typeof checkpoints !== 'object' || !tweetId) return [];
+
+  return Object.values(checkpoints)
+    .filter(c => c && c.type === 'followers' && c.tweetId === tweetId && c.status === 'complete' && c.reachedEnd === true && c.account)
+    .map(c => c.account.toLowerCase());
+}
+
+/**
+ * Count users collected so far across unfinished jobs
+ * @param {Object} checkpoints - Checkpoints by key
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {number} Total collected count
+ */
+export function countResumableUsers(checkpoints, tweetId) {
+  return getResumableJobs(checkpoints, tweetId).reduce((sum, c) => sum + (c.count || 0), 0);
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCheckpointKey,
+  getResumableJobs,
+  buildResumeQueue,
+  getCompletedFollowerAccounts,
+  countResumableUsers
+} from './checkpoints.js';
+
+// Helper to create checkpoints keyed like the content script saves them
+function createCheckpoints(...list) {
+  return Object.fromEntries(list.map(c => [getCheckpointKey(c.type, c.tweetId, c.account), c]));
+}
+
+describe('getCheckpointKey', () => {
+  it('should key by tweet and type', () => {
+    expect(getCheckpointKey('likers', '123')).toBe('123:likers');
+  });
+
+  it('should include the lowercased account for follower jobs', () => {
+    expect(getCheckpointKey('followers', '123', 'SponsorA')).toBe('123:followers:sponsora');
+  });
+});
+
+describe('getResumableJobs', () => {
+  it('should return running and stopped jobs for the tweet, oldest first', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'likers', tweetId: '1', status: 'stopped', checkpointAt: 200 },
+      { type: 'retweeters', tweetId: '1', status: 'running', checkpointAt: 100 },
+      { type: 'repliers', tweetId: '1', status: 'complete', checkpointAt: 50 },
+      { type: 'quoters', tweetId: '2', status: 'running', checkpointAt: 10 }
+    );
+
+    const jobs = getResumableJobs(checkpoints, '1');
+
+    expect(jobs.map(j => j.type)).toEqual(['retweeters', 'likers']);
+  });
+
+  it('should handle missing checkpoints', () => {
+    expect(getResumableJobs(undefined, '1')).toEqual([]);
+    expect(getResumableJobs({}, null)).toEqual([]);
+  });
+});
+
+describe('buildResumeQueue', () => {
+  it('should put unfinished jobs before the rest of the plan', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'retweeters', tweetId: '1', status: 'running', cursor: 'abc', checkpointAt: 100 }
+    );
+    const plan = [{ type: 'retweeters', tweetId: '1' }, { type: 'likers', tweetId: '1' }];
+
+    expect(buildResumeQueue(checkpoints, plan, '1')).toEqual([
+      { type: 'retweeters', tweetId: '1', resume: true },
+      { type: 'likers', tweetId: '1' }
+    ]);
+  });
+
+  it('should not queue a job twice', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'followers', tweetId: '1', account: 'sponsor', status: 'stopped', checkpointAt: 1 }
+    );
+    const plan = [
+      { type: 'followers', tweetId: '1', account: 'Sponsor' },
+      { type: 'likers', tweetId: '1' },
+      { type: 'likers', tweetId: '1' }
+    ];
+
+    const result = buildResumeQueue(checkpoints, plan, '1');
+
+    expect(result).toEqual([
+      { type: 'followers', tweetId: '1', account: 'sponsor', resume: true },
+      { type: 'likers', tweetId: '1' }
+    ]);
+  });
+
+  it('should skip planned jobs that already finished', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'retweeters', tweetId: '1', status: 'complete', checkpointAt: 100 }
+    );
+    const plan = [{ type: 'retweeters', tweetId: '1' }, { type: 'likers', tweetId: '1' }];
+
+    expect(buildResumeQueue(checkpoints, plan, '1')).toEqual([{ type: 'likers', tweetId: '1' }]);
+  });
+
+  it('should return nothing once every planned job finished', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'retweeters', tweetId: '1', status: 'complete' },
+      { type: 'likers', tweetId: '1', status: 'complete' }
+    );
+    const plan = [{ type: 'retweeters', tweetId: '1' }, { type: 'likers', tweetId: '1' }];
+
+    expect(buildResumeQueue(checkpoints, plan, '1')).toEqual([]);
+  });
+
+  it('should drop planned jobs for other tweets', () => {
+    const plan = [{ type: 'likers', tweetId: '2' }];
+
+    expect(buildResumeQueue({}, plan, '1')).toEqual([]);
+  });
+});
+
+describe('getCompletedFollowerAccounts', () => {
+  it('should return accounts whose follower collection finished for the tweet', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'followers', tweetId: '1', account: 'Sponsor', status: 'complete', reachedEnd: true },
+      { type: 'followers', tweetId: '1', account: 'partner', status: 'stopped' },
+      { type: 'followers', tweetId: '2', account: 'other', status: 'complete', reachedEnd: true },
+      { type: 'likers', tweetId: '1', status: 'complete' }
+    );
+
+    expect(getCompletedFollowerAccounts(checkpoints, '1')).toEqual(['sponsor']);
+  });
+
+  it('should not trust a list that wasn\'t paged to the end', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'followers', tweetId: '1', account: 'scrolled', status: 'complete', reachedEnd: false },
+      { type: 'followers', tweetId: '1', account: 'older', status: 'complete' }
+    );
+
+    expect(getCompletedFollowerAccounts(checkpoints, '1')).toEqual([]);
+  });
+
+  it('should handle missing checkpoints', () => {
+    expect(getCompletedFollowerAccounts(undefined, '1')).toEqual([]);
+  });
+});
+
+describe('countResumableUsers', () => {
+  it('should add up counts of unfinished jobs', () => {
+    const checkpoints = createCheckpoints(
+      { type: 'retweeters', tweetId: '1', status: 'running', count: 1200 },
+      { type: 'likers', tweetId: '1', status: 'stopped', count: 300 },
+      { type: 'repliers', tweetId: '1', status: 'complete', count: 50 }
+    );
+
+    expect(countResumableUsers(checkpoints, '1')).toBe(1500);
+  });
+});
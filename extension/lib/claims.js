@@ -0,0 +1,115 @@
+/**
+ * Winner claim tracking
+ * Every winner carries a claim that moves announced → contacted → claimed, or ends as
+ * expired (deadline passed while still open) or disqualified.
+ *
+ * Claim shape: { status, deadline, timestamps: { [status]: time }, notes }
+ */
+
+export const CLAIM_STATUSES = ['announced', 'contacted', 'claimed', 'expired', 'disqualified'];
+
+export const DEFAULT_CLAIM_HOURS = 48;
+
+// Longest claim window the popup accepts (30 days)
+export const MAX_CLAIM_HOURS = 720;
+
+// Statuses still waiting on the winner; only these can expire
+const OPEN_STATUSES = ['announced', 'contacted'];
+
+// Allowed moves; a late claim can still be accepted after expiry
+const TRANSITIONS = {
+  announced: ['contacted', 'claimed', 'expired', 'disqualified'],
+  contacted: ['claimed', 'expired', 'disqualified'],
+  claimed: ['disqualified'],
+  expired: ['claimed', 'disqualified'],
+  disqualified: []
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Start a claim for a newly announced winner
+ * @param {number} announcedAt - Announcement time (defaults to now)
+ * @param {number} hours - Claim window in hours
+ * @returns {Object} Claim
+ */
+export function createClaim(announcedAt = Date.now(), hours = DEFAULT_CLAIM_HOURS) {
+  const claimHours = Math.max(1, Math.min(Number(hours) || DEFAULT_CLAIM_HOURS, MAX_CLAIM_HOURS));
+  return {
+    status: 'announced',
+    deadline: announcedAt + claimHours * HOUR_MS,
+    timestamps: { announced: announcedAt },
+    notes: ''
+  };
+}
+
+/**
+ * Give every winner without a claim a fresh one (winners keep existing claims)
+ * @param {Array} winners - Winners
+ * @param {number} announcedAt - Announcement time for new claims
+ * @param {number} hours - Claim window in hours
+ * @returns {Array} Winners with claims
+ */
+export function withClaims(winners, announcedAt = Date.now(), hours = DEFAULT_CLAIM_HOURS) {
+  return winners.map(w => (w.claim ? w : { ...w, claim: createClaim(announcedAt, hours) }));
+}
+
+/**
+ * Move a claim to a new status
+ * @param {Object} claim - Claim
+ * @param {string} status - New status (see CLAIM_STATUSES)
+ * @param {number} at - Time of the change (defaults to now)
+ * @returns {Object} New claim
+ */
+export function setClaimStatus(claim, status, at = Date.now()) {
+  if (!CLAIM_STATUSES.includes(status)) {
+    throw new Error(`Unknown claim status: ${status}`);
+  }
+  if (claim.status === status) return claim;
+  if (!TRANSITIONS[claim.status]?.includes(status)) {
+    throw new Error(`A ${claim.status} claim can't become ${status}`);
+  }
+  return { ...claim, status, timestamps: { ...claim.timestamps, [status]: at } };
+}
+
+/**
+ * @param {Object} claim - Claim
+ * @returns {boolean} True while the winner can still claim before the deadline
+ */
+export function isClaimOpen(claim) {
+  return Boolean(claim) && OPEN_STATUSES.includes(claim.status);
+}
+
+/**
+ * @param {Object} winner - Winner with a claim
+ * @returns {boolean} True when the winner's slot should go to the next candidate
+ */
+export function needsReplacement(winner) {
+  return winner.claim?.status === 'expired' || winner.claim?.status === 'disqualified';
+}
+
+/**
+ * Expire open claims whose deadline has passed
+ * @param {Array} winners - Winners with claims
+ * @param {number} now - Current time (defaults to now)
+ * @returns {Object} { winners, expired: usernames expired by this call }
+ */
+export function expireClaims(winners, now = Date.now()) {
+  const expired = [];
+  const updated = winners.map(w => {
+    if (!isClaimOpen(w.claim) || w.claim.deadline > now) return w;
+    expired.push(w.username);
+    return { ...w, claim: setClaimStatus(w.claim, 'expired', now) };
+  });
+  return { winners: expired.length > 0 ? updated : winners, expired };
+}
+
+/**
+ * Earliest deadline among open claims, to schedule the next expiry check
+ * @param {Array} winners - Winners with claims
+ * @returns {number|null} Deadline, or null when no claim is open
+ */
+export function getNextClaimDeadline(winners) {
+  const deadlines = (winners || []).filter(w => isClaimOpen(w.claim)).map(w => w.claim.deadline);
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CLAIM_HOURS,
+  MAX_CLAIM_HOURS,
+  createClaim,
+  withClaims,
+  setClaimStatus,
+  isClaimOpen,
+  needsReplacement,
+  expireClaims,
+  getNextClaimDeadline
+} from './claims.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('createClaim', () => {
+  it('should start announced with a deadline after the claim window', () => {
+    const claim = createClaim(1000, 24);
+
+    expect(claim.status).toBe('announced');
+    expect(claim.deadline).toBe(1000 + 24 * HOUR);
+    expect(claim.timestamps).toEqual({ announced: 1000 });
+  });
+
+  it('should fall back to the default window and cap long ones', () => {
+    expect(createClaim(0, 'x').deadline).toBe(DEFAULT_CLAIM_HOURS * HOUR);
+    expect(createClaim(0, 10000).deadline).toBe(MAX_CLAIM_HOURS * HOUR);
+  });
+});
+
+describe('withClaims', () => {
+  it('should only add claims to winners without one', () => {
+    const existing = { username: 'alice', claim: createClaim(0) };
+
+    const winners = withClaims([existing, { username: 'bob' }], 5000, 1);
+
+    expect(winners[0]).toBe(existing);
+    expect(winners[1].claim.deadline).toBe(5000 + HOUR);
+  });
+});
+
+describe('setClaimStatus', () => {
+  it('should record when each status was reached', () => {
+    const contacted = setClaimStatus(createClaim(0), 'contacted', 10);
+    const claimed = setClaimStatus(contacted, 'claimed', 20);
+
+    expect(claimed.status).toBe('claimed');
+    expect(claimed.timestamps).toEqual({ announced: 0, contacted: 10, claimed: 20 });
+    expect(isClaimOpen(claimed)).toBe(false);
+  });
+
+  it('should accept a late claim after expiry', () => {
+    const expired = setClaimStatus(createClaim(0), 'expired', 10);
+
+    expect(setClaimStatus(expired, 'claimed', 20).status).toBe('claimed');
+  });
+
+  it('should reject unknown statuses and moves back', () => {
+    const claimed = setClaimStatus(createClaim(0), 'claimed', 10);
+
+    expect(() => setClaimStatus(claimed, 'won')).toThrow('Unknown claim status');
+    expect(() => setClaimStatus(claimed, 'contacted')).toThrow("A claimed claim can't become contacted");
+  });
+});
+
+describe('expireClaims', () => {
+  it('should expire open claims past their deadline only', () => {
+    const winners = [
+      { username: 'alice', claim: createClaim(0, 1) },
+      { username: 'bob', claim: setClaimStatus(createClaim(0, 1), 'claimed', 5) },
+      { username: 'carol', claim: createClaim(0, 3) }
+    ];
+
+    const result = expireClaims(winners, 2 * HOUR);
+
+    expect(result.expired).toEqual(['alice']);
+    expect(result.winners[0].claim.status).toBe('expired');
+    expect(result.winners[0].claim.timestamps.expired).toBe(2 * HOUR);
+    expect(result.winners[1]).toBe(winners[1]);
+    expect(needsReplacement(result.winners[0])).toBe(true);
+    expect(needsReplacement(result.winners[2])).toBe(false);
+  });
+
+  it('should return the same array when nothing expired', () => {
+    const winners = [{ username: 'alice', claim: createClaim(0, 1) }];
+
+    expect(expireClaims(winners, 0).winners).toBe(winners);
+  });
+});
+
+describe('getNextClaimDeadline', () => {
+  it('should return the earliest open deadline', () => {
+    const winners = [
+      { username: 'alice', claim: createClaim(0, 5) },
+      { username: 'bob', claim: setClaimStatus(createClaim(0, 1), 'claimed', 1) },
+      { username: 'carol', claim: createClaim(0, 2) },
+      { username: 'dave' }
+    ];
+
+    expect(getNextClaimDeadline(winners)).toBe(2 * HOUR);
+    expect(getNextClaimDeadline([])).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Sockpuppet cluster detection
+ * Account farms tend to reuse a profile picture or bio, number their handles (promo_fan01,
+ * promo_fan02, ...) and register minutes apart under one display name. Entrants linked by any
+ * of these land in one cluster, with the evidence that linked them. After review, a cluster is
+ * disqualified whole or down to one member; those usernames reach the draw as the
+ * `clusterExclusions` filter (see applyFilters).
+ *
+ * Cluster shape: { members: [user], evidence: [{ key, detail }] }, members oldest account first
+ */
+
+import { normalizeBio } from './botscore.js';
+
+// Evidence key -> how it reads in the review list
+export const CLUSTER_EVIDENCE_LABELS = {
+  'avatar': 'same profile picture',
+  'bio': 'same bio',
+  'handle': 'sequential handles',
+  'display-name': 'same name, created minutes apart',
+  'created': 'created close together'
+};
+
+// Accounts under one display name created at most this far apart are linked
+export const CREATED_WINDOW_MINUTES = 10;
+
+// A cluster whose accounts were all created within this span gets it noted as evidence
+const CREATED_SPAN_MINUTES = 60;
+
+// Numbered handles: same stem and number width, the stem this long, numbers at most MAX_HANDLE_GAP apart,
+// and at least MIN_HANDLE_RUN of them in a row (two could be a coincidence, e.g. birth years)
+const MIN_HANDLE_STEM = 4;
+const MAX_HANDLE_GAP = 10;
+const MIN_HANDLE_RUN = 3;
+
+const HANDLE_PATTERN = /^(.*[a-z_])(\d{1,9})$/i;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Group entrants into suspected sockpuppet clusters
+ * @param {Array} users - Collected users, one object per username (see mergeUserData)
+ * @returns {Array} Clusters of 2+ members, largest first
+ */
+export function findClusters(users) {
+  const parent = users.map((_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  // Each linking group records its evidence; it ends up on the group's cluster
+  const links = [];
+  const link = (indices, key, detail) => {
+    if (indices.length < 2) return;
+    for (const i of indices.slice(1)) parent[find(i)] = find(indices[0]);
+    links.push({ first: indices[0], key, detail });
+  };
+
+  for (const [, indices] of groupBy(users, u => normalizeAvatar(u.avatarUrl))) {
+    link(indices, 'avatar', `${indices.length} accounts`);
+  }
+
+  for (const [bio, indices] of groupBy(users, u => normalizeBio(u.bio))) {
+    link(indices, 'bio', `${indices.length} accounts: "${truncate(bio, 40)}"`);
+  }
+
+  for (const indices of findHandleRuns(users)) {
+    const names = indices.map(i => users[i].username);
+    link(indices, 'handle', `@${names[0]} … @${names[names.length - 1]} (${names.length})`);
+  }
+
+  for (const [name, indices] of groupBy(users, u => normalizeName(u.displayName))) {
+    const dated = indices
+      .filter(i => Number.isFinite(getCreatedTime(users[i])))
+      .sort((a, b) => getCreatedTime(users[a]) - getCreatedTime(users[b]));
+    for (const run of splitRuns(dated, (a, b) => getCreatedTime(users[b]) - getCreatedTime(users[a]) <= CREATED_WINDOW_MINUTES * MINUTE_MS)) {
+      link(run, 'display-name', `${run.length} named "${truncate(name, 30)}"`);
+    }
+  }
+
+  const components = new Map();
+  users.forEach((_, i) => {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, { members: [], evidence: [] });
+    components.get(root).members.push(users[i]);
+  });
+  for (const { first, key, detail } of links) {
+    components.get(find(first)).evidence.push({ key, detail });
+  }
+
+  return Array.from(components.values())
+    .filter(cluster => cluster.members.length >= 2)
+    .map(cluster => {
+      const members = cluster.members.sort(compareByAge);
+      const times = members.map(getCreatedTime).filter(Number.isFinite);
+      const span = times.length === members.length
+        ? (times.reduce((a, b) => Math.max(a, b)) - times.reduce((a, b) => Math.min(a, b))) / MINUTE_MS
+        : Infinity;
+      const evidence = span <= CREATED_SPAN_MINUTES
+        ? [...cluster.evidence, { key: 'created', detail: formatSpan(span) }]
+        : cluster.evidence;
+      return { members, evidence };
+    })
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].username.localeCompare(b.members[0].username));
+}
+
+/**
+ * Usernames to disqualify for a decision on a cluster
+ * @param {Object} cluster - Cluster from findClusters
+ * @param {string} mode - 'all' to disqualify everyone, 'keep-one' to keep the oldest account
+ * @returns {Array<string>} Lowercase usernames
+ */
+export function getClusterExclusions(cluster, mode) {
+  const members = mode === 'keep-one' ? cluster.members.slice(1) : cluster.members;
+  return members.map(u => u.username.toLowerCase());
+}
+
+/**
+ * What has been decided for a cluster, given the current exclusions
+ * @param {Object} cluster - Cluster from findClusters
+ * @param {Array<string>} exclusions - Disqualified usernames
+ * @returns {string|null} 'all', 'keep-one', 'partial', or null when none of its members are excluded
+ */
+export function getClusterDecision(cluster, exclusions) {
+  const excluded = new Set(exclusions);
+  const count = cluster.members.filter(u => excluded.has(u.username.toLowerCase())).length;
+  if (count === 0) return null;
+  if (count === cluster.members.length) return 'all';
+  if (count === cluster.members.length - 1 && !excluded.has(cluster.members[0].username.toLowerCase())) return 'keep-one';
+  return 'partial';
+}
+
+// Same picture at any size (…/abc_normal.jpg and …/abc_400x400.jpg); default avatars don't count
+function normalizeAvatar(url) {
+  if (typeof url !== 'string' || !url || url.includes('default_profile')) return null;
+  return url.replace(/_(normal|bigger|mini|\d+x\d+)(\.\w+)$/, '$2');
+}
+
+function normalizeName(name) {
+  if (typeof name !== 'string') return null;
+  const text = name.trim().toLowerCase().replace(/\s+/g, ' ');
+  return text.length >= 2 ? text : null;
+}
+
+function getCreatedTime(user) {
+  return typeof user.createdAt === 'string' ? new Date(user.createdAt).getTime() : NaN;
+}
+
+// Oldest account first (the one "keep one" keeps); unknown dates last
+function compareByAge(a, b) {
+  const ta = getCreatedTime(a);
+  const tb = getCreatedTime(b);
+  if (Number.isFinite(ta) && Number.isFinite(tb) && ta !== tb) return ta - tb;
+  if (Number.isFinite(ta) !== Number.isFinite(tb)) return Number.isFinite(ta) ? -1 : 1;
+  return a.username.localeCompare(b.username);
+}
+
+// Indices grouped by a key, groups of 2+ only; users without a key are skipped
+function groupBy(users, getKey) {
+  const groups = new Map();
+  users.forEach((user, i) => {
+    const key = getKey(user);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return Array.from(groups.entries()).filter(([, indices]) => indices.length >= 2);
+}
+
+// Runs of handles sharing a stem with numbers close together (promo_fan01, promo_fan02, promo_fan05)
+function findHandleRuns(users) {
+  const runs = [];
+  for (const [, indices] of groupBy(users, u => {
+    const match = HANDLE_PATTERN.exec(u.username || '');
+    return match && match[1].length >= MIN_HANDLE_STEM ? `${match[1].toLowerCase()}#${match[2].length}` : null;
+  })) {
+    const numbered = indices
+      .map(i => ({ i, n: parseInt(HANDLE_PATTERN.exec(users[i].username)[2], 10) }))
+      .sort((a, b) => a.n - b.n);
+    for (const run of splitRuns(numbered, (a, b) => b.n - a.n <= MAX_HANDLE_GAP)) {
+      if (run.length >= MIN_HANDLE_RUN) runs.push(run.map(entry => entry.i));
+    }
+  }
+  return runs;
+}
+
+// Split a sorted list where neighbours stop being close; runs of 2+ only
+function splitRuns(sorted, isClose) {
+  const runs = [];
+  let run = [];
+  for (const item of sorted) {
+    if (run.length > 0 && !isClose(run[run.length - 1], item)) {
+      if (run.length >= 2) runs.push(run);
+      run = [];
+    }
+    run.push(item);
+  }
+  if (run.length >= 2) runs.push(run);
+  return runs;
+}
+
+function formatSpan(minutes) {
+  const rounded = Math.max(1, Math.round(minutes));
+  return `all within ${rounded} minute${rounded === 1 ? '' : 's'}`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { findClusters, getClusterExclusions, getClusterDecision } from './clusters.js';
+
+const createUser = (username, overrides = {}) => ({
+  username,
+  displayName: username,
+  bio: `Hi, I am ${username} and I like things`,
+  avatarUrl: `https://pbs.twimg.com/profile_images/${username}/photo_normal.jpg`,
+  ...overrides
+});
+
+const usernames = cluster => cluster.members.map(u => u.username);
+
+describe('findClusters', () => {
+  it('should find nothing among unrelated accounts', () => {
+    expect(findClusters([createUser('alice'), createUser('bob'), createUser('carol')])).toEqual([]);
+  });
+
+  it('should link the same avatar at any size and the same bio', () => {
+    const clusters = findClusters([
+      createUser('alice', { avatarUrl: 'https://pbs.twimg.com/profile_images/1/a_normal.jpg' }),
+      createUser('bob', { avatarUrl: 'https://pbs.twimg.com/profile_images/1/a_400x400.jpg' }),
+      createUser('carol', { bio: 'Giveaway hunter, DM for promo' }),
+      createUser('dave', { bio: 'giveaway  hunter, dm for promo' }),
+      createUser('erin', { avatarUrl: 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png' }),
+      createUser('frank', { avatarUrl: 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png' })
+    ]);
+
+    expect(clusters.map(usernames)).toEqual([['alice', 'bob'], ['carol', 'dave']]);
+    expect(clusters[0].evidence).toEqual([{ key: 'avatar', detail: '2 accounts' }]);
+    expect(clusters[1].evidence[0].key).toBe('bio');
+  });
+
+  it('should link runs of sequential handles but not a pair or distant numbers', () => {
+    const clusters = findClusters([
+      createUser('promo_fan01'),
+      createUser('promo_fan02'),
+      createUser('Promo_Fan05'),
+      createUser('promo_fan90'),
+      createUser('mike1990'),
+      createUser('mike1991')
+    ]);
+
+    expect(clusters.map(usernames)).toEqual([['promo_fan01', 'promo_fan02', 'Promo_Fan05']]);
+    expect(clusters[0].evidence[0]).toEqual({ key: 'handle', detail: '@promo_fan01 … @Promo_Fan05 (3)' });
+  });
+
+  it('should link a display name only for accounts created minutes apart, and merge overlapping links', () => {
+    const clusters = findClusters([
+      createUser('a1', { displayName: 'Crypto King', createdAt: '2024-05-01T10:00:00Z' }),
+      createUser('b2', { displayName: 'crypto king', createdAt: '2024-05-01T10:06:00Z' }),
+      createUser('c3', { displayName: 'Crypto King', createdAt: '2024-05-01T10:40:00Z', bio: 'Same bio as d4 here' }),
+      createUser('d4', { bio: 'Same bio as d4 here', createdAt: '2024-05-01T10:45:00Z' }),
+      createUser('e5', { displayName: 'Crypto King', createdAt: '2020-01-01T00:00:00Z' })
+    ]);
+
+    expect(clusters.map(usernames)).toEqual([['a1', 'b2'], ['c3', 'd4']]);
+    expect(clusters[0].evidence).toEqual([
+      { key: 'display-name', detail: '2 named "crypto king"' },
+      { key: 'created', detail: 'all within 6 minutes' }
+    ]);
+  });
+});
+
+describe('cluster decisions', () => {
+  const [cluster] = findClusters([
+    createUser('newer', { bio: 'Same bio for the farm', createdAt: '2024-05-02T00:00:00Z' }),
+    createUser('oldest', { bio: 'Same bio for the farm', createdAt: '2024-05-01T00:00:00Z' }),
+    createUser('Undated', { bio: 'Same bio for the farm', createdAt: undefined })
+  ]);
+
+  it('should keep the oldest account when keeping one', () => {
+    expect(getClusterExclusions(cluster, 'all')).toEqual(['oldest', 'newer', 'undated']);
+    expect(getClusterExclusions(cluster, 'keep-one')).toEqual(['newer', 'undated']);
+  });
+
+  it('should report the decision from the exclusions', () => {
+    expect(getClusterDecision(cluster, [])).toBeNull();
+    expect(getClusterDecision(cluster, ['oldest', 'newer', 'undated'])).toBe('all');
+    expect(getClusterDecision(cluster, ['newer', 'undated'])).toBe('keep-one');
+    expect(getClusterDecision(cluster, ['newer'])).toBe('partial');
+  });
+});
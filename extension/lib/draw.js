@@ -0,0 +1,387 @@
+/**
+ * Provably fair draw utilities
+ * Commit–reveal draw: before the draw we publish the SHA-256 of a secret seed and a hash of
+ * the sorted entrant list; after the draw we reveal the seed. Winners come from a Fisher–Yates
+ * shuffle driven only by the seed, so anyone with the seed and the entrant list can re-run it.
+ *
+ * Instead of our own seed, the seed can come from a public beacon announced in advance
+ * (a future block hash, a lottery number): seed = SHA-256("<beacon value>:<entrants hash>").
+ *
+ * Random stream: block k is SHA-256("<seed>:<k>") for k = 0, 1, 2, ...; each block yields
+ * eight big-endian 32-bit integers. Indexes are drawn by rejection sampling (no modulo bias).
+ *
+ * Weighted draws (bonus entries) replace Fisher–Yates with sampling without replacement:
+ * each step draws a ticket uniformly from those left and removes its holder with all their tickets.
+ */
+
+// Length of a generated seed in bytes (64 hex characters)
+export const SEED_BYTES = 32;
+
+// Where the seed comes from: our own secret seed (commit–reveal) or a public beacon value
+export const SEED_SOURCES = ['seed', 'beacon'];
+
+/**
+ * Generate a secret seed
+ * @returns {string} Lowercase hex seed
+ */
+export function generateSeed() {
+  const bytes = new Uint8Array(SEED_BYTES);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+/**
+ * SHA-256 of a UTF-8 string
+ * @param {string} text - Input
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Canonical entrant list: lowercase usernames without @, deduplicated and sorted
+ * @param {Array<string|Object>} entrants - Usernames or user objects with `username`
+ * @returns {Array<string>} Sorted usernames
+ */
+export function normalizeEntrants(entrants) {
+  const usernames = new Set(entrants.map(e => getUsername(e)));
+  return Array.from(usernames).sort();
+}
+
+/**
+ * Hash of the canonical entrant list (one username per line)
+ * @param {Array<string|Object>} entrants - Usernames or user objects
+ * @param {Map<string, number>|null} tickets - For weighted draws: lowercase username -> tickets,
+ *   hashed as "<username> <tickets>" lines so the ticket counts are committed too
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function hashEntrants(entrants, tickets = null) {
+  const usernames = normalizeEntrants(entrants);
+  const lines = tickets ? usernames.map(u => `${u} ${getTickets(tickets, u)}`) : usernames;
+  return sha256Hex(lines.join('\n'));
+}
+
+/**
+ * Create the commitment published before the draw
+ * @param {string} seed - Secret seed (kept private until the reveal)
+ * @param {Array<string|Object>} entrants - Entrants of the draw
+ * @param {Map<string, number>|null} tickets - Tickets per entrant for a weighted draw
+ * @returns {Promise<Object>} { commitment, entrantsHash, entrantCount }
+ */
+export async function createCommitment(seed, entrants, tickets = null) {
+  return {
+    commitment: await sha256Hex(seed),
+    entrantsHash: await hashEntrants(entrants, tickets),
+    entrantCount: normalizeEntrants(entrants).length
+  };
+}
+
+/**
+ * Check a revealed seed against a published commitment
+ * @param {string} seed - Revealed seed
+ * @param {string} commitment - Published SHA-256 of the seed
+ * @returns {Promise<boolean>} True if the seed matches
+ */
+export async function verifyCommitment(seed, commitment) {
+  return (await sha256Hex(seed)) === String(commitment).trim().toLowerCase();
+}
+
+/**
+ * Beacon value as it goes into the seed: surrounding whitespace removed, nothing else changed
+ * @param {string} value - Beacon value entered by hand
+ * @returns {string} Normalized value
+ */
+export function normalizeBeacon(value) {
+  return String(value ?? '').trim();
+}
+
+/**
+ * Combine a public beacon value with the entrant-list hash into the draw seed
+ * @param {string} beacon - Beacon value (e.g. a block hash)
+ * @param {string} entrantsHash - Result of hashEntrants
+ * @returns {Promise<Object>} { seed, input } where `input` is exactly the string that was hashed
+ */
+export async function deriveBeaconSeed(beacon, entrantsHash) {
+  const value = normalizeBeacon(beacon);
+  if (!value) {
+    throw new Error('Beacon value is empty');
+  }
+  const input = `${value}:${entrantsHash}`;
+  return { seed: await sha256Hex(input), input };
+}
+
+/**
+ * Create the seeded random source
+ * @param {string} seed - Seed
+ * @returns {Function} async (max) => integer in [0, max)
+ */
+export function createSeededRandom(seed) {
+  let block = 0;
+  let values = [];
+
+  async function nextUint32() {
+    if (values.length === 0) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${seed}:${block++}`));
+      const view = new DataView(digest);
+      for (let i = 0; i < 8; i++) values.push(view.getUint32(i * 4));
+    }
+    return values.shift();
+  }
+
+  return async function randomInt(max) {
+    if (max <= 1) return 0;
+
+    // Largest multiple of max that fits in 32 bits
+    const limit = Math.floor(0x100000000 / max) * max;
+
+    let value;
+    do {
+      value = await nextUint32();
+    } while (value >= limit);
+
+    return value % max;
+  };
+}
+
+/**
+ * Shuffle entrants with the seeded random source
+ * Entrants are put in canonical order (sorted lowercase usernames) first, so the result
+ * only depends on the seed and who entered, not on the order they were collected in
+ * @param {Array<string|Object>} entrants - Usernames or user objects
+ * @param {string} seed - Seed
+ * @returns {Promise<Array>} Shuffled copy (same element types as the input, duplicates removed)
+ */
+export async function seededShuffle(entrants, seed) {
+  const result = toCanonicalOrder(entrants);
+  const randomInt = createSeededRandom(seed);
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = await randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
+
+/**
+ * Order entrants by weighted sampling without replacement: each step picks a ticket uniformly
+ * among the remaining ones, so an entrant's chance to come next is proportional to their tickets
+ * @param {Array<string|Object>} entrants - Usernames or user objects, in the order tickets are laid out
+ * @param {Map<string, number>} tickets - Lowercase username -> tickets (missing or invalid counts as 1)
+ * @param {Function} randomInt - (max) => integer in [0, max), or a promise of one
+ * @returns {Promise<Array>} Entrants in draw order
+ */
+export async function weightedShuffle(entrants, tickets, randomInt) {
+  const n = entrants.length;
+  const weights = entrants.map(e => getTickets(tickets, getUsername(e)));
+
+  // Fenwick tree over the ticket counts: find and remove a ticket holder in O(log n)
+  const tree = new Array(n + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    tree[i] += weights[i - 1];
+    const parent = i + (i & -i);
+    if (parent <= n) tree[parent] += tree[i];
+  }
+
+  let topBit = 1;
+  while (topBit * 2 <= n) topBit *= 2;
+
+  let total = weights.reduce((sum, w) => sum + w, 0);
+  const result = [];
+  while (result.length < n) {
+    let ticket = await randomInt(total);
+    let index = 0;
+    for (let step = topBit; step > 0; step >>= 1) {
+      if (index + step <= n && tree[index + step] <= ticket) {
+        index += step;
+        ticket -= tree[index];
+      }
+    }
+
+    result.push(entrants[index]);
+    total -= weights[index];
+    for (let i = index + 1; i <= n; i += i & -i) tree[i] -= weights[index];
+  }
+
+  return result;
+}
+
+/**
+ * Weighted counterpart of seededShuffle: canonical order, then weightedShuffle with the seeded random source
+ * @param {Array<string|Object>} entrants - Usernames or user objects
+ * @param {Map<string, number>} tickets - Lowercase username -> tickets
+ * @param {string} seed - Seed
+ * @returns {Promise<Array>} Entrants in draw order (duplicates removed)
+ */
+export async function seededWeightedShuffle(entrants, tickets, seed) {
+  return weightedShuffle(toCanonicalOrder(entrants), tickets, createSeededRandom(seed));
+}
+
+/**
+ * Text to publish before the draw
+ * @param {Object} record - { source, commitment, beaconSource, entrantsHash, entrantCount, tweetId, bonusEntries,
+ *   settingsHash, settingsSummary } where `bonusEntries` describes the entry weights of a weighted draw and
+ *   `settingsSummary` the committed draw settings (see lib/audit.js)
+ * @returns {string} Announcement text
+ */
+export function formatCommitment({
+  source,
+  commitment,
+  beaconSource,
+  entrantsHash,
+  entrantCount,
+  tweetId,
+  bonusEntries,
+  settingsHash,
+  settingsSummary
+}) {
+  const seedLines = source === 'beacon'
+    ? [
+      `Seed source: ${beaconSource}`,
+      'Seed = SHA-256("<beacon value>:<list hash>"), computed once the beacon value is published.'
+    ]
+    : [`Seed hash (SHA-256): ${commitment}`];
+
+  return [
+    'Giveaway draw commitment' + (tweetId ? ` for tweet ${tweetId}` : ''),
+    ...seedLines,
+    `Entrants: ${entrantCount}, list hash (SHA-256): ${entrantsHash}`,
+    ...formatBonusEntries(bonusEntries),
+    ...formatSettingsLines(settingsHash, settingsSummary),
+    source === 'beacon' ? 'The draw runs after the beacon value is published.' : 'The seed is revealed after the draw.'
+  ].join('\n');
+}
+
+/**
+ * Text to publish after the draw
+ * @param {Object} record - { source, seed, commitment, beaconSource, beacon, seedInput, entrantsHash, entrantCount, tweetId, bonusEntries,
+ *   settingsHash, settingsSummary }
+ * @param {Array<{username: string, position: number}>} winners - Winners with their 1-based position in the shuffle
+ * @param {Array<{username: string, position: number}>} alternates - Alternates in promotion order
+ * @returns {string} Reveal text
+ */
+export function formatReveal(record, winners, alternates = []) {
+  const {
+    source, seed, commitment, beaconSource, beacon, seedInput, entrantsHash, entrantCount, tweetId, bonusEntries,
+    settingsHash, settingsSummary
+  } = record;
+  const seedLines = source === 'beacon'
+    ? [
+      `Seed source: ${beaconSource}`,
+      `Beacon value: ${beacon}`,
+      `Seed = SHA-256("${seedInput}") = ${seed}`
+    ]
+    : [
+      `Seed: ${seed}`,
+      `Seed hash (SHA-256): ${commitment}`
+    ];
+
+  return [
+    'Giveaway draw reveal' + (tweetId ? ` for tweet ${tweetId}` : ''),
+    ...seedLines,
+    `Entrants: ${entrantCount}, list hash (SHA-256): ${entrantsHash}`,
+    ...formatBonusEntries(bonusEntries),
+    ...formatSettingsLines(settingsHash, settingsSummary),
+    'Winners (position in the seeded shuffle):',
+    ...winners.map((w, i) => `${i + 1}. ${w.tier ? w.tier + ': ' : ''}@${w.username} (#${w.position})`),
+    ...(alternates.length > 0 ? ['Alternates, in order:'] : []),
+    ...alternates.map((w, i) => `${i + 1}. @${w.username} (#${w.position})`)
+  ].join('\n');
+}
+
+/**
+ * Replace a winner with the next alternate. The winner keeps their slot's number and the
+ * alternates are used strictly in drawn order, so the draw stays one sequence.
+ * Alternates that no longer qualify are passed over only when named in `skipped`, in order.
+ * @param {Object} draw - { winners, alternates, replacements }
+ * @param {string} username - Winner to replace
+ * @param {string} reason - Why the winner is replaced (published with the draw)
+ * @param {number} replacedAt - Time of the replacement (defaults to now)
+ * @param {Array<{username: string, reason: string}>} skipped - Leading alternates passed over
+ * @returns {Object} New { winners, alternates, replacements }
+ */
+export function promoteAlternate(
+  { winners, alternates, replacements = [] },
+  username,
+  reason,
+  replacedAt = Date.now(),
+  skipped = []
+) {
+  const slot = winners.findIndex(w => getUsername(w) === getUsername(username));
+  if (slot === -1) {
+    throw new Error(`@${String(username).replace(/^@/, '')} is not a winner`);
+  }
+  skipped.forEach((skip, i) => {
+    if (!alternates[i] || getUsername(alternates[i]) !== getUsername(skip.username)) {
+      throw new Error(`@${String(skip.username).replace(/^@/, '')} is not the next alternate`);
+    }
+  });
+  if (alternates.length <= skipped.length) {
+    throw new Error('No alternates left');
+  }
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    throw new Error('Give a reason for the replacement');
+  }
+
+  const promoted = alternates[skipped.length];
+  const nextWinners = [...winners];
+  // The promoted user takes over the slot's prize tier, if the draw has tiers
+  nextWinners[slot] = winners[slot].tier ? { ...promoted, tier: winners[slot].tier } : promoted;
+
+  const replacement = {
+    slot: slot + 1,
+    replaced: winners[slot].username,
+    promoted: promoted.username,
+    reason: trimmedReason,
+    replacedAt
+  };
+  if (skipped.length > 0) {
+    replacement.skipped = skipped.map(s => ({ username: s.username, reason: s.reason }));
+  }
+
+  return {
+    winners: nextWinners,
+    alternates: alternates.slice(skipped.length + 1),
+    replacements: [...replacements, replacement]
+  };
+}
+
+function getUsername(entrant) {
+  const username = typeof entrant === 'string' ? entrant : entrant.username;
+  return String(username).replace(/^@/, '').toLowerCase();
+}
+
+function formatBonusEntries(bonusEntries) {
+  return bonusEntries ? [`Bonus entries: ${bonusEntries} (the list hash covers each entrant's tickets)`] : [];
+}
+
+function formatSettingsLines(settingsHash, settingsSummary) {
+  return settingsHash
+    ? [
+      `Draw settings: ${settingsSummary}`,
+      `Settings hash (SHA-256): ${settingsHash} (rule, reply rules, filters, prize tiers, winner and alternate counts)`
+    ]
+    : [];
+}
+
+// Entrants sorted by lowercase username, first occurrence of each kept
+function toCanonicalOrder(entrants) {
+  const byUsername = new Map();
+  for (const entrant of entrants) {
+    const key = getUsername(entrant);
+    if (!byUsername.has(key)) byUsername.set(key, entrant);
+  }
+  return Array.from(byUsername.keys()).sort().map(key => byUsername.get(key));
+}
+
+function getTickets(tickets, username) {
+  const count = Math.floor(Number(tickets?.get(username)));
+  return count >= 1 ? count : 1;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,327 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SEED_BYTES,
+  SEED_SOURCES,
+  generateSeed,
+  sha256Hex,
+  normalizeEntrants,
+  hashEntrants,
+  createCommitment,
+  verifyCommitment,
+  normalizeBeacon,
+  deriveBeaconSeed,
+  createSeededRandom,
+  seededShuffle,
+  weightedShuffle,
+  seededWeightedShuffle,
+  formatCommitment,
+  formatReveal,
+  promoteAlternate
+} from './draw.js';
+
+const SEED = 'a'.repeat(64);
+
+describe('generateSeed', () => {
+  it('should return a hex seed of SEED_BYTES bytes', () => {
+    const seed = generateSeed();
+
+    expect(seed).toMatch(new RegExp(`^[0-9a-f]{${SEED_BYTES * 2}}$`));
+    expect(generateSeed()).not.toBe(seed);
+  });
+});
+
+describe('sha256Hex', () => {
+  it('should match the standard test vector', async () => {
+    expect(await sha256Hex('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
+
+describe('normalizeEntrants', () => {
+  it('should lowercase, strip @, dedupe and sort', () => {
+    expect(normalizeEntrants(['@Bob', 'alice', { username: 'BOB' }])).toEqual(['alice', 'bob']);
+  });
+});
+
+describe('hashEntrants', () => {
+  it('should not depend on order or case', async () => {
+    expect(await hashEntrants(['Bob', 'alice'])).toBe(await hashEntrants(['alice', 'bob']));
+  });
+
+  it('should hash the sorted list one username per line', async () => {
+    expect(await hashEntrants(['bob', 'alice'])).toBe(await sha256Hex('alice\nbob'));
+  });
+
+  it('should include ticket counts for weighted draws', async () => {
+    const tickets = new Map([['bob', 3]]);
+
+    expect(await hashEntrants(['bob', 'alice'], tickets)).toBe(await sha256Hex('alice 1\nbob 3'));
+  });
+});
+
+describe('createCommitment / verifyCommitment', () => {
+  it('should commit to the seed and the entrant list', async () => {
+    const result = await createCommitment(SEED, ['alice', 'bob', 'Alice']);
+
+    expect(result).toEqual({
+      commitment: await sha256Hex(SEED),
+      entrantsHash: await hashEntrants(['alice', 'bob']),
+      entrantCount: 2
+    });
+    expect(await verifyCommitment(SEED, result.commitment)).toBe(true);
+    expect(await verifyCommitment('b'.repeat(64), result.commitment)).toBe(false);
+  });
+
+  it('should accept a commitment pasted in upper case', async () => {
+    const { commitment } = await createCommitment(SEED, ['alice']);
+
+    expect(await verifyCommitment(SEED, ` ${commitment.toUpperCase()} `)).toBe(true);
+  });
+});
+
+describe('deriveBeaconSeed', () => {
+  it('should hash the trimmed beacon value with the entrant-list hash', async () => {
+    const entrantsHash = await hashEntrants(['alice', 'bob']);
+
+    const result = await deriveBeaconSeed('  00000000000000000001abc \n', entrantsHash);
+
+    expect(result.input).toBe(`00000000000000000001abc:${entrantsHash}`);
+    expect(result.seed).toBe(await sha256Hex(result.input));
+  });
+
+  it('should give a different seed for different entrants', async () => {
+    const first = await deriveBeaconSeed('12 34 56', await hashEntrants(['alice']));
+    const second = await deriveBeaconSeed('12 34 56', await hashEntrants(['bob']));
+
+    expect(first.seed).not.toBe(second.seed);
+  });
+
+  it('should reject an empty beacon', async () => {
+    await expect(deriveBeaconSeed('   ', 'abc')).rejects.toThrow('Beacon value is empty');
+  });
+
+  it('should only trim the beacon value', () => {
+    expect(normalizeBeacon(' 12 34 ')).toBe('12 34');
+    expect(normalizeBeacon(undefined)).toBe('');
+    expect(SEED_SOURCES).toEqual(['seed', 'beacon']);
+  });
+});
+
+describe('createSeededRandom', () => {
+  it('should be deterministic for a seed', async () => {
+    const a = createSeededRandom(SEED);
+    const b = createSeededRandom(SEED);
+    const first = [];
+    const second = [];
+    for (let i = 0; i < 20; i++) {
+      first.push(await a(1000));
+      second.push(await b(1000));
+    }
+
+    expect(first).toEqual(second);
+  });
+
+  it('should stay within range', async () => {
+    const randomInt = createSeededRandom(SEED);
+    for (let i = 0; i < 50; i++) {
+      const value = await randomInt(7);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(7);
+    }
+    expect(await randomInt(1)).toBe(0);
+  });
+});
+
+describe('seededShuffle', () => {
+  const entrants = Array.from({ length: 30 }, (_, i) => ({ username: `user${i}` }));
+
+  it('should return a permutation of the entrants', async () => {
+    const result = await seededShuffle(entrants, SEED);
+
+    expect(result).toHaveLength(30);
+    expect(new Set(result)).toEqual(new Set(entrants));
+  });
+
+  it('should give the same order for the same seed regardless of input order', async () => {
+    const first = await seededShuffle(entrants, SEED);
+    const second = await seededShuffle([...entrants].reverse(), SEED);
+
+    expect(second.map(u => u.username)).toEqual(first.map(u => u.username));
+  });
+
+  it('should give a different order for a different seed', async () => {
+    const first = await seededShuffle(entrants, SEED);
+    const second = await seededShuffle(entrants, 'b'.repeat(64));
+
+    expect(second.map(u => u.username)).not.toEqual(first.map(u => u.username));
+  });
+
+  it('should accept usernames and drop duplicates', async () => {
+    const result = await seededShuffle(['alice', 'Bob', 'ALICE'], SEED);
+
+    expect(result.map(u => u.toLowerCase()).sort()).toEqual(['alice', 'bob']);
+  });
+});
+
+describe('weightedShuffle', () => {
+  // Random source that returns the given values in turn
+  function sequence(...values) {
+    return max => {
+      const value = values.shift();
+      expect(value).toBeLessThan(max);
+      return value;
+    };
+  }
+
+  it('should pick the holder of the drawn ticket and remove all their tickets', async () => {
+    const tickets = new Map([['alice', 1], ['bob', 3], ['carol', 2]]);
+
+    // 6 tickets: alice 0, bob 1-3, carol 4-5; then alice 0, carol 1-2; then carol
+    const result = await weightedShuffle(['alice', 'bob', 'carol'], tickets, sequence(2, 1, 0));
+
+    expect(result).toEqual(['bob', 'carol', 'alice']);
+  });
+
+  it('should make every ticket equally likely to come first', async () => {
+    const entrants = ['alice', 'bob', 'carol'];
+    const tickets = new Map([['alice', 1], ['bob', 3], ['carol', 2]]);
+
+    const firsts = [];
+    for (let ticket = 0; ticket < 6; ticket++) {
+      firsts.push((await weightedShuffle(entrants, tickets, sequence(ticket, 0, 0)))[0]);
+    }
+
+    expect(firsts).toEqual(['alice', 'bob', 'bob', 'bob', 'carol', 'carol']);
+  });
+
+  it('should count missing or invalid tickets as one', async () => {
+    const result = await weightedShuffle(['alice', 'bob'], new Map([['bob', 0]]), sequence(1, 0));
+
+    expect(result).toEqual(['bob', 'alice']);
+  });
+
+  it('should be reproducible from a seed regardless of input order', async () => {
+    const entrants = Array.from({ length: 30 }, (_, i) => ({ username: `user${i}` }));
+    const tickets = new Map(entrants.map((u, i) => [u.username, 1 + (i % 4)]));
+
+    const first = await seededWeightedShuffle(entrants, tickets, SEED);
+    const second = await seededWeightedShuffle([...entrants].reverse(), tickets, SEED);
+
+    expect(first).toHaveLength(30);
+    expect(new Set(first)).toEqual(new Set(entrants));
+    expect(second.map(u => u.username)).toEqual(first.map(u => u.username));
+  });
+});
+
+describe('formatCommitment / formatReveal', () => {
+  const record = { seed: SEED, commitment: 'c0ffee', entrantsHash: 'beef', entrantCount: 12, tweetId: '123' };
+
+  it('should publish the hashes but not the seed before the draw', () => {
+    const text = formatCommitment(record);
+
+    expect(text).toContain('tweet 123');
+    expect(text).toContain('c0ffee');
+    expect(text).toContain('Entrants: 12, list hash (SHA-256): beef');
+    expect(text).not.toContain(SEED);
+    expect(text).not.toContain('Bonus entries');
+    expect(formatCommitment({ ...record, bonusEntries: '+1 like' })).toContain('Bonus entries: +1 like');
+  });
+
+  it('should publish the committed draw settings', () => {
+    const text = formatCommitment({ ...record, settingsHash: 'cafe', settingsSummary: 'rule retweet; 2 winners; 0 alternates' });
+
+    expect(text).toContain('Draw settings: rule retweet; 2 winners; 0 alternates');
+    expect(text).toContain('Settings hash (SHA-256): cafe');
+    expect(formatReveal({ ...record, settingsHash: 'cafe' }, [])).toContain('Settings hash (SHA-256): cafe');
+    expect(formatCommitment(record)).not.toContain('Settings hash');
+  });
+
+  it('should name the beacon instead of a seed hash for beacon draws', () => {
+    const beaconRecord = { source: 'beacon', beaconSource: 'Bitcoin block 900000 hash', entrantsHash: 'beef', entrantCount: 12 };
+
+    const text = formatCommitment(beaconRecord);
+
+    expect(text).toContain('Seed source: Bitcoin block 900000 hash');
+    expect(text).not.toContain('Seed hash');
+  });
+
+  it('should show exactly what was combined for beacon draws', () => {
+    const beaconRecord = {
+      source: 'beacon',
+      beaconSource: 'Bitcoin block 900000 hash',
+      beacon: '0000abc',
+      seedInput: '0000abc:beef',
+      seed: 'f00d',
+      entrantsHash: 'beef',
+      entrantCount: 12
+    };
+
+    const text = formatReveal(beaconRecord, [{ username: 'alice', position: 2 }]);
+
+    expect(text).toContain('Beacon value: 0000abc');
+    expect(text).toContain('Seed = SHA-256("0000abc:beef") = f00d');
+    expect(text).toContain('1. @alice (#2)');
+  });
+
+  it('should reveal the seed and winner positions after the draw', () => {
+    const text = formatReveal(record, [{ username: 'alice', position: 1 }, { username: 'bob', position: 3 }]);
+
+    expect(text).toContain(`Seed: ${SEED}`);
+    expect(text).toContain('1. @alice (#1)');
+    expect(text).toContain('2. @bob (#3)');
+  });
+
+  it('should name the prize tier of each winner', () => {
+    const text = formatReveal(record, [{ username: 'alice', position: 1, tier: 'Grand prize' }]);
+
+    expect(text).toContain('1. Grand prize: @alice (#1)');
+  });
+
+  it('should list alternates after the winners', () => {
+    const text = formatReveal(record, [{ username: 'alice', position: 1 }], [{ username: 'carol', position: 2 }]);
+
+    expect(text).toContain('Alternates, in order:\n1. @carol (#2)');
+  });
+});
+
+describe('promoteAlternate', () => {
+  const draw = {
+    winners: [{ username: 'alice', position: 1 }, { username: 'bob', position: 2 }],
+    alternates: [{ username: 'carol', position: 4 }, { username: 'dave', position: 5 }]
+  };
+
+  it('should put the next alternate in the replaced winner\'s slot', () => {
+    const result = promoteAlternate(draw, '@Bob', ' Did not claim ', 1000);
+
+    expect(result.winners.map(w => w.username)).toEqual(['alice', 'carol']);
+    expect(result.alternates).toEqual([{ username: 'dave', position: 5 }]);
+    expect(result.replacements).toEqual([
+      { slot: 2, replaced: 'bob', promoted: 'carol', reason: 'Did not claim', replacedAt: 1000 }
+    ]);
+  });
+
+  it('should keep earlier replacements', () => {
+    const first = promoteAlternate(draw, 'alice', 'Declined', 1);
+    const second = promoteAlternate(first, 'carol', 'Did not claim', 2);
+
+    expect(second.winners.map(w => w.username)).toEqual(['dave', 'bob']);
+    expect(second.replacements.map(r => r.promoted)).toEqual(['carol', 'dave']);
+    expect(draw.winners[0].username).toBe('alice');
+  });
+
+  it('should pass over named alternates in order', () => {
+    const skipped = [{ username: 'carol', reason: 'No longer follows @sponsor' }];
+
+    const result = promoteAlternate(draw, 'alice', 'Claim expired', 1, skipped);
+
+    expect(result.winners[0].username).toBe('dave');
+    expect(result.alternates).toEqual([]);
+    expect(result.replacements[0].skipped).toEqual(skipped);
+    expect(() => promoteAlternate(draw, 'alice', 'x', 1, [{ username: 'dave' }])).toThrow('@dave is not the next alternate');
+  });
+
+  it('should reject unknown winners, a missing reason and an empty alternate list', () => {
+    expect(() => promoteAlternate(draw, 'mallory', 'x')).toThrow('@mallory is not a winner');
+    expect(() => promoteAlternate(draw, 'alice', '  ')).toThrow('Give a reason');
+    expect(() => promoteAlternate({ ...draw, alternates: [] }, 'alice', 'x')).toThrow('No alternates left');
+  });
+});
@@ -3,56 +3,134 @@
  * Pure functions for calculating eligible participants from collected data
  */
 
+import { normalizeBotScoreThreshold, createBioIndex, getBotScore } from './botscore.js';
+
 /**
  * Calculate eligible participants based on requirements
  * @param {Object} options
  * @param {Array} options.retweeters - Array of user objects who retweeted
  * @param {Array} options.likers - Array of user objects who liked
+ * @param {Array} options.repliers - Array of user objects who replied (with a `replies` array)
+ * @param {Array} options.quoters - Array of user objects who quote tweeted (with a `quotes` array)
  * @param {boolean} options.requireRetweet - Whether retweet is required
  * @param {boolean} options.requireLike - Whether like is required
- * @returns {Array} Array of eligible user objects
+ * @param {boolean} options.requireReply - Whether a reply is required
+ * @param {boolean} options.requireQuote - Whether a quote tweet is required
+ * @param {boolean} options.quoteCountsAsRetweet - Whether a quote tweet satisfies the retweet requirement
+ * @param {Array<string>} options.mustFollow - Accounts every participant must follow
+ * @param {Object} options.replyRules - Content rules a reply must satisfy (see evaluateReplyRules)
+ * @param {Object} options.requirement - Requirement tree; overrides the require* flags when given
+ * @param {Object} options.followers - Collected followers per account (account -> user[])
+ * @param {Object} options.verifiedFollows - Verified follows per user (lowercase username -> account -> boolean)
+ * @returns {Array} Array of eligible user objects. Users whose result depends on a follow
+ *   that isn't known yet are included; follows are verified when picking winners.
  */
-export function calculateEligible({ retweeters = [], likers = [], requireRetweet = true, requireLike = true }) {
-  // If a requirement is set but list is empty, no one can be eligible
-  if (requireRetweet && retweeters.length === 0) {
-    return [];
-  }
-  if (requireLike && likers.length === 0) {
-    return [];
-  }
+export function calculateEligible({
+  retweeters = [],
+  likers = [],
+  repliers = [],
+  quoters = [],
+  requireRetweet = true,
+  requireLike = true,
+  requireReply = false,
+  requireQuote = false,
+  quoteCountsAsRetweet = false,
+  mustFollow = [],
+  replyRules = null,
+  requirement,
+  followers = {},
+  verifiedFollows = {}
+}) {
+  const tree = requirement !== undefined
+    ? requirement
+    : buildRequirementTree({ requireRetweet, requireLike, requireReply, requireQuote, quoteCountsAsRetweet, mustFollow });
 
-  let eligibleSet = null;
+  if (!tree) return [];
 
-  const retweeterSet = new Set(retweeters.map(u => u.username.toLowerCase()));
-  const likerSet = new Set(likers.map(u => u.username.toLowerCase()));
+  const sourceIndex = buildSourceIndex({ retweeters, likers, repliers, quoters, replyRules, followers });
 
-  // Start with retweeters if required
-  if (requireRetweet) {
-    eligibleSet = new Set(retweeterSet);
+  // Build user objects - prefer retweeter data (most complete)
+  const sources = [quoters, repliers, likers, retweeters];
+
+  // Without follows the rule only combines the collected lists, so it's worked out on their Sets
+  // once instead of evaluated user by user, and only the users it matches are merged
+  if (getRequirementAccounts(tree).length === 0) {
+    const getEveryone = () => new Set(sources.flat().map(u => u.username.toLowerCase()));
+    const matched = matchSources(tree, sourceIndex, getEveryone);
+    return Array.from(mergeUserData(...sources.map(users => users.filter(u => matched.has(u.username.toLowerCase())))).values());
   }
 
-  // Intersect with likers if required
-  if (requireLike) {
-    if (eligibleSet) {
-      eligibleSet = new Set([...eligibleSet].filter(u => likerSet.has(u)));
-    } else {
-      eligibleSet = new Set(likerSet);
+  const userMap = mergeUserData(...sources);
+
+  const eligible = [];
+  for (const [username, user] of userMap) {
+    if (evaluateRequirement(tree, createUserFacts(sourceIndex, username, verifiedFollows[username])) !== false) {
+      eligible.push(user);
     }
   }
+  return eligible;
+}
 
-  if (!eligibleSet) return [];
+// Usernames meeting a requirement tree without follow nodes, the same as evaluateRequirement
+// `getEveryone` returns every collected username (only NOT needs them)
+function matchSources(node, sourceIndex, getEveryone) {
+  switch (node.type) {
+    case 'source':
+      return sourceIndex[node.source] || new Set();
 
-  // Build user objects - prefer retweeter data (most complete)
-  const userMap = new Map();
-  [...likers, ...retweeters].forEach(u => {
-    userMap.set(u.username.toLowerCase(), u);
-  });
+    case 'not': {
+      const excluded = matchSources(node.child, sourceIndex, getEveryone);
+      return new Set(Array.from(getEveryone()).filter(username => !excluded.has(username)));
+    }
+
+    case 'and': {
+      if (node.children.length === 0) return getEveryone();
+      const [smallest, ...rest] = node.children
+        .map(child => matchSources(child, sourceIndex, getEveryone))
+        .sort((a, b) => a.size - b.size);
+      return new Set(Array.from(smallest).filter(username => rest.every(set => set.has(username))));
+    }
+
+    case 'or': {
+      const matched = new Set();
+      for (const child of node.children) {
+        for (const username of matchSources(child, sourceIndex, getEveryone)) matched.add(username);
+      }
+      return matched;
+    }
+
+    default:
+      throw new Error(`Unknown requirement node: ${node.type}`);
+  }
+}
 
-  return Array.from(eligibleSet)
-    .map(username => userMap.get(username))
-    .filter(Boolean);
+/**
+ * Merge user objects from several sources into one map keyed by lowercase username.
+ * Later sources take precedence per field, so pass the most complete source last;
+ * fields only present in earlier sources (e.g. `replies`) are kept.
+ * @param {...Array} sources - Arrays of user objects
+ * @returns {Map<string, Object>} Lowercase username -> merged user object
+ */
+export function mergeUserData(...sources) {
+  const userMap = new Map();
+  for (const users of sources) {
+    for (const u of users) {
+      const key = u.username.toLowerCase();
+      const existing = userMap.get(key);
+      userMap.set(key, existing ? { ...existing, ...u } : u);
+    }
+  }
+  return userMap;
 }
 
+// What to do with a user when an active filter needs data we don't have (e.g. no follower count):
+// - include: let them through (the filter only applies when data exists)
+// - exclude: drop them (data can't be checked, so the filter isn't met)
+// - fetch: callers fetch the missing profile data first (see findUsersMissingData);
+//          anyone still missing data afterwards is excluded
+export const MISSING_DATA_POLICIES = ['include', 'exclude', 'fetch'];
+export const DEFAULT_MISSING_DATA_POLICY = 'include';
+
 /**
  * Apply filters to a list of users
  * @param {Array} users - Array of user objects
@@ -61,32 +139,812 @@ export function calculateEligible({ retweeters = [], likers = [], requireRetweet
  * @param {number} filters.minTweets - Minimum tweet count
  * @param {number} filters.minAccountAgeDays - Minimum account age in days
  * @param {boolean} filters.requireAvatar - Whether to require a profile picture
+ * @param {Array<string>} filters.hosts - The giveaway's own accounts: author, required follows, team (see lib/lists.js)
+ * @param {Array<string>} filters.blacklist - Usernames that can never win
+ * @param {Array<string>} filters.previousWinners - Usernames excluded for winning before (see lib/history.js)
+ * @param {Array<string>|null} filters.allowlist - When given, only these usernames can win (see lib/lists.js)
+ * @param {Array<string>} filters.clusterExclusions - Usernames disqualified as sockpuppets (see lib/clusters.js)
+ * @param {number} filters.botScoreThreshold - Exclude users scoring at least this (see lib/botscore.js; 0 = off).
+ *   Shared bios are counted among `users`, so pass the whole entrant list.
+ * @param {string} filters.missingData - Missing data policy (see MISSING_DATA_POLICIES)
+ * @param {Date|number} filters.now - Reference time for account age (defaults to now)
  * @returns {Array} Filtered array of user objects
  */
-export function applyFilters(users, { minFollowers = 0, minTweets = 0, minAccountAgeDays = 0, requireAvatar = false } = {}) {
-  const now = new Date();
+export function applyFilters(users, filters = {}) {
+  const context = createFilterContext(filters, users);
+  return users.filter(u => checkFilters(u, context) === null);
+}
+
+/**
+ * Get the reason a user is filtered out
+ * @param {Object} user - User object
+ * @param {Object} filters - Same options as applyFilters
+ * @returns {string|null} 'host' | 'blacklist' | 'allowlist' | 'previous-winner' | 'cluster' | 'missing-data' | 'followers' | 'tweets' | 'account-age' | 'avatar' | 'bot-score',
+ *   or null if the user passes
+ */
+export function getFilterRejection(user, filters = {}) {
+  return checkFilters(user, createFilterContext(filters, [user]));
+}
+
+/**
+ * Build a check for users taken one at a time (e.g. candidates in shuffle order), so the
+ * filters are prepared once rather than per user
+ * @param {Object} filters - Same options as applyFilters
+ * @param {Array} users - The list the users are taken from (the bot score counts shared bios among them)
+ * @returns {Function} (user) => true when the user passes
+ */
+export function createFilterPredicate(filters = {}, users = []) {
+  const context = createFilterContext(filters, users);
+  return user => checkFilters(user, context) === null;
+}
+
+// How each rejection reason reads in the filtered breakdown
+export const FILTER_REJECTION_LABELS = {
+  'host': 'host or team member',
+  'blacklist': 'on blocklist',
+  'allowlist': 'not on allowlist',
+  'previous-winner': 'excluded: previous winner',
+  'cluster': 'sockpuppet cluster',
+  'missing-data': 'missing profile data',
+  'followers': 'too few followers',
+  'tweets': 'too few tweets',
+  'account-age': 'account too new',
+  'avatar': 'no profile picture',
+  'bot-score': 'bot score too high'
+};
+
+/**
+ * Count the users each filter removed
+ * @param {Array} users - Array of user objects
+ * @param {Object} filters - Same options as applyFilters
+ * @returns {Object} Rejection reason -> count (reasons with no users are left out)
+ */
+export function countFilterRejections(users, filters = {}) {
+  const context = createFilterContext(filters, users);
+  const counts = {};
+  for (const user of users) {
+    const reason = checkFilters(user, context);
+    if (reason) counts[reason] = (counts[reason] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Find users that lack data needed by an active filter (candidates for fetching their profile)
+ * @param {Array} users - Array of user objects
+ * @param {Object} filters - Same options as applyFilters
+ * @returns {Array} Users with missing data
+ */
+export function findUsersMissingData(users, filters = {}) {
+  const context = createFilterContext(filters);
+  return users.filter(u => getMissingFields(u, context).length > 0);
+}
+
+// Normalize filter options once per list instead of once per user
+// `users` is the list being filtered, the population for the bot score's shared-bio signal
+function createFilterContext({
+  minFollowers = 0,
+  minTweets = 0,
+  minAccountAgeDays = 0,
+  requireAvatar = false,
+  hosts = [],
+  blacklist = [],
+  previousWinners = [],
+  allowlist = null,
+  clusterExclusions = [],
+  botScoreThreshold = 0,
+  missingData = DEFAULT_MISSING_DATA_POLICY,
+  now = new Date()
+} = {}, users = []) {
+  const toUsernameSet = list => new Set((Array.isArray(list) ? list : [])
+    .filter(u => typeof u === 'string')
+    .map(u => u.replace(/^@/, '').toLowerCase()));
+
   const minDate = new Date(now);
   minDate.setDate(minDate.getDate() - minAccountAgeDays);
+  const threshold = normalizeBotScoreThreshold(botScoreThreshold);
+
+  return {
+    minFollowers,
+    minTweets,
+    minAccountAgeDays,
+    requireAvatar,
+    minDate,
+    hosts: toUsernameSet(hosts),
+    blacklist: toUsernameSet(blacklist),
+    previousWinners: toUsernameSet(previousWinners),
+    allowlist: Array.isArray(allowlist) ? toUsernameSet(allowlist) : null,
+    clusterExclusions: toUsernameSet(clusterExclusions),
+    botScoreThreshold: threshold,
+    bioIndex: threshold > 0 ? createBioIndex(users) : null,
+    now: new Date(now),
+    missingData: MISSING_DATA_POLICIES.includes(missingData) ? missingData : DEFAULT_MISSING_DATA_POLICY
+  };
+}
+
+// Fields an active filter needs but the user doesn't have (invalid dates count as missing)
+function getMissingFields(u, context) {
+  const missing = [];
+  if (context.minFollowers > 0 && typeof u.followerCount !== 'number') missing.push('followerCount');
+  if (context.minTweets > 0 && typeof u.tweetCount !== 'number') missing.push('tweetCount');
+  if (context.minAccountAgeDays > 0 && !isValidDate(u.createdAt)) missing.push('createdAt');
+  if (context.requireAvatar && (typeof u.avatarUrl !== 'string' || !u.avatarUrl)) missing.push('avatarUrl');
+  return missing;
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+function checkFilters(u, context) {
+  if (context.hosts.has(u.username.toLowerCase())) return 'host';
+  if (context.blacklist.has(u.username.toLowerCase())) return 'blacklist';
+  if (context.allowlist && !context.allowlist.has(u.username.toLowerCase())) return 'allowlist';
+  if (context.previousWinners.has(u.username.toLowerCase())) return 'previous-winner';
+  if (context.clusterExclusions.has(u.username.toLowerCase())) return 'cluster';
+
+  if (context.missingData !== 'include' && getMissingFields(u, context).length > 0) {
+    return 'missing-data';
+  }
+
+  // Each filter only applies when we have the data (missing data was handled above)
+  if (context.minFollowers > 0 && typeof u.followerCount === 'number') {
+    if (u.followerCount < context.minFollowers) return 'followers';
+  }
+  if (context.minTweets > 0 && typeof u.tweetCount === 'number') {
+    if (u.tweetCount < context.minTweets) return 'tweets';
+  }
+  if (context.minAccountAgeDays > 0 && isValidDate(u.createdAt)) {
+    if (new Date(u.createdAt) > context.minDate) return 'account-age';
+  }
+  if (context.requireAvatar && u.avatarUrl) {
+    if (u.avatarUrl.includes('default_profile')) return 'avatar';
+  }
+  if (context.botScoreThreshold > 0) {
+    const { score } = getBotScore(u, { now: context.now, bioIndex: context.bioIndex });
+    if (score >= context.botScoreThreshold) return 'bot-score';
+  }
+  return null;
+}
+
+/**
+ * Normalize reply rules: lowercase everything, strip leading '#' from hashtags, drop empty entries
+ * @param {Object} rules
+ * @param {number} rules.minMentions - Minimum number of other accounts tagged in the reply
+ * @param {Array<string>} rules.requiredHashtags - Hashtags that must all appear
+ * @param {Array<string>} rules.requiredKeywords - Keywords/phrases that must all appear
+ * @param {Array<string>} rules.forbiddenKeywords - Keywords/phrases that must not appear
+ * @param {boolean} rules.requireMedia - Whether the reply must have a photo/video attached
+ * @returns {Object} Normalized rules
+ */
+export function normalizeReplyRules({
+  minMentions = 0,
+  requiredHashtags = [],
+  requiredKeywords = [],
+  forbiddenKeywords = [],
+  requireMedia = false
+} = {}) {
+  const clean = (list, prefix = '') => (Array.isArray(list) ? list : [])
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toLowerCase())
+    .map(item => (prefix && item.startsWith(prefix) ? item.slice(prefix.length) : item))
+    .filter(item => item.length > 0);
+
+  return {
+    minMentions: Math.max(0, Math.floor(Number(minMentions) || 0)),
+    requiredHashtags: clean(requiredHashtags, '#'),
+    requiredKeywords: clean(requiredKeywords),
+    forbiddenKeywords: clean(forbiddenKeywords),
+    requireMedia: Boolean(requireMedia)
+  };
+}
+
+/**
+ * Check whether any reply rule is active
+ * @param {Object} rules - Reply rules (normalized or not)
+ * @returns {boolean}
+ */
+export function hasReplyRules(rules) {
+  if (!rules) return false;
+  const r = normalizeReplyRules(rules);
+  return r.minMentions > 0 ||
+    r.requiredHashtags.length > 0 ||
+    r.requiredKeywords.length > 0 ||
+    r.forbiddenKeywords.length > 0 ||
+    r.requireMedia;
+}
+
+/**
+ * Evaluate a user's replies against the reply rules.
+ * A user passes if at least one of their replies satisfies every rule; otherwise the
+ * reasons of their closest reply (fewest broken rules) are reported.
+ * @param {Array} replies - Reply objects ({ text, mentions, hashtags, hasMedia })
+ * @param {Object} rules - Reply rules (see normalizeReplyRules)
+ * @returns {{ passed: boolean, reasons: Array<string> }}
+ */
+export function evaluateReplyRules(replies = [], rules = {}) {
+  if (!Array.isArray(replies) || replies.length === 0) {
+    return { passed: false, reasons: ['no reply'] };
+  }
 
-  return users.filter(u => {
-    // Only apply filters when we have the data (don't exclude if data is missing)
-    if (minFollowers > 0 && u.followerCount !== undefined) {
-      if (u.followerCount < minFollowers) return false;
+  const normalized = normalizeReplyRules(rules);
+  let best = null;
+
+  for (const reply of replies) {
+    const reasons = getReplyRuleViolations(reply, normalized);
+    if (reasons.length === 0) {
+      return { passed: true, reasons: [] };
+    }
+    if (!best || reasons.length < best.length) {
+      best = reasons;
     }
-    if (minTweets > 0 && u.tweetCount !== undefined) {
-      if (u.tweetCount < minTweets) return false;
+  }
+
+  return { passed: false, reasons: best };
+}
+
+/**
+ * Split repliers into those with a reply satisfying the rules and those without
+ * @param {Array} users - Array of user objects with a `replies` array
+ * @param {Object} rules - Reply rules (see normalizeReplyRules)
+ * @returns {{ passed: Array, rejected: Array<{ user: Object, reasons: Array<string> }> }}
+ */
+export function applyReplyRules(users, rules = {}) {
+  const passed = [];
+  const rejected = [];
+
+  for (const user of users) {
+    const result = evaluateReplyRules(user.replies, rules);
+    if (result.passed) {
+      passed.push(user);
+    } else {
+      rejected.push({ user, reasons: result.reasons });
     }
-    if (minAccountAgeDays > 0 && u.createdAt) {
-      try {
-        const created = new Date(u.createdAt);
-        if (created > minDate) return false;
-      } catch (e) {
-        // Invalid date, skip filter
+  }
+
+  return { passed, rejected };
+}
+
+// List the rules a single reply breaks (empty array = reply is valid)
+function getReplyRuleViolations(reply, rules) {
+  const reasons = [];
+  const text = typeof reply?.text === 'string' ? reply.text.toLowerCase() : '';
+
+  // Fall back to parsing the text when entities weren't captured
+  const hashtags = Array.isArray(reply?.hashtags)
+    ? reply.hashtags.map(h => h.toLowerCase())
+    : (text.match(/#[\p{L}\p{N}_]+/gu) || []).map(h => h.slice(1));
+
+  const mentionCount = countReplyMentions(reply);
+  if (mentionCount < rules.minMentions) {
+    reasons.push(`tagged ${mentionCount} of ${rules.minMentions} required accounts`);
+  }
+
+  for (const tag of rules.requiredHashtags) {
+    if (!hashtags.includes(tag)) {
+      reasons.push(`missing #${tag}`);
+    }
+  }
+
+  for (const keyword of rules.requiredKeywords) {
+    if (!containsKeyword(text, keyword)) {
+      reasons.push(`missing keyword "${keyword}"`);
+    }
+  }
+
+  for (const keyword of rules.forbiddenKeywords) {
+    if (containsKeyword(text, keyword)) {
+      reasons.push(`contains forbidden keyword "${keyword}"`);
+    }
+  }
+
+  if (rules.requireMedia && !reply?.hasMedia) {
+    reasons.push('no media attached');
+  }
+
+  return reasons;
+}
+
+// Keywords match whole words only ("win" isn't in "window"); letters of any script count as word characters
+const keywordPatterns = new Map();
+
+function containsKeyword(text, keyword) {
+  let pattern = keywordPatterns.get(keyword);
+  if (!pattern) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'u');
+    keywordPatterns.set(keyword, pattern);
+  }
+  return pattern.test(text);
+}
+
+// Distinct accounts tagged in a reply, from its entities or else its text
+function countReplyMentions(reply) {
+  const mentions = Array.isArray(reply?.mentions)
+    ? reply.mentions.map(m => String(m).toLowerCase())
+    : (typeof reply?.text === 'string' ? reply.text.toLowerCase().match(/@[a-z0-9_]{1,15}/g) || [] : [])
+      .map(m => m.slice(1));
+  return new Set(mentions).size;
+}
+
+// Sources a requirement can reference, mapped to the collected list they come from
+export const REQUIREMENT_SOURCES = ['retweet', 'like', 'reply', 'quote'];
+
+const MAX_REQUIREMENT_NODES = 50;
+const MAX_REQUIREMENT_DEPTH = 10;
+
+/**
+ * Build a requirement tree equivalent to the fixed checkboxes (AND of everything checked)
+ * @param {Object} options - Same require* flags as calculateEligible, plus mustFollow
+ * @returns {Object|null} Requirement tree, or null when nothing is required
+ */
+export function buildRequirementTree({
+  requireRetweet = false,
+  requireLike = false,
+  requireReply = false,
+  requireQuote = false,
+  quoteCountsAsRetweet = false,
+  mustFollow = []
+} = {}) {
+  const children = [];
+
+  if (requireRetweet) {
+    children.push(quoteCountsAsRetweet
+      ? { type: 'or', children: [{ type: 'source', source: 'retweet' }, { type: 'source', source: 'quote' }] }
+      : { type: 'source', source: 'retweet' });
+  }
+  if (requireLike) children.push({ type: 'source', source: 'like' });
+  if (requireReply) children.push({ type: 'source', source: 'reply' });
+  if (requireQuote) children.push({ type: 'source', source: 'quote' });
+
+  for (const account of mustFollow) {
+    children.push({ type: 'follow', account: account.toLowerCase() });
+  }
+
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Evaluate a requirement tree for one user using three-valued logic.
+ * Follow checks may be unknown (null) until verified; AND/OR/NOT propagate that.
+ * @param {Object} node - Requirement tree node
+ * @param {Object} facts
+ * @param {Function} facts.hasSource - (source) => boolean
+ * @param {Function} facts.follows - (account) => true | false | null (unknown)
+ * @returns {boolean|null} true/false, or null when it depends on an unknown follow
+ */
+export function evaluateRequirement(node, facts) {
+  switch (node.type) {
+    case 'source':
+      return Boolean(facts.hasSource(node.source));
+
+    case 'follow': {
+      const follows = facts.follows(node.account);
+      return typeof follows === 'boolean' ? follows : null;
+    }
+
+    case 'not': {
+      const value = evaluateRequirement(node.child, facts);
+      return value === null ? null : !value;
+    }
+
+    case 'and': {
+      let unknown = false;
+      for (const child of node.children) {
+        const value = evaluateRequirement(child, facts);
+        if (value === false) return false;
+        if (value === null) unknown = true;
+      }
+      return unknown ? null : true;
+    }
+
+    case 'or': {
+      let unknown = false;
+      for (const child of node.children) {
+        const value = evaluateRequirement(child, facts);
+        if (value === true) return true;
+        if (value === null) unknown = true;
       }
+      return unknown ? null : false;
     }
-    if (requireAvatar && u.avatarUrl) {
-      if (u.avatarUrl.includes('default_profile')) return false;
+
+    default:
+      throw new Error(`Unknown requirement node: ${node.type}`);
+  }
+}
+
+/**
+ * Index collected users by source for fast requirement evaluation
+ * @param {Object} options - retweeters, likers, repliers, quoters, replyRules, followers
+ * @returns {Object} { retweet, like, reply, quote: Set<username>, followers: { account: Set<username> },
+ *   extraMentions: Map<username, number> (accounts tagged beyond the required minimum in the user's best valid reply) }
+ */
+export function buildSourceIndex({
+  retweeters = [],
+  likers = [],
+  repliers = [],
+  quoters = [],
+  replyRules = null,
+  followers = {}
+} = {}) {
+  const toSet = users => new Set(users.map(u => u.username.toLowerCase()));
+
+  // Replies that break the content rules don't count as entering
+  const rules = hasReplyRules(replyRules) ? normalizeReplyRules(replyRules) : null;
+  const validRepliers = rules ? applyReplyRules(repliers, rules).passed : repliers;
+
+  const extraMentions = new Map();
+  for (const user of validRepliers) {
+    const replies = (Array.isArray(user.replies) ? user.replies : [])
+      .filter(reply => !rules || getReplyRuleViolations(reply, rules).length === 0);
+    const extra = Math.max(0, ...replies.map(reply => countReplyMentions(reply) - (rules?.minMentions || 0)));
+    if (extra > 0) extraMentions.set(user.username.toLowerCase(), extra);
+  }
+
+  return {
+    retweet: toSet(retweeters),
+    like: toSet(likers),
+    reply: toSet(validRepliers),
+    quote: toSet(quoters),
+    extraMentions,
+    followers: Object.fromEntries(
+      Object.entries(followers || {}).map(([account, users]) => [account.toLowerCase(), toSet(users)])
+    )
+  };
+}
+
+/**
+ * Create the facts evaluateRequirement needs for one user
+ * @param {Object} sourceIndex - Result of buildSourceIndex
+ * @param {string} username - Username to evaluate
+ * @param {Object} followResults - Known follow results (account -> boolean), e.g. from verification
+ * @returns {Object} Facts object
+ */
+export function createUserFacts(sourceIndex, username, followResults = {}) {
+  const key = username.toLowerCase();
+  return {
+    hasSource: source => Boolean(sourceIndex[source]?.has(key)),
+    follows: account => {
+      const normalized = account.toLowerCase();
+      if (typeof followResults[normalized] === 'boolean') return followResults[normalized];
+      const followerSet = sourceIndex.followers?.[normalized];
+      return followerSet ? followerSet.has(key) : null;
     }
-    return true;
+  };
+}
+
+// Actions that can earn bonus entries
+export const ENTRY_ACTIONS = ['retweet', 'like', 'reply', 'quote'];
+
+export const MAX_ENTRY_WEIGHT = 10;
+
+// Cap on one entrant's tickets, however many bonuses they earn
+export const MAX_ENTRY_TICKETS = 100;
+
+export const DEFAULT_MAX_BONUS_MENTIONS = 5;
+
+const MAX_BONUS_FOLLOWS = 10;
+
+/**
+ * Normalize bonus-entry weights. Every entrant holds one ticket; each satisfied action adds its weight.
+ * @param {Object} weights
+ * @param {number} weights.retweet - Extra tickets for retweeting (likewise like, reply, quote)
+ * @param {number} weights.perMention - Extra tickets per account tagged beyond the reply rules' minimum
+ * @param {number} weights.maxMentions - Most extra tagged accounts that earn tickets
+ * @param {Object} weights.follows - Optional accounts to follow (account -> extra tickets)
+ * @returns {Object} Normalized weights: whole numbers of 0-MAX_ENTRY_WEIGHT, accounts lowercase without @
+ */
+export function normalizeEntryWeights({
+  retweet = 0,
+  like = 0,
+  reply = 0,
+  quote = 0,
+  perMention = 0,
+  maxMentions = DEFAULT_MAX_BONUS_MENTIONS,
+  follows = {}
+} = {}) {
+  const clamp = value => Math.max(0, Math.min(Math.floor(Number(value) || 0), MAX_ENTRY_WEIGHT));
+
+  const followWeights = {};
+  for (const [account, weight] of Object.entries(follows || {})) {
+    const key = String(account).trim().replace(/^@/, '').toLowerCase();
+    if (/^[a-z0-9_]{1,15}$/.test(key) && clamp(weight) > 0 && Object.keys(followWeights).length < MAX_BONUS_FOLLOWS) {
+      followWeights[key] = clamp(weight);
+    }
+  }
+
+  return {
+    retweet: clamp(retweet),
+    like: clamp(like),
+    reply: clamp(reply),
+    quote: clamp(quote),
+    perMention: clamp(perMention),
+    maxMentions: Math.max(0, Math.min(Math.floor(Number(maxMentions) || 0), MAX_ENTRY_TICKETS)),
+    follows: followWeights
+  };
+}
+
+/**
+ * Check whether any action earns bonus entries
+ * @param {Object} weights - Entry weights (normalized or not)
+ * @returns {boolean}
+ */
+export function hasEntryWeights(weights) {
+  if (!weights) return false;
+  const w = normalizeEntryWeights(weights);
+  return ENTRY_ACTIONS.some(action => w[action] > 0) ||
+    (w.perMention > 0 && w.maxMentions > 0) ||
+    Object.keys(w.follows).length > 0;
+}
+
+/**
+ * Tickets one entrant holds
+ * @param {Object} sourceIndex - Result of buildSourceIndex
+ * @param {string} username - Entrant
+ * @param {Object} weights - Normalized entry weights
+ * @param {Object} followResults - Known follow results (account -> boolean); unknown follows earn nothing
+ * @returns {number} 1 to MAX_ENTRY_TICKETS
+ */
+export function getEntryTickets(sourceIndex, username, weights, followResults = {}) {
+  const facts = createUserFacts(sourceIndex, username, followResults);
+  let tickets = 1;
+
+  for (const action of ENTRY_ACTIONS) {
+    if (weights[action] > 0 && facts.hasSource(action)) tickets += weights[action];
+  }
+
+  const extraMentions = sourceIndex.extraMentions?.get(username.toLowerCase()) || 0;
+  tickets += weights.perMention * Math.min(extraMentions, weights.maxMentions);
+
+  for (const [account, weight] of Object.entries(weights.follows)) {
+    if (facts.follows(account) === true) tickets += weight;
+  }
+
+  return Math.min(tickets, MAX_ENTRY_TICKETS);
+}
+
+/**
+ * Tickets of every entrant
+ * @param {Array} users - Entrants
+ * @param {Object} options - retweeters, likers, repliers, quoters, replyRules, followers and verifiedFollows
+ *   as for calculateEligible, plus `weights` (see normalizeEntryWeights)
+ * @returns {Map<string, number>} Lowercase username -> tickets
+ */
+export function calculateEntryTickets(users, {
+  retweeters = [],
+  likers = [],
+  repliers = [],
+  quoters = [],
+  replyRules = null,
+  followers = {},
+  verifiedFollows = {},
+  weights
+} = {}) {
+  const normalized = normalizeEntryWeights(weights);
+  const sourceIndex = buildSourceIndex({ retweeters, likers, repliers, quoters, replyRules, followers });
+
+  const tickets = new Map();
+  for (const user of users) {
+    const key = user.username.toLowerCase();
+    tickets.set(key, getEntryTickets(sourceIndex, key, normalized, verifiedFollows[key]));
+  }
+  return tickets;
+}
+
+/**
+ * Describe entry weights in words
+ * @param {Object} weights - Entry weights
+ * @returns {string} e.g. "+2 reply, +1 per extra tagged friend (up to 5), +3 follow @brand", or '' when none
+ */
+export function formatEntryWeights(weights) {
+  const w = normalizeEntryWeights(weights);
+  const parts = ENTRY_ACTIONS.filter(action => w[action] > 0).map(action => `+${w[action]} ${action}`);
+  if (w.perMention > 0 && w.maxMentions > 0) {
+    parts.push(`+${w.perMention} per extra tagged friend (up to ${w.maxMentions})`);
+  }
+  for (const [account, weight] of Object.entries(w.follows)) {
+    parts.push(`+${weight} follow @${account}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * List the sources a requirement references (these need to be collected)
+ * @param {Object|null} node - Requirement tree
+ * @returns {Array<string>} Source names
+ */
+export function getRequirementSources(node) {
+  const sources = new Set();
+  walkRequirement(node, n => {
+    if (n.type === 'source') sources.add(n.source);
+  });
+  return REQUIREMENT_SOURCES.filter(source => sources.has(source));
+}
+
+/**
+ * List the accounts a requirement checks follows for
+ * @param {Object|null} node - Requirement tree
+ * @returns {Array<string>} Lowercase account usernames
+ */
+export function getRequirementAccounts(node) {
+  const accounts = new Set();
+  walkRequirement(node, n => {
+    if (n.type === 'follow') accounts.add(n.account);
   });
+  return Array.from(accounts);
+}
+
+function walkRequirement(node, visit) {
+  if (!node) return;
+  visit(node);
+  if (node.type === 'not') walkRequirement(node.child, visit);
+  if (node.type === 'and' || node.type === 'or') node.children.forEach(child => walkRequirement(child, visit));
+}
+
+/**
+ * Validate an untrusted requirement tree (e.g. from storage or a message) and return a clean copy
+ * @param {*} node - Candidate tree
+ * @returns {Object} Sanitized tree
+ * @throws {Error} If the tree is malformed or too large
+ */
+export function sanitizeRequirement(node) {
+  let count = 0;
+
+  function clean(n, depth) {
+    if (++count > MAX_REQUIREMENT_NODES) throw new Error('Requirement is too large');
+    if (depth > MAX_REQUIREMENT_DEPTH) throw new Error('Requirement is nested too deeply');
+    if (!n || typeof n !== 'object') throw new Error('Invalid requirement');
+
+    switch (n.type) {
+      case 'source':
+        if (!REQUIREMENT_SOURCES.includes(n.source)) throw new Error(`Unknown source: ${n.source}`);
+        return { type: 'source', source: n.source };
+      case 'follow':
+        if (typeof n.account !== 'string' || !/^[a-zA-Z0-9_]{1,15}$/.test(n.account)) {
+          throw new Error('Invalid follow account');
+        }
+        return { type: 'follow', account: n.account.toLowerCase() };
+      case 'not':
+        return { type: 'not', child: clean(n.child, depth + 1) };
+      case 'and':
+      case 'or':
+        if (!Array.isArray(n.children) || n.children.length === 0) {
+          throw new Error(`${n.type.toUpperCase()} needs at least one condition`);
+        }
+        return { type: n.type, children: n.children.map(child => clean(child, depth + 1)) };
+      default:
+        throw new Error('Invalid requirement');
+    }
+  }
+
+  return clean(node, 0);
+}
+
+/**
+ * Parse a requirement expression such as "(retweet OR quote) AND follow @brand"
+ * Keywords: retweet, like, reply, quote, follow @name (or just @name), AND, OR, NOT, parentheses.
+ * NOT binds tighter than AND, which binds tighter than OR.
+ * @param {string} text - Expression
+ * @returns {Object} Requirement tree
+ * @throws {Error} With a user-facing message on syntax errors
+ */
+export function parseRequirement(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Requirement is empty');
+  }
+
+  const tokens = text.match(/\(|\)|[@A-Za-z0-9_:]+|\S/g) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (token, keyword) => typeof token === 'string' && token.toUpperCase() === keyword;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (isKeyword(peek(), 'AND')) {
+      pos++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    if (isKeyword(peek(), 'NOT')) {
+      pos++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+
+    if (token === undefined) throw new Error('Unexpected end of requirement');
+
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[pos++] !== ')') throw new Error('Missing closing parenthesis');
+      return node;
+    }
+
+    const word = token.toLowerCase();
+    const source = SOURCE_ALIASES[word];
+    if (source) return { type: 'source', source };
+
+    // "follow @name", "follow:@name" or just "@name"
+    let account = null;
+    if (word === 'follow' || word === 'follows') {
+      account = tokens[pos++];
+    } else if (word.startsWith('follow:')) {
+      account = token.slice('follow:'.length);
+    } else if (word.startsWith('@')) {
+      account = token;
+    }
+
+    if (account !== null) {
+      const name = typeof account === 'string' ? account.replace(/^@/, '') : '';
+      if (!/^[a-zA-Z0-9_]{1,15}$/.test(name)) {
+        throw new Error(`Expected an account after "follow", got "${account ?? 'end of input'}"`);
+      }
+      return { type: 'follow', account: name.toLowerCase() };
+    }
+
+    throw new Error(`Unexpected "${token}"`);
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos]}"`);
+  }
+  return sanitizeRequirement(tree);
+}
+
+const SOURCE_ALIASES = {
+  retweet: 'retweet',
+  retweets: 'retweet',
+  rt: 'retweet',
+  like: 'like',
+  likes: 'like',
+  reply: 'reply',
+  replies: 'reply',
+  quote: 'quote',
+  quotes: 'quote'
+};
+
+/**
+ * Format a requirement tree as an expression parseRequirement accepts
+ * @param {Object|null} node - Requirement tree
+ * @returns {string} Expression (empty string for null)
+ */
+export function formatRequirement(node) {
+  if (!node) return '';
+
+  const PRECEDENCE = { or: 1, and: 2, not: 3, source: 4, follow: 4 };
+
+  function format(n, parentPrecedence) {
+    let text;
+    switch (n.type) {
+      case 'source':
+        return n.source;
+      case 'follow':
+        return `follow @${n.account}`;
+      case 'not':
+        return `NOT ${format(n.child, PRECEDENCE.not)}`;
+      default:
+        text = n.children.map(child => format(child, PRECEDENCE[n.type])).join(` ${n.type.toUpperCase()} `);
+    }
+    return PRECEDENCE[n.type] < parentPrecedence ? `(${text})` : text;
+  }
+
+  return format(node, 0);
 }
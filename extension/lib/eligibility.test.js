@@ -1,5 +1,31 @@
 import { describe, it, expect } from 'vitest';
-import { calculateEligible, applyFilters } from './eligibility.js';
+import {
+  calculateEligible,
+  applyFilters,
+  getFilterRejection,
+  createFilterPredicate,
+  countFilterRejections,
+  FILTER_REJECTION_LABELS,
+  findUsersMissingData,
+  evaluateReplyRules,
+  applyReplyRules,
+  hasReplyRules,
+  normalizeReplyRules,
+  buildRequirementTree,
+  evaluateRequirement,
+  parseRequirement,
+  formatRequirement,
+  sanitizeRequirement,
+  getRequirementSources,
+  getRequirementAccounts,
+  buildSourceIndex,
+  createUserFacts,
+  MAX_ENTRY_TICKETS,
+  normalizeEntryWeights,
+  hasEntryWeights,
+  calculateEntryTickets,
+  formatEntryWeights
+} from './eligibility.js';
 
 // Helper to create user objects
 function createUser(username, overrides = {}) {
@@ -149,6 +175,118 @@ describe('calculateEligible', () => {
     });
   });
 
+  describe('repliers', () => {
+    it('should intersect repliers when reply is required', () => {
+      const retweeters = [createUser('alice'), createUser('bob')];
+      const repliers = [createUser('bob', { replies: [{ tweetId: '1', text: 'me!' }] })];
+
+      const eligible = calculateEligible({
+        retweeters,
+        repliers,
+        requireRetweet: true,
+        requireLike: false,
+        requireReply: true
+      });
+
+      expect(eligible).toHaveLength(1);
+      expect(eligible[0].username).toBe('bob');
+    });
+
+    it('should return all repliers when only reply is required', () => {
+      const repliers = [createUser('alice'), createUser('bob')];
+
+      const eligible = calculateEligible({
+        repliers,
+        requireRetweet: false,
+        requireLike: false,
+        requireReply: true
+      });
+
+      expect(eligible).toHaveLength(2);
+    });
+
+    it('should return empty array when repliers list is empty but required', () => {
+      const eligible = calculateEligible({
+        retweeters: [createUser('alice')],
+        repliers: [],
+        requireRetweet: true,
+        requireLike: false,
+        requireReply: true
+      });
+
+      expect(eligible).toHaveLength(0);
+    });
+
+    it('should ignore repliers when reply is not required', () => {
+      const eligible = calculateEligible({
+        retweeters: [createUser('alice')],
+        repliers: [createUser('bob')],
+        requireRetweet: true,
+        requireLike: false
+      });
+
+      expect(eligible.map(u => u.username)).toEqual(['alice']);
+    });
+  });
+
+  describe('quoters', () => {
+    it('should intersect quoters when quote is required', () => {
+      const eligible = calculateEligible({
+        likers: [createUser('alice'), createUser('bob')],
+        quoters: [createUser('alice')],
+        requireRetweet: false,
+        requireLike: true,
+        requireQuote: true
+      });
+
+      expect(eligible.map(u => u.username)).toEqual(['alice']);
+    });
+
+    it('should not count quoters as retweeters by default', () => {
+      const eligible = calculateEligible({
+        retweeters: [createUser('alice')],
+        quoters: [createUser('bob')],
+        requireRetweet: true,
+        requireLike: false
+      });
+
+      expect(eligible.map(u => u.username)).toEqual(['alice']);
+    });
+
+    it('should accept retweet OR quote when quoteCountsAsRetweet is set', () => {
+      const retweeters = [createUser('alice'), createUser('bob')];
+      const quoters = [createUser('charlie', { quotes: [{ tweetId: '7', text: 'Entering!' }] })];
+      const likers = [createUser('alice'), createUser('charlie'), createUser('dave')];
+
+      const eligible = calculateEligible({
+        retweeters,
+        likers,
+        quoters,
+        requireRetweet: true,
+        requireLike: true,
+        quoteCountsAsRetweet: true
+      });
+
+      const usernames = eligible.map(u => u.username);
+      expect(usernames).toHaveLength(2);
+      expect(usernames).toContain('alice');
+      expect(usernames).toContain('charlie'); // quoted instead of retweeting
+      expect(eligible.find(u => u.username === 'charlie').quotes).toHaveLength(1);
+    });
+
+    it('should allow retweet requirement with only quoters when merged', () => {
+      const eligible = calculateEligible({
+        retweeters: [],
+        quoters: [createUser('alice')],
+        requireRetweet: true,
+        requireLike: false,
+        quoteCountsAsRetweet: true
+      });
+
+      expect(eligible).toHaveLength(1);
+    });
+  });
+
   describe('user data merging', () => {
     it('should prefer retweeter data over liker data', () => {
       const retweeters = [createUser('alice', { followerCount: 1000, displayName: 'Alice R' })];
@@ -165,6 +303,23 @@ describe('calculateEligible', () => {
       expect(eligible[0].followerCount).toBe(1000); // retweeter data preferred
       expect(eligible[0].displayName).toBe('Alice R');
     });
+
+    it('should keep captured replies when merging with retweeter data', () => {
+      const replies = [{ tweetId: '42', text: 'count me in', createdAt: 'Mon Jan 01 00:00:00 +0000 2024' }];
+      const retweeters = [createUser('alice', { followerCount: 1000 })];
+      const repliers = [createUser('alice', { followerCount: 900, replies })];
+
+      const eligible = calculateEligible({
+        retweeters,
+        repliers,
+        requireRetweet: true,
+        requireLike: false,
+        requireReply: true
+      });
+
+      expect(eligible[0].followerCount).toBe(1000);
+      expect(eligible[0].replies).toEqual(replies);
+    });
   });
 
   describe('edge cases', () => {
@@ -319,6 +474,218 @@ describe('applyFilters', () => {
     });
   });
 
+  describe('blacklist', () => {
+    it('should exclude blacklisted usernames case-insensitively', () => {
+      const users = [createUser('alice'), createUser('Bob')];
+
+      const filtered = applyFilters(users, { blacklist: ['@bob'] });
+
+      expect(filtered.map(u => u.username)).toEqual(['alice']);
+    });
+  });
+
+  describe('hosts', () => {
+    it('should exclude host accounts before any other filter', () => {
+      const users = [createUser('Brand', { followerCount: 0 }), createUser('alice')];
+      const filters = { hosts: ['brand'], blacklist: ['brand'], minFollowers: 10 };
+
+      expect(applyFilters(users, filters).map(u => u.username)).toEqual(['alice']);
+      expect(getFilterRejection(users[0], filters)).toBe('host');
+      expect(countFilterRejections(users, filters)).toEqual({ host: 1 });
+    });
+  });
+
+  describe('clusterExclusions', () => {
+    it('should exclude disqualified cluster members with their own reason', () => {
+      const users = [createUser('alice'), createUser('Bot_01')];
+      const filters = { clusterExclusions: ['bot_01'] };
+
+      expect(applyFilters(users, filters).map(u => u.username)).toEqual(['alice']);
+      expect(getFilterRejection(users[1], filters)).toBe('cluster');
+    });
+  });
+
+  describe('botScoreThreshold', () => {
+    it('should exclude users scoring at or above the threshold, counting shared bios among the list', () => {
+      const now = new Date('2024-06-01T00:00:00Z');
+      const users = [
+        createUser('alice', { bio: 'Same bio for everyone here' }),
+        createUser('bob', { bio: 'Same bio for everyone here' }),
+        createUser('carol', { bio: 'Something else entirely' })
+      ];
+
+      expect(applyFilters(users, { botScoreThreshold: 30, now }).map(u => u.username)).toEqual(['carol']);
+      expect(countFilterRejections(users, { botScoreThreshold: 30, now })).toEqual({ 'bot-score': 2 });
+      expect(applyFilters(users, { botScoreThreshold: 0, now })).toHaveLength(3);
+    });
+  });
+
+  describe('allowlist', () => {
+    it('should only let allowlisted users through when an allowlist is given', () => {
+      const users = [createUser('alice'), createUser('Bob'), createUser('carol')];
+      const filters = { allowlist: ['@bob', 'carol'], blacklist: ['carol'] };
+
+      expect(applyFilters(users, filters).map(u => u.username)).toEqual(['Bob']);
+      expect(getFilterRejection(users[0], filters)).toBe('allowlist');
+      // The blocklist wins over the allowlist
+      expect(getFilterRejection(users[2], filters)).toBe('blacklist');
+    });
+
+    it('should treat an empty allowlist as nobody and null as off', () => {
+      const users = [createUser('alice')];
+
+      expect(applyFilters(users, { allowlist: [] })).toHaveLength(0);
+      expect(applyFilters(users, { allowlist: null })).toHaveLength(1);
+    });
+  });
+
+  describe('previousWinners', () => {
+    it('should exclude previous winners with their own reason', () => {
+      const users = [createUser('alice'), createUser('Bob'), createUser('carol')];
+      const filters = { previousWinners: ['bob'], blacklist: ['carol'] };
+
+      expect(applyFilters(users, filters).map(u => u.username)).toEqual(['alice']);
+      expect(getFilterRejection(users[1], filters)).toBe('previous-winner');
+      expect(FILTER_REJECTION_LABELS['previous-winner']).toBe('excluded: previous winner');
+    });
+  });
+
+  describe('countFilterRejections', () => {
+    it('should count users per rejection reason', () => {
+      const users = [
+        createUser('alice'),
+        createUser('bob', { followerCount: 5 }),
+        createUser('carl', { followerCount: 1 }),
+        createUser('dave')
+      ];
+
+      expect(countFilterRejections(users, { minFollowers: 10, previousWinners: ['dave'] }))
+        .toEqual({ followers: 2, 'previous-winner': 1 });
+      expect(countFilterRejections(users, {})).toEqual({});
+    });
+  });
+
+  describe('missing data policy', () => {
+    const users = [
+      createUser('alice', { followerCount: 500 }),
+      createUser('bob', { followerCount: undefined }),
+      createUser('charlie', { followerCount: 5 })
+    ];
+
+    it('should include users with missing data by default', () => {
+      const filtered = applyFilters(users, { minFollowers: 100 });
+
+      expect(filtered.map(u => u.username)).toEqual(['alice', 'bob']);
+    });
+
+    it('should exclude users with missing data when policy is exclude', () => {
+      const filtered = applyFilters(users, { minFollowers: 100, missingData: 'exclude' });
+
+      expect(filtered.map(u => u.username)).toEqual(['alice']);
+    });
+
+    it('should exclude users still missing data when policy is fetch', () => {
+      const filtered = applyFilters(users, { minFollowers: 100, missingData: 'fetch' });
+
+      expect(filtered.map(u => u.username)).toEqual(['alice']);
+    });
+
+    it('should fall back to include for an unknown policy', () => {
+      const filtered = applyFilters(users, { minFollowers: 100, missingData: 'maybe' });
+
+      expect(filtered).toHaveLength(2);
+    });
+
+    it('should only consider data needed by active filters', () => {
+      const filtered = applyFilters(
+        [createUser('alice', { tweetCount: undefined })],
+        { minFollowers: 10, missingData: 'exclude' }
+      );
+
+      expect(filtered).toHaveLength(1);
+    });
+
+    it('should treat invalid dates as missing', () => {
+      const dated = [
+        createUser('alice', { createdAt: 'invalid-date' }),
+        createUser('bob', { createdAt: null })
+      ];
+
+      expect(applyFilters(dated, { minAccountAgeDays: 30 })).toHaveLength(2);
+      expect(applyFilters(dated, { minAccountAgeDays: 30, missingData: 'exclude' })).toHaveLength(0);
+    });
+
+    it('should treat a missing avatar as missing data', () => {
+      const noAvatar = [createUser('alice', { avatarUrl: undefined })];
+
+      expect(applyFilters(noAvatar, { requireAvatar: true })).toHaveLength(1);
+      expect(applyFilters(noAvatar, { requireAvatar: true, missingData: 'exclude' })).toHaveLength(0);
+    });
+  });
+
+  describe('findUsersMissingData', () => {
+    it('should list users lacking data for active filters', () => {
+      const users = [
+        createUser('alice'),
+        createUser('bob', { tweetCount: undefined }),
+        createUser('charlie', { followerCount: undefined })
+      ];
+
+      expect(findUsersMissingData(users, { minTweets: 10 }).map(u => u.username)).toEqual(['bob']);
+      expect(findUsersMissingData(users, {})).toEqual([]);
+    });
+  });
+
+  describe('getFilterRejection', () => {
+    it('should report why a user is filtered out', () => {
+      const filters = { minFollowers: 100, minTweets: 10, requireAvatar: true, blacklist: ['eve'], missingData: 'exclude' };
+
+      expect(getFilterRejection(createUser('alice'), filters)).toBe(null);
+      expect(getFilterRejection(createUser('eve'), filters)).toBe('blacklist');
+      expect(getFilterRejection(createUser('bob', { followerCount: 5 }), filters)).toBe('followers');
+      expect(getFilterRejection(createUser('carl', { tweetCount: 1 }), filters)).toBe('tweets');
+      expect(getFilterRejection(createUser('dan', { tweetCount: undefined }), filters)).toBe('missing-data');
+      expect(getFilterRejection(
+        createUser('fay', { avatarUrl: 'https://abs.twimg.com/sticky/default_profile.png' }),
+        filters
+      )).toBe('avatar');
+    });
+
+    it('should use the given reference time for account age', () => {
+      const user = createUser('alice', { createdAt: '2024-01-01T00:00:00Z' });
+
+      expect(getFilterRejection(user, { minAccountAgeDays: 30, now: new Date('2024-01-15T00:00:00Z') })).toBe('account-age');
+      expect(getFilterRejection(user, { minAccountAgeDays: 30, now: new Date('2024-03-01T00:00:00Z') })).toBe(null);
+    });
+  });
+
+  describe('createFilterPredicate', () => {
+    it('should agree with applyFilters for users checked one at a time', () => {
+      const users = [
+        createUser('alice'),
+        createUser('bob', { followerCount: 5 }),
+        createUser('eve')
+      ];
+      const filters = { minFollowers: 100, blacklist: ['eve'] };
+      const passes = createFilterPredicate(filters, users);
+
+      expect(users.filter(passes)).toEqual(applyFilters(users, filters));
+    });
+
+    it('should count shared bios across the whole list', () => {
+      const bio = 'Follow for daily giveaways!!';
+      const users = [
+        createUser('alice', { bio }),
+        createUser('bob', { bio }),
+        createUser('carl', { bio: 'Photographer in Lisbon' })
+      ];
+      const passes = createFilterPredicate({ botScoreThreshold: 30 }, users);
+
+      expect(passes(users[0])).toBe(false);
+      expect(passes(users[2])).toBe(true);
+    });
+  });
+
   describe('combined filters', () => {
     it('should apply all filters together', () => {
       const oldDate = new Date();
@@ -342,3 +709,473 @@ describe('applyFilters', () => {
     });
   });
 });
+
+describe('reply rules', () => {
+  function reply(text, overrides = {}) {
+    return { tweetId: '1', text, mentions: [], hashtags: [], hasMedia: false, ...overrides };
+  }
+
+  describe('evaluateReplyRules', () => {
+    it('should pass when no rules are set', () => {
+      expect(evaluateReplyRules([reply('hi')], {})).toEqual({ passed: true, reasons: [] });
+    });
+
+    it('should fail users without a reply', () => {
+      expect(evaluateReplyRules([], { minMentions: 1 })).toEqual({ passed: false, reasons: ['no reply'] });
+      expect(evaluateReplyRules(undefined, {}).passed).toBe(false);
+    });
+
+    it('should require the minimum number of distinct tagged accounts', () => {
+      const rules = { minMentions: 2 };
+
+      expect(evaluateReplyRules([reply('@a @a', { mentions: ['a', 'a'] })], rules)).toEqual({
+        passed: false,
+        reasons: ['tagged 1 of 2 required accounts']
+      });
+      expect(evaluateReplyRules([reply('@a @b', { mentions: ['a', 'b'] })], rules).passed).toBe(true);
+    });
+
+    it('should require hashtags case-insensitively and with or without #', () => {
+      const rules = { requiredHashtags: ['#MyBrand', 'giveaway'] };
+
+      const result = evaluateReplyRules([reply('love it', { hashtags: ['mybrand'] })], rules);
+      expect(result.passed).toBe(false);
+      expect(result.reasons).toEqual(['missing #giveaway']);
+
+      expect(evaluateReplyRules([reply('x', { hashtags: ['MyBrand', 'Giveaway'] })], rules).passed).toBe(true);
+    });
+
+    it('should check required and forbidden keywords in the reply text', () => {
+      const rules = { requiredKeywords: ['Pizza'], forbiddenKeywords: ['follow back'] };
+
+      expect(evaluateReplyRules([reply('I love pizza')], rules).passed).toBe(true);
+      expect(evaluateReplyRules([reply('pizza! follow back pls')], rules).reasons)
+        .toEqual(['contains forbidden keyword "follow back"']);
+      expect(evaluateReplyRules([reply('burgers')], rules).reasons)
+        .toEqual(['missing keyword "pizza"']);
+    });
+
+    it('should match keywords as whole words only', () => {
+      const forbidden = { forbiddenKeywords: ['ass'] };
+      expect(evaluateReplyRules([reply('I pass, first class entry')], forbidden).passed).toBe(true);
+      expect(evaluateReplyRules([reply('what an ass.')], forbidden).passed).toBe(false);
+
+      const required = { requiredKeywords: ['win', 'c++'] };
+      expect(evaluateReplyRules([reply('open the window, c++ fan')], required).reasons)
+        .toEqual(['missing keyword "win"']);
+      expect(evaluateReplyRules([reply('I want to WIN! c++ rocks')], required).passed).toBe(true);
+      expect(evaluateReplyRules([reply('un café!')], { requiredKeywords: ['café'] }).passed).toBe(true);
+      expect(evaluateReplyRules([reply('deux cafés')], { requiredKeywords: ['café'] }).passed).toBe(false);
+    });
+
+    it('should require attached media', () => {
+      const rules = { requireMedia: true };
+
+      expect(evaluateReplyRules([reply('pic')], rules).reasons).toEqual(['no media attached']);
+      expect(evaluateReplyRules([reply('pic', { hasMedia: true })], rules).passed).toBe(true);
+    });
+
+    it('should pass if any reply satisfies all rules', () => {
+      const rules = { minMentions: 1, requiredHashtags: ['win'] };
+      const replies = [
+        reply('#win', { hashtags: ['win'] }),
+        reply('@friend #win', { mentions: ['friend'], hashtags: ['win'] })
+      ];
+
+      expect(evaluateReplyRules(replies, rules).passed).toBe(true);
+    });
+
+    it('should report the reasons of the closest reply', () => {
+      const rules = { minMentions: 1, requiredHashtags: ['win'], requireMedia: true };
+      const replies = [
+        reply('nothing'),
+        reply('#win', { hashtags: ['win'], hasMedia: true })
+      ];
+
+      expect(evaluateReplyRules(replies, rules).reasons).toEqual(['tagged 0 of 1 required accounts']);
+    });
+
+    it('should parse mentions and hashtags from text when entities are missing', () => {
+      const rules = { minMentions: 2, requiredHashtags: ['win'] };
+
+      expect(evaluateReplyRules([{ text: '@Bob @carol #Win' }], rules).passed).toBe(true);
+    });
+  });
+
+  describe('applyReplyRules', () => {
+    it('should split repliers into passed and rejected with reasons', () => {
+      const users = [
+        createUser('alice', { replies: [reply('@a @b', { mentions: ['a', 'b'] })] }),
+        createUser('bob', { replies: [reply('@a', { mentions: ['a'] })] })
+      ];
+
+      const { passed, rejected } = applyReplyRules(users, { minMentions: 2 });
+
+      expect(passed.map(u => u.username)).toEqual(['alice']);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].user.username).toBe('bob');
+      expect(rejected[0].reasons).toEqual(['tagged 1 of 2 required accounts']);
+    });
+  });
+
+  describe('hasReplyRules / normalizeReplyRules', () => {
+    it('should detect active rules', () => {
+      expect(hasReplyRules(null)).toBe(false);
+      expect(hasReplyRules({})).toBe(false);
+      expect(hasReplyRules({ requiredHashtags: ['  '] })).toBe(false);
+      expect(hasReplyRules({ requireMedia: true })).toBe(true);
+      expect(hasReplyRules({ minMentions: 2 })).toBe(true);
+    });
+
+    it('should normalize values', () => {
+      expect(normalizeReplyRules({
+        minMentions: '2.7',
+        requiredHashtags: [' #Brand ', ''],
+        requiredKeywords: ['Hello World'],
+        forbiddenKeywords: [42, 'SPAM']
+      })).toEqual({
+        minMentions: 2,
+        requiredHashtags: ['brand'],
+        requiredKeywords: ['hello world'],
+        forbiddenKeywords: ['spam'],
+        requireMedia: false
+      });
+    });
+  });
+
+  describe('calculateEligible with replyRules', () => {
+    it('should only count repliers whose reply satisfies the rules', () => {
+      const retweeters = [createUser('alice'), createUser('bob')];
+      const repliers = [
+        createUser('alice', { replies: [reply('#brand', { hashtags: ['brand'] })] }),
+        createUser('bob', { replies: [reply('no tag')] })
+      ];
+
+      const eligible = calculateEligible({
+        retweeters,
+        repliers,
+        requireRetweet: true,
+        requireLike: false,
+        requireReply: true,
+        replyRules: { requiredHashtags: ['brand'] }
+      });
+
+      expect(eligible.map(u => u.username)).toEqual(['alice']);
+    });
+  });
+});
+
+describe('requirement expressions', () => {
+  const facts = (sources, follows = {}) => ({
+    hasSource: source => sources.includes(source),
+    follows: account => (account in follows ? follows[account] : null)
+  });
+
+  describe('parseRequirement', () => {
+    it('should parse sources and boolean operators with precedence', () => {
+      expect(parseRequirement('retweet OR quote AND like')).toEqual({
+        type: 'or',
+        children: [
+          { type: 'source', source: 'retweet' },
+          { type: 'and', children: [{ type: 'source', source: 'quote' }, { type: 'source', source: 'like' }] }
+        ]
+      });
+    });
+
+    it('should parse parentheses, NOT and follow accounts', () => {
+      expect(parseRequirement('like and (follow @A or @b) and not follow:@Spam')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'source', source: 'like' },
+          { type: 'or', children: [{ type: 'follow', account: 'a' }, { type: 'follow', account: 'b' }] },
+          { type: 'not', child: { type: 'follow', account: 'spam' } }
+        ]
+      });
+    });
+
+    it('should accept plural aliases', () => {
+      expect(parseRequirement('likes')).toEqual({ type: 'source', source: 'like' });
+      expect(parseRequirement('RT')).toEqual({ type: 'source', source: 'retweet' });
+    });
+
+    it('should reject malformed expressions with a readable message', () => {
+      expect(() => parseRequirement('')).toThrow('Requirement is empty');
+      expect(() => parseRequirement('retweet AND')).toThrow('Unexpected end of requirement');
+      expect(() => parseRequirement('(retweet OR like')).toThrow('Missing closing parenthesis');
+      expect(() => parseRequirement('retweet like')).toThrow('Unexpected "like"');
+      expect(() => parseRequirement('follow')).toThrow('Expected an account');
+      expect(() => parseRequirement('follow @this_name_is_too_long')).toThrow('Expected an account');
+      expect(() => parseRequirement('bookmark')).toThrow('Unexpected "bookmark"');
+    });
+  });
+
+  describe('formatRequirement', () => {
+    it('should round-trip through parseRequirement', () => {
+      const expressions = [
+        '(retweet OR quote) AND follow @brand',
+        'like AND (follow @a OR follow @b)',
+        'NOT (reply OR quote)',
+        'retweet OR like AND NOT follow @x'
+      ];
+
+      for (const expression of expressions) {
+        expect(formatRequirement(parseRequirement(expression))).toBe(expression);
+      }
+    });
+
+    it('should return an empty string for no requirement', () => {
+      expect(formatRequirement(null)).toBe('');
+    });
+  });
+
+  describe('evaluateRequirement', () => {
+    it('should evaluate sources with AND/OR/NOT', () => {
+      const tree = parseRequirement('(retweet OR quote) AND NOT reply');
+
+      expect(evaluateRequirement(tree, facts(['retweet']))).toBe(true);
+      expect(evaluateRequirement(tree, facts(['quote']))).toBe(true);
+      expect(evaluateRequirement(tree, facts(['quote', 'reply']))).toBe(false);
+      expect(evaluateRequirement(tree, facts(['like']))).toBe(false);
+    });
+
+    it('should return null when the result depends on an unknown follow', () => {
+      const tree = parseRequirement('like AND (follow @a OR follow @b)');
+
+      expect(evaluateRequirement(tree, facts(['like']))).toBe(null);
+      expect(evaluateRequirement(tree, facts(['like'], { a: false }))).toBe(null);
+      expect(evaluateRequirement(tree, facts(['like'], { a: false, b: false }))).toBe(false);
+      expect(evaluateRequirement(tree, facts(['like'], { b: true }))).toBe(true);
+      // A definite false elsewhere settles the AND regardless of unknown follows
+      expect(evaluateRequirement(tree, facts([]))).toBe(false);
+    });
+
+    it('should keep unknown through NOT', () => {
+      const tree = parseRequirement('NOT follow @a');
+
+      expect(evaluateRequirement(tree, facts([]))).toBe(null);
+      expect(evaluateRequirement(tree, facts([], { a: true }))).toBe(false);
+    });
+  });
+
+  describe('buildRequirementTree', () => {
+    it('should AND the checked requirements', () => {
+      const tree = buildRequirementTree({ requireRetweet: true, requireLike: true, mustFollow: ['Brand'] });
+
+      expect(formatRequirement(tree)).toBe('retweet AND like AND follow @brand');
+    });
+
+    it('should treat quote as an alternative to retweet when merged', () => {
+      const tree = buildRequirementTree({ requireRetweet: true, quoteCountsAsRetweet: true });
+
+      expect(formatRequirement(tree)).toBe('retweet OR quote');
+    });
+
+    it('should return null when nothing is required', () => {
+      expect(buildRequirementTree({})).toBe(null);
+    });
+  });
+
+  describe('sanitizeRequirement', () => {
+    it('should reject unknown node types and bad accounts', () => {
+      expect(() => sanitizeRequirement({ type: 'source', source: 'bookmark' })).toThrow();
+      expect(() => sanitizeRequirement({ type: 'follow', account: 'bad name' })).toThrow();
+      expect(() => sanitizeRequirement({ type: 'and', children: [] })).toThrow();
+      expect(() => sanitizeRequirement({ type: 'eval', code: 'x' })).toThrow();
+    });
+
+    it('should reject trees that are too deep', () => {
+      let tree = { type: 'source', source: 'like' };
+      for (let i = 0; i < 20; i++) tree = { type: 'not', child: tree };
+
+      expect(() => sanitizeRequirement(tree)).toThrow('nested too deeply');
+    });
+
+    it('should strip unknown properties', () => {
+      expect(sanitizeRequirement({ type: 'follow', account: 'Brand', extra: 1 }))
+        .toEqual({ type: 'follow', account: 'brand' });
+    });
+  });
+
+  describe('getRequirementSources / getRequirementAccounts', () => {
+    it('should list referenced sources and accounts', () => {
+      const tree = parseRequirement('(quote OR retweet) AND NOT follow @a AND follow @b');
+
+      expect(getRequirementSources(tree)).toEqual(['retweet', 'quote']);
+      expect(getRequirementAccounts(tree)).toEqual(['a', 'b']);
+      expect(getRequirementSources(null)).toEqual([]);
+    });
+  });
+
+  describe('createUserFacts', () => {
+    it('should prefer verified follow results over collected followers', () => {
+      const index = buildSourceIndex({
+        likers: [createUser('alice')],
+        followers: { brand: [createUser('alice')] }
+      });
+
+      expect(createUserFacts(index, 'Alice').hasSource('like')).toBe(true);
+      expect(createUserFacts(index, 'alice').follows('brand')).toBe(true);
+      expect(createUserFacts(index, 'alice').follows('other')).toBe(null);
+      expect(createUserFacts(index, 'alice', { brand: false }).follows('Brand')).toBe(false);
+    });
+  });
+
+  describe('calculateEligible with a requirement tree', () => {
+    const retweeters = [createUser('alice'), createUser('bob')];
+    const quoters = [createUser('charlie')];
+    const likers = [createUser('alice'), createUser('charlie'), createUser('dave')];
+
+    it('should support OR between sources', () => {
+      const eligible = calculateEligible({
+        retweeters,
+        quoters,
+        likers,
+        requirement: parseRequirement('(retweet OR quote) AND like')
+      });
+
+      expect(eligible.map(u => u.username).sort()).toEqual(['alice', 'charlie']);
+    });
+
+    it('should support NOT', () => {
+      const eligible = calculateEligible({
+        retweeters,
+        likers,
+        requirement: parseRequirement('like AND NOT retweet')
+      });
+
+      expect(eligible.map(u => u.username).sort()).toEqual(['charlie', 'dave']);
+    });
+
+    it('should match evaluating each user when the rule has no follows', () => {
+      const requirement = parseRequirement('(like AND NOT (retweet OR quote)) OR (retweet AND like)');
+      const sourceIndex = buildSourceIndex({ retweeters, quoters, likers });
+      const expected = ['alice', 'bob', 'charlie', 'dave']
+        .filter(username => evaluateRequirement(requirement, createUserFacts(sourceIndex, username)) === true);
+
+      const eligible = calculateEligible({ retweeters, quoters, likers, requirement });
+
+      expect(eligible.map(u => u.username).sort()).toEqual(expected);
+      expect(expected).toEqual(['alice', 'dave']);
+    });
+
+    it('should keep users with unknown follows and use collected followers when available', () => {
+      const requirement = parseRequirement('retweet AND follow @brand');
+
+      expect(calculateEligible({ retweeters, requirement })).toHaveLength(2);
+      expect(calculateEligible({
+        retweeters,
+        requirement,
+        followers: { brand: [createUser('bob')] }
+      }).map(u => u.username)).toEqual(['bob']);
+    });
+
+    it('should drop users whose verified follows fail the requirement', () => {
+      const eligible = calculateEligible({
+        retweeters,
+        requirement: parseRequirement('retweet AND follow @brand'),
+        verifiedFollows: { alice: { brand: false } }
+      });
+
+      expect(eligible.map(u => u.username)).toEqual(['bob']);
+    });
+
+    it('should return empty array for a null requirement', () => {
+      expect(calculateEligible({ retweeters, requirement: null })).toEqual([]);
+    });
+  });
+});
+
+describe('entry weights', () => {
+  function replier(username, ...texts) {
+    return { ...createUser(username), replies: texts.map(text => ({ tweetId: '1', text })) };
+  }
+
+  describe('normalizeEntryWeights / hasEntryWeights', () => {
+    it('should clamp weights and clean follow accounts', () => {
+      const weights = normalizeEntryWeights({ retweet: '2', like: -1, reply: 50, follows: { '@Brand': 3, 'bad name': 2, other: 0 } });
+
+      expect(weights).toMatchObject({ retweet: 2, like: 0, reply: 10, quote: 0, perMention: 0, maxMentions: 5 });
+      expect(weights.follows).toEqual({ brand: 3 });
+    });
+
+    it('should only report weights that can earn tickets', () => {
+      expect(hasEntryWeights(null)).toBe(false);
+      expect(hasEntryWeights({})).toBe(false);
+      expect(hasEntryWeights({ perMention: 1, maxMentions: 0 })).toBe(false);
+      expect(hasEntryWeights({ quote: 1 })).toBe(true);
+      expect(hasEntryWeights({ follows: { brand: 1 } })).toBe(true);
+    });
+  });
+
+  describe('calculateEntryTickets', () => {
+    it('should give one ticket plus the weight of each satisfied action', () => {
+      const tickets = calculateEntryTickets([createUser('alice'), createUser('Bob')], {
+        retweeters: [createUser('alice'), createUser('bob')],
+        likers: [createUser('alice')],
+        weights: { retweet: 1, like: 2 }
+      });
+
+      expect(tickets.get('alice')).toBe(4);
+      expect(tickets.get('bob')).toBe(2);
+    });
+
+    it('should count tagged friends beyond the reply rules minimum, up to the cap', () => {
+      const repliers = [
+        replier('alice', '@a @b @c @d', '@a'),
+        replier('bob', '@a @a @b'),
+        replier('carol', '@a @b @c @d @e @f @g @h @i @j')
+      ];
+      const tickets = calculateEntryTickets(repliers, {
+        repliers,
+        replyRules: { minMentions: 2 },
+        weights: { perMention: 2, maxMentions: 3 }
+      });
+
+      expect(tickets.get('alice')).toBe(5);
+      expect(tickets.get('bob')).toBe(1);
+      expect(tickets.get('carol')).toBe(7);
+    });
+
+    it('should ignore mentions in replies that break the rules', () => {
+      const repliers = [replier('alice', '@a @b @c', '#giveaway @a')];
+      const tickets = calculateEntryTickets(repliers, {
+        repliers,
+        replyRules: { requiredHashtags: ['giveaway'] },
+        weights: { perMention: 1 }
+      });
+
+      expect(tickets.get('alice')).toBe(2);
+    });
+
+    it('should only reward optional follows that are known', () => {
+      const users = [createUser('alice'), createUser('bob'), createUser('carol')];
+      const tickets = calculateEntryTickets(users, {
+        retweeters: users,
+        followers: { partner: [createUser('alice')] },
+        verifiedFollows: { bob: { sponsor: true }, carol: { sponsor: false } },
+        weights: { follows: { partner: 2, sponsor: 3 } }
+      });
+
+      expect(tickets.get('alice')).toBe(3);
+      expect(tickets.get('bob')).toBe(4);
+      expect(tickets.get('carol')).toBe(1);
+    });
+
+    it('should cap tickets per entrant', () => {
+      const follows = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`brand${i}`, 10]));
+      const verifiedFollows = { alice: Object.fromEntries(Object.keys(follows).map(account => [account, true])) };
+
+      const tickets = calculateEntryTickets([createUser('alice')], { verifiedFollows, weights: { follows } });
+
+      expect(tickets.get('alice')).toBe(MAX_ENTRY_TICKETS);
+    });
+  });
+
+  describe('formatEntryWeights', () => {
+    it('should list each bonus', () => {
+      expect(formatEntryWeights({ reply: 2, perMention: 1, maxMentions: 3, follows: { brand: 1 } }))
+        .toBe('+2 reply, +1 per extra tagged friend (up to 3), +1 follow @brand');
+      expect(formatEntryWeights({})).toBe('');
+    });
+  });
+});
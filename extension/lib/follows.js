@@ -0,0 +1,209 @@
+/**
+ * Follow verification cache
+ * Pure functions for the per-giveaway cache of (user, account) follow checks
+ *
+ * Stored under `followCache`: { tweetId, entries: { 'user>account': { follows, error, checkedAt } } }
+ * `follows` is true/false once verified; failed checks keep `follows: null` and the error,
+ * and are retried on the next verification run
+ */
+
+// Accounts with at most this many followers get their follower list collected upfront;
+// bigger accounts are verified per participant instead
+export const FOLLOWER_COLLECTION_LIMIT = 5000;
+
+/**
+ * Decide, per required account, whether to collect its followers or verify participants one by one
+ * @param {Array<string>} accounts - Accounts participants must follow
+ * @param {Object} followerCounts - Lowercase account -> follower count (missing when the lookup failed)
+ * @param {number} limit - Largest follower count that is still collected
+ * @returns {Object} { collect: Array<string>, verify: Array<string> } lowercase accounts
+ */
+export function planFollowerCollection(accounts, followerCounts = {}, limit = FOLLOWER_COLLECTION_LIMIT) {
+  const plan = { collect: [], verify: [] };
+  for (const account of new Set(accounts.map(normalize))) {
+    const count = followerCounts[account];
+    // Unknown counts are verified, so a failed lookup never starts a huge collection
+    if (typeof count === 'number' && count >= 0 && count <= limit) {
+      plan.collect.push(account);
+    } else {
+      plan.verify.push(account);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Create an empty cache for a giveaway
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {Object} Follow cache
+ */
+export function createFollowCache(tweetId) {
+  return { tweetId: tweetId || null, entries: {} };
+}
+
+/**
+ * Use a stored cache if it belongs to this giveaway, otherwise start a new one
+ * @param {Object} stored - Cache read from storage
+ * @param {string} tweetId - Giveaway tweet ID
+ * @returns {Object} Follow cache
+ */
+export function restoreFollowCache(stored, tweetId) {
+  if (!stored || typeof stored !== 'object' || stored.tweetId !== tweetId ||
+      !stored.entries || typeof stored.entries !== 'object') {
+    return createFollowCache(tweetId);
+  }
+  return { tweetId, entries: { ...stored.entries } };
+}
+
+/**
+ * Build the cache key for a (user, account) pair
+ * @param {string} username - User being verified
+ * @param {string} account - Account they must follow
+ * @returns {string} Cache key
+ */
+export function getFollowCacheKey(username, account) {
+  return `${normalize(username)}>${normalize(account)}`;
+}
+
+/**
+ * Record the result of a follow check (mutates and returns the cache)
+ * @param {Object} cache - Follow cache
+ * @param {string} username - User that was verified
+ * @param {string} account - Account checked
+ * @param {Object} result - { follows: boolean } or { error: string }
+ * @param {number} now - Timestamp of the check (defaults to now)
+ * @returns {Object} The cache
+ */
+export function recordFollowResult(cache, username, account, result, now = Date.now()) {
+  const follows = typeof result?.follows === 'boolean' ? result.follows : null;
+  const key = getFollowCacheKey(username, account);
+
+  // A failed re-check never overwrites a verified answer
+  if (follows === null && typeof cache.entries[key]?.follows === 'boolean') return cache;
+
+  cache.entries[key] = {
+    follows,
+    error: follows === null ? String(result?.error || 'Unknown error').slice(0, 200) : null,
+    checkedAt: now
+  };
+  return cache;
+}
+
+/**
+ * Get the verified answer for a pair
+ * @param {Object} cache - Follow cache
+ * @param {string} username - User
+ * @param {string} account - Account
+ * @returns {boolean|null} true/false when verified, null when unchecked or the check failed
+ */
+export function getCachedFollow(cache, username, account) {
+  const entry = cache?.entries?.[getFollowCacheKey(username, account)];
+  return typeof entry?.follows === 'boolean' ? entry.follows : null;
+}
+
+/**
+ * Get verified answers for one user, in the shape createUserFacts expects
+ * @param {Object} cache - Follow cache
+ * @param {string} username - User
+ * @param {Array<string>} accounts - Accounts to look up
+ * @returns {Object} Lowercase account -> boolean (unverified accounts are left out)
+ */
+export function getFollowResults(cache, username, accounts) {
+  const results = {};
+  for (const account of accounts) {
+    const follows = getCachedFollow(cache, username, account);
+    if (follows !== null) results[normalize(account)] = follows;
+  }
+  return results;
+}
+
+/**
+ * List the (user, account) pairs that still need checking
+ * @param {Object} cache - Follow cache
+ * @param {Array<string>} usernames - Users to verify
+ * @param {Array<string>} accounts - Accounts they must follow
+ * @returns {Array<{username: string, account: string}>} Unverified pairs (including failed checks)
+ */
+export function getPendingFollowChecks(cache, usernames, accounts) {
+  const pairs = [];
+  for (const username of usernames) {
+    for (const account of accounts) {
+      if (getCachedFollow(cache, username, account) === null) {
+        pairs.push({ username, account: normalize(account) });
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Verified answers for every user in the cache, in the shape calculateEligible expects
+ * @param {Object} cache - Follow cache
+ * @returns {Object} Lowercase username -> lowercase account -> boolean
+ */
+export function getVerifiedFollowMap(cache) {
+  const map = {};
+  for (const [key, entry] of Object.entries(cache?.entries || {})) {
+    if (typeof entry?.follows !== 'boolean') continue;
+    const [username, account] = key.split('>');
+    if (!map[username]) map[username] = {};
+    map[username][account] = entry.follows;
+  }
+  return map;
+}
+
+/**
+ * Summarize verification progress for a pool of users
+ * @param {Object} cache - Follow cache
+ * @param {Array<string>} usernames - Users in the pool
+ * @param {Array<string>} accounts - Accounts they must follow
+ * @returns {Object} { pairs, verified, errors, pending, byAccount: { account: { follows, notFollowing } } }
+ */
+export function getFollowStats(cache, usernames, accounts) {
+  const stats = { pairs: 0, verified: 0, errors: 0, pending: 0, byAccount: {} };
+  for (const account of accounts) {
+    stats.byAccount[normalize(account)] = { follows: 0, notFollowing: 0 };
+  }
+
+  for (const username of usernames) {
+    for (const account of accounts) {
+      const entry = cache?.entries?.[getFollowCacheKey(username, account)];
+      stats.pairs++;
+      if (typeof entry?.follows === 'boolean') {
+        stats.verified++;
+        stats.byAccount[normalize(account)][entry.follows ? 'follows' : 'notFollowing']++;
+      } else if (entry?.error) {
+        stats.errors++;
+      } else {
+        stats.pending++;
+      }
+    }
+  }
+  return stats;
+}
+
+/**
+ * Merge two caches of the same giveaway (e.g. popup and background both verifying)
+ * Verified answers win over errors; otherwise the most recent check wins
+ * @param {Object} base - Cache read from storage
+ * @param {Object} update - Cache with new results
+ * @returns {Object} Merged cache (tweetId of `update`)
+ */
+export function mergeFollowCaches(base, update) {
+  const entries = base?.tweetId === update.tweetId ? { ...base.entries } : {};
+  for (const [key, entry] of Object.entries(update.entries)) {
+    const existing = entries[key];
+    const existingVerified = typeof existing?.follows === 'boolean';
+    const entryVerified = typeof entry.follows === 'boolean';
+    if (!existing ||
+        (entryVerified && !existingVerified) ||
+        (entryVerified === existingVerified && entry.checkedAt >= existing.checkedAt)) {
+      entries[key] = entry;
+    }
+  }
+  return { tweetId: update.tweetId, entries };
+}
+
+function normalize(username) {
+  return String(username).replace(/^@/, '').toLowerCase();
+}
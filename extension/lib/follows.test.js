@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FOLLOWER_COLLECTION_LIMIT,
+  planFollowerCollection,
+  createFollowCache,
+  restoreFollowCache,
+  getFollowCacheKey,
+  recordFollowResult,
+  getCachedFollow,
+  getFollowResults,
+  getPendingFollowChecks,
+  getVerifiedFollowMap,
+  getFollowStats,
+  mergeFollowCaches
+} from './follows.js';
+
+describe('planFollowerCollection', () => {
+  it('should collect accounts up to the limit and verify bigger ones', () => {
+    const counts = { small: 1200, edge: FOLLOWER_COLLECTION_LIMIT, big: FOLLOWER_COLLECTION_LIMIT + 1 };
+
+    expect(planFollowerCollection(['Small', 'edge', '@big'], counts)).toEqual({
+      collect: ['small', 'edge'],
+      verify: ['big']
+    });
+  });
+
+  it('should verify accounts whose follower count is unknown', () => {
+    expect(planFollowerCollection(['sponsor'], {})).toEqual({ collect: [], verify: ['sponsor'] });
+  });
+
+  it('should use a custom limit and list each account once', () => {
+    expect(planFollowerCollection(['a', 'A'], { a: 50 }, 10)).toEqual({ collect: [], verify: ['a'] });
+  });
+});
+
+describe('getFollowCacheKey', () => {
+  it('should normalize case and leading @', () => {
+    expect(getFollowCacheKey('Alice', '@Sponsor')).toBe('alice>sponsor');
+  });
+});
+
+describe('restoreFollowCache', () => {
+  it('should keep a cache for the same giveaway', () => {
+    const stored = { tweetId: '1', entries: { 'alice>sponsor': { follows: true, error: null, checkedAt: 1 } } };
+
+    expect(getCachedFollow(restoreFollowCache(stored, '1'), 'alice', 'sponsor')).toBe(true);
+  });
+
+  it('should start over for a different giveaway', () => {
+    const stored = { tweetId: '1', entries: { 'alice>sponsor': { follows: true, error: null, checkedAt: 1 } } };
+
+    expect(restoreFollowCache(stored, '2')).toEqual(createFollowCache('2'));
+  });
+
+  it('should start over for malformed data', () => {
+    expect(restoreFollowCache(null, '1')).toEqual(createFollowCache('1'));
+    expect(restoreFollowCache({ tweetId: '1', entries: 'nope' }, '1')).toEqual(createFollowCache('1'));
+  });
+});
+
+describe('recordFollowResult', () => {
+  it('should record verified results with a timestamp', () => {
+    const cache = createFollowCache('1');
+
+    recordFollowResult(cache, 'Alice', 'sponsor', { follows: false }, 1000);
+
+    expect(cache.entries['alice>sponsor']).toEqual({ follows: false, error: null, checkedAt: 1000 });
+    expect(getCachedFollow(cache, 'alice', 'Sponsor')).toBe(false);
+  });
+
+  it('should record errors as unverified', () => {
+    const cache = createFollowCache('1');
+
+    recordFollowResult(cache, 'alice', 'sponsor', { error: 'HTTP 500' }, 1000);
+
+    expect(cache.entries['alice>sponsor'].error).toBe('HTTP 500');
+    expect(getCachedFollow(cache, 'alice', 'sponsor')).toBe(null);
+  });
+
+  it('should not let a failed re-check overwrite a verified result', () => {
+    const cache = createFollowCache('1');
+
+    recordFollowResult(cache, 'alice', 'sponsor', { follows: true }, 1000);
+    recordFollowResult(cache, 'alice', 'sponsor', { error: 'timeout' }, 2000);
+
+    expect(cache.entries['alice>sponsor']).toEqual({ follows: true, error: null, checkedAt: 1000 });
+  });
+});
+
+describe('getFollowResults', () => {
+  it('should return verified answers keyed by lowercase account', () => {
+    const cache = createFollowCache('1');
+    recordFollowResult(cache, 'alice', 'SponsorA', { follows: true });
+    recordFollowResult(cache, 'alice', 'sponsorB', { error: 'failed' });
+
+    expect(getFollowResults(cache, 'alice', ['SponsorA', 'sponsorB', 'sponsorC'])).toEqual({ sponsora: true });
+  });
+});
+
+describe('getPendingFollowChecks', () => {
+  it('should list unchecked and failed pairs only', () => {
+    const cache = createFollowCache('1');
+    recordFollowResult(cache, 'alice', 'a', { follows: true });
+    recordFollowResult(cache, 'alice', 'b', { follows: false });
+    recordFollowResult(cache, 'bob', 'a', { error: 'HTTP 503' });
+
+    expect(getPendingFollowChecks(cache, ['alice', 'bob'], ['a', 'B'])).toEqual([
+      { username: 'bob', account: 'a' },
+      { username: 'bob', account: 'b' }
+    ]);
+  });
+
+  it('should return nothing when every pair is verified', () => {
+    const cache = createFollowCache('1');
+    recordFollowResult(cache, 'alice', 'a', { follows: false });
+
+    expect(getPendingFollowChecks(cache, ['alice'], ['a'])).toEqual([]);
+  });
+});
+
+describe('getVerifiedFollowMap', () => {
+  it('should group verified answers by user', () => {
+    const cache = createFollowCache('1');
+    recordFollowResult(cache, 'alice', 'a', { follows: true });
+    recordFollowResult(cache, 'alice', 'b', { follows: false });
+    recordFollowResult(cache, 'bob', 'a', { error: 'failed' });
+
+    expect(getVerifiedFollowMap(cache)).toEqual({ alice: { a: true, b: false } });
+  });
+});
+
+describe('getFollowStats', () => {
+  it('should count verified, failed and pending pairs per account', () => {
+    const cache = createFollowCache('1');
+    recordFollowResult(cache, 'alice', 'a', { follows: true });
+    recordFollowResult(cache, 'alice', 'b', { follows: false });
+    recordFollowResult(cache, 'bob', 'a', { error: 'failed' });
+
+    expect(getFollowStats(cache, ['alice', 'bob'], ['a', 'b'])).toEqual({
+      pairs: 4,
+      verified: 2,
+      errors: 1,
+      pending: 1,
+      byAccount: {
+        a: { follows: 1, notFollowing: 0 },
+        b: { follows: 0, notFollowing: 1 }
+      }
+    });
+  });
+});
+
+describe('mergeFollowCaches', () => {
+  it('should keep verified answers over errors and newer checks otherwise', () => {
+    const base = createFollowCache('1');
+    recordFollowResult(base, 'alice', 'a', { follows: true }, 100);
+    recordFollowResult(base, 'bob', 'a', { follows: false }, 100);
+    recordFollowResult(base, 'carl', 'a', { error: 'old' }, 100);
+
+    const update = createFollowCache('1');
+    recordFollowResult(update, 'alice', 'a', { error: 'timeout' }, 200);
+    recordFollowResult(update, 'bob', 'a', { follows: true }, 200);
+    recordFollowResult(update, 'carl', 'a', { error: 'new' }, 200);
+    recordFollowResult(update, 'dan', 'a', { follows: true }, 200);
+
+    const merged = mergeFollowCaches(base, update);
+
+    expect(getCachedFollow(merged, 'alice', 'a')).toBe(true);
+    expect(getCachedFollow(merged, 'bob', 'a')).toBe(true);
+    expect(merged.entries['carl>a'].error).toBe('new');
+    expect(getCachedFollow(merged, 'dan', 'a')).toBe(true);
+  });
+
+  it('should drop entries from another giveaway', () => {
+    const base = createFollowCache('1');
+    recordFollowResult(base, 'alice', 'a', { follows: true });
+
+    const merged = mergeFollowCaches(base, createFollowCache('2'));
+
+    expect(merged).toEqual(createFollowCache('2'));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Winner history across giveaways
+ * Kept in its own storage key so starting a new giveaway doesn't clear it. Each giveaway keeps
+ * its current winners (after replacements), so a "no one wins twice" rule can exclude them later.
+ *
+ * Entry shape: { tweetId, drawnAt, winners: [lowercase username] }, newest first
+ */
+
+// Giveaways remembered; older ones drop off
+export const MAX_HISTORY_GIVEAWAYS = 200;
+
+// Longest "won within the last N days" window the popup accepts
+export const MAX_EXCLUDE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Clean up a stored history
+ * @param {Array} history - Raw entries
+ * @returns {Array} Valid entries, newest first, one per tweet
+ */
+export function normalizeWinnerHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const seen = new Set();
+  return history
+    .filter(entry => entry && typeof entry.tweetId === 'string' && Number.isFinite(entry.drawnAt))
+    .map(entry => ({
+      tweetId: entry.tweetId,
+      drawnAt: entry.drawnAt,
+      winners: Array.from(new Set((Array.isArray(entry.winners) ? entry.winners : [])
+        .filter(u => typeof u === 'string' && u)
+        .map(u => u.replace(/^@/, '').toLowerCase())))
+    }))
+    .filter(entry => entry.winners.length > 0)
+    .sort((a, b) => b.drawnAt - a.drawnAt)
+    .filter(entry => !seen.has(entry.tweetId) && seen.add(entry.tweetId))
+    .slice(0, MAX_HISTORY_GIVEAWAYS);
+}
+
+/**
+ * Record the winners of a giveaway, replacing what was recorded for the same tweet (re-picks, replacements)
+ * @param {Array} history - Current history
+ * @param {Object} giveaway - { tweetId, drawnAt, winners: usernames or user objects }
+ * @returns {Array} New history
+ */
+export function recordGiveaway(history, { tweetId, drawnAt = Date.now(), winners = [] }) {
+  const others = normalizeWinnerHistory(history).filter(entry => entry.tweetId !== tweetId);
+  const usernames = winners.map(w => (typeof w === 'string' ? w : w.username));
+  return normalizeWinnerHistory([{ tweetId, drawnAt, winners: usernames }, ...others]);
+}
+
+/**
+ * Usernames excluded as previous winners
+ * @param {Array} history - Winner history
+ * @param {Object} rule
+ * @param {number} rule.days - Exclude winners of giveaways drawn within this many days (0 = off)
+ * @param {Array<string>} rule.tweetIds - Also exclude winners of these giveaways
+ * @param {number} rule.now - Reference time for the window (defaults to now)
+ * @param {string} rule.currentTweetId - The giveaway being drawn; its own earlier winners are never excluded
+ * @returns {Array<string>} Sorted lowercase usernames
+ */
+export function getPreviousWinners(history, { days = 0, tweetIds = [], now = Date.now(), currentTweetId = null } = {}) {
+  const windowDays = Math.max(0, Math.min(Math.floor(Number(days) || 0), MAX_EXCLUDE_DAYS));
+  const until = new Date(now).getTime();
+  const since = until - windowDays * DAY_MS;
+  const selected = new Set(Array.isArray(tweetIds) ? tweetIds : []);
+
+  const usernames = new Set();
+  for (const entry of normalizeWinnerHistory(history)) {
+    if (entry.tweetId === currentTweetId) continue;
+    // Giveaways drawn after the reference time (e.g. after a fair draw's commitment) don't count
+    const inWindow = windowDays > 0 && entry.drawnAt >= since && entry.drawnAt <= until;
+    if (inWindow || selected.has(entry.tweetId)) {
+      entry.winners.forEach(u => usernames.add(u));
+    }
+  }
+  return Array.from(usernames).sort();
+}
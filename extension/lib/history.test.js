@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY_GIVEAWAYS,
+  normalizeWinnerHistory,
+  recordGiveaway,
+  getPreviousWinners
+} from './history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('normalizeWinnerHistory', () => {
+  it('should keep valid entries newest first with clean usernames', () => {
+    const history = normalizeWinnerHistory([
+      { tweetId: '1', drawnAt: 10, winners: ['@Alice', 'alice', 'bob'] },
+      { tweetId: '2', drawnAt: 20, winners: ['carol'] },
+      { tweetId: '3', drawnAt: 30, winners: [] },
+      { drawnAt: 40, winners: ['dave'] },
+      null
+    ]);
+
+    expect(history).toEqual([
+      { tweetId: '2', drawnAt: 20, winners: ['carol'] },
+      { tweetId: '1', drawnAt: 10, winners: ['alice', 'bob'] }
+    ]);
+    expect(normalizeWinnerHistory(undefined)).toEqual([]);
+  });
+});
+
+describe('recordGiveaway', () => {
+  it('should replace the entry of the same tweet', () => {
+    let history = recordGiveaway([], { tweetId: '1', drawnAt: 10, winners: [{ username: 'alice' }] });
+    history = recordGiveaway(history, { tweetId: '2', drawnAt: 20, winners: ['bob'] });
+    history = recordGiveaway(history, { tweetId: '1', drawnAt: 30, winners: [{ username: 'Carol' }] });
+
+    expect(history).toEqual([
+      { tweetId: '1', drawnAt: 30, winners: ['carol'] },
+      { tweetId: '2', drawnAt: 20, winners: ['bob'] }
+    ]);
+  });
+
+  it('should forget the oldest giveaways past the limit', () => {
+    let history = [];
+    for (let i = 0; i < MAX_HISTORY_GIVEAWAYS + 5; i++) {
+      history = recordGiveaway(history, { tweetId: String(i), drawnAt: i, winners: ['alice'] });
+    }
+
+    expect(history).toHaveLength(MAX_HISTORY_GIVEAWAYS);
+    expect(history[history.length - 1].tweetId).toBe('5');
+  });
+});
+
+describe('getPreviousWinners', () => {
+  const now = 100 * DAY;
+  const history = [
+    { tweetId: 'recent', drawnAt: now - 10 * DAY, winners: ['alice', 'bob'] },
+    { tweetId: 'old', drawnAt: now - 60 * DAY, winners: ['carol'] },
+    { tweetId: 'current', drawnAt: now - DAY, winners: ['dave'] },
+    { tweetId: 'later', drawnAt: now + DAY, winners: ['erin'] }
+  ];
+
+  it('should exclude winners within the window, not counting this giveaway or later ones', () => {
+    expect(getPreviousWinners(history, { days: 30, now, currentTweetId: 'current' })).toEqual(['alice', 'bob']);
+  });
+
+  it('should also exclude winners of selected giveaways', () => {
+    expect(getPreviousWinners(history, { days: 30, tweetIds: ['old'], now, currentTweetId: 'current' }))
+      .toEqual(['alice', 'bob', 'carol']);
+  });
+
+  it('should exclude nobody by default', () => {
+    expect(getPreviousWinners(history, { now })).toEqual([]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Blocklist and allowlist utilities
+ * Both lists outlive a single giveaway. Blocklisted users can never win; when the allowlist is
+ * on, only users on it can. The lists reach the draw as the `blacklist` and `allowlist` filters
+ * (see applyFilters), so the popup counts, the draw and the verifier all apply them the same way.
+ *
+ * Entry shape: { username, reason } - username lowercase without @, reason free text ('' if none)
+ */
+
+export const MAX_LIST_ENTRIES = 10000;
+
+const MAX_REASON_LENGTH = 100;
+
+// Suggested reasons for blocking someone
+export const BLOCK_REASONS = ['Staff', 'Known bot', 'Banned'];
+
+const USERNAME_PATTERN = /^[a-z0-9_]{1,15}$/;
+
+// Header cells that mark a CSV's first row as column names
+const HEADER_NAMES = ['username', 'handle', 'user', 'account', 'screen_name'];
+
+/**
+ * Turn a handle, @handle or profile URL into a username
+ * @param {string} value - Raw value
+ * @returns {string|null} Lowercase username, or null when it isn't one
+ */
+export function parseUsername(value) {
+  const text = String(value ?? '').trim()
+    .replace(/^https?:\/\/(www\.|mobile\.)?(twitter|x)\.com\//i, '')
+    .replace(/^@/, '')
+    .split(/[/?#]/)[0]
+    .toLowerCase();
+  return USERNAME_PATTERN.test(text) ? text : null;
+}
+
+/**
+ * Clean up stored or imported entries: valid usernames only, one entry each (the last reason wins)
+ * @param {Array} entries - Entries, or plain usernames
+ * @returns {Array} Entries sorted by username, at most MAX_LIST_ENTRIES
+ */
+export function normalizeListEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+
+  const byUsername = new Map();
+  for (const entry of entries) {
+    const username = parseUsername(typeof entry === 'string' ? entry : entry?.username);
+    if (!username) continue;
+    const reason = typeof entry?.reason === 'string' ? entry.reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+    byUsername.set(username, { username, reason: reason || byUsername.get(username)?.reason || '' });
+  }
+
+  return Array.from(byUsername.values())
+    .sort((a, b) => a.username.localeCompare(b.username))
+    .slice(0, MAX_LIST_ENTRIES);
+}
+
+/**
+ * Parse pasted text or a CSV file.
+ * One user per line, optionally followed by a reason in the next column ("bob, Known bot").
+ * A line may also hold several handles separated by spaces, or by commas when each one is
+ * written as @handle or a profile URL. A header row (username, handle, ...) is skipped.
+ * @param {string} text - Pasted text or CSV contents
+ * @param {string} defaultReason - Reason for entries that don't give one
+ * @returns {{ entries: Array, skipped: Array<string> }} Parsed entries and lines that held no valid username
+ */
+export function parseListImport(text, defaultReason = '') {
+  const entries = [];
+  const skipped = [];
+
+  const lines = String(text ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  lines.forEach((line, i) => {
+    const cells = line.includes('\t') ? line.split('\t').map(cell => cell.trim()) : splitCsvLine(line);
+
+    if (i === 0 && HEADER_NAMES.includes(cells[0].trim().toLowerCase())) return;
+
+    // Several handles on one line: spaces, or commas between explicit @handles / URLs
+    const explicit = cells.length > 1 && cells.every(cell => /^(@|https?:\/\/)/i.test(cell));
+    if (cells.length === 1 || explicit) {
+      const handles = cells.flatMap(cell => cell.split(/\s+/));
+      const usernames = handles.map(parseUsername);
+      if (usernames.every(Boolean)) {
+        usernames.forEach(username => entries.push({ username, reason: defaultReason }));
+      } else {
+        skipped.push(line);
+      }
+      return;
+    }
+
+    const username = parseUsername(cells[0]);
+    if (!username) {
+      skipped.push(line);
+      return;
+    }
+    entries.push({ username, reason: cells.slice(1).filter(Boolean).join(', ') || defaultReason });
+  });
+
+  return { entries: normalizeListEntries(entries), skipped };
+}
+
+/**
+ * Add entries to a list; imported reasons replace existing ones, empty ones keep them
+ * @param {Array} list - Current entries
+ * @param {Array} entries - Entries to add
+ * @returns {Array} New list
+ */
+export function mergeListEntries(list, entries) {
+  return normalizeListEntries([...normalizeListEntries(list), ...entries]);
+}
+
+/**
+ * Drop one user from a list
+ * @param {Array} list - Current entries
+ * @param {string} username - User to remove
+ * @returns {Array} New list
+ */
+export function removeListEntry(list, username) {
+  const key = parseUsername(username);
+  return normalizeListEntries(list).filter(entry => entry.username !== key);
+}
+
+/**
+ * Read handles separated by spaces, commas or new lines (e.g. a team member list)
+ * @param {string} text - Raw text
+ * @returns {{ usernames: Array<string>, invalid: Array<string> }} Unique usernames in order, and what couldn't be read
+ */
+export function parseHandleList(text) {
+  const usernames = new Set();
+  const invalid = [];
+  for (const value of String(text ?? '').split(/[\s,;]+/).filter(Boolean)) {
+    const username = parseUsername(value);
+    if (username) {
+      usernames.add(username);
+    } else {
+      invalid.push(value);
+    }
+  }
+  return { usernames: Array.from(usernames), invalid };
+}
+
+/**
+ * The giveaway's own accounts, which can't win it: the tweet author, the accounts entrants must
+ * follow and any team members. Used as the `hosts` filter.
+ * @param {Object} hosts
+ * @param {string|null} hosts.author - Tweet author, if known
+ * @param {Array<string>} hosts.requiredAccounts - Required-follow accounts
+ * @param {Array<string>} hosts.team - Team members
+ * @returns {Array<string>} Sorted lowercase usernames
+ */
+export function getHostUsernames({ author = null, requiredAccounts = [], team = [] } = {}) {
+  return Array.from(new Set([author, ...requiredAccounts, ...team].map(parseUsername).filter(Boolean))).sort();
+}
+
+/**
+ * Usernames of a list, for the `blacklist` / `allowlist` filters
+ * @param {Array} list - Entries
+ * @returns {Array<string>} Usernames
+ */
+export function getListUsernames(list) {
+  return normalizeListEntries(list).map(entry => entry.username);
+}
+
+// Split one CSV line, honouring double-quoted cells ("a, b" and "" escapes)
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
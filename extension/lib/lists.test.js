@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_LIST_ENTRIES,
+  parseUsername,
+  normalizeListEntries,
+  parseListImport,
+  mergeListEntries,
+  removeListEntry,
+  getListUsernames,
+  parseHandleList,
+  getHostUsernames
+} from './lists.js';
+
+describe('parseUsername', () => {
+  it('should accept handles, @handles and profile URLs', () => {
+    expect(parseUsername('Alice')).toBe('alice');
+    expect(parseUsername(' @bob_1 ')).toBe('bob_1');
+    expect(parseUsername('https://x.com/Carol/status/123')).toBe('carol');
+    expect(parseUsername('https://mobile.twitter.com/dave?lang=en')).toBe('dave');
+  });
+
+  it('should reject anything that is not a username', () => {
+    expect(parseUsername('not a user')).toBeNull();
+    expect(parseUsername('way_too_long_username')).toBeNull();
+    expect(parseUsername('')).toBeNull();
+    expect(parseUsername(null)).toBeNull();
+  });
+});
+
+describe('normalizeListEntries', () => {
+  it('should dedupe and sort entries, keeping the last non-empty reason', () => {
+    expect(normalizeListEntries([
+      { username: 'bob', reason: 'Staff' },
+      'Alice',
+      { username: '@BOB', reason: '' },
+      { username: 'alice', reason: ' Known bot ' },
+      { username: 'not valid' },
+      null
+    ])).toEqual([
+      { username: 'alice', reason: 'Known bot' },
+      { username: 'bob', reason: 'Staff' }
+    ]);
+    expect(normalizeListEntries(undefined)).toEqual([]);
+  });
+
+  it('should cap the list size', () => {
+    const entries = Array.from({ length: MAX_LIST_ENTRIES + 10 }, (_, i) => `user${i}`);
+    expect(normalizeListEntries(entries)).toHaveLength(MAX_LIST_ENTRIES);
+  });
+});
+
+describe('parseListImport', () => {
+  it('should read one user per line with an optional reason', () => {
+    const { entries, skipped } = parseListImport('@alice, Staff\nbob\n\nthis is not a user, ok\n', 'Banned');
+
+    expect(entries).toEqual([
+      { username: 'alice', reason: 'Staff' },
+      { username: 'bob', reason: 'Banned' }
+    ]);
+    expect(skipped).toEqual(['this is not a user, ok']);
+  });
+
+  it('should read CSV files with a header, quoted cells and tabs', () => {
+    const csv = 'username,reason\n"carol","Known bot, reported twice"\ndave\tBanned\n';
+
+    expect(parseListImport(csv).entries).toEqual([
+      { username: 'carol', reason: 'Known bot, reported twice' },
+      { username: 'dave', reason: 'Banned' }
+    ]);
+  });
+
+  it('should read several handles on one line', () => {
+    const { entries } = parseListImport('@alice @bob\n@carol, https://x.com/dave');
+
+    expect(entries.map(e => e.username)).toEqual(['alice', 'bob', 'carol', 'dave']);
+  });
+});
+
+describe('list editing', () => {
+  const list = [{ username: 'alice', reason: 'Staff' }, { username: 'bob', reason: '' }];
+
+  it('should merge entries, replacing reasons only when one is given', () => {
+    expect(mergeListEntries(list, [{ username: 'alice', reason: '' }, { username: 'bob', reason: 'Banned' }, 'carol']))
+      .toEqual([
+        { username: 'alice', reason: 'Staff' },
+        { username: 'bob', reason: 'Banned' },
+        { username: 'carol', reason: '' }
+      ]);
+  });
+
+  it('should remove a user and list the usernames', () => {
+    expect(getListUsernames(removeListEntry(list, '@Alice'))).toEqual(['bob']);
+  });
+});
+
+describe('parseHandleList', () => {
+  it('should split on spaces, commas and new lines', () => {
+    expect(parseHandleList('@Alice, bob\nhttps://x.com/carol @alice not-a-user')).toEqual({
+      usernames: ['alice', 'bob', 'carol'],
+      invalid: ['not-a-user']
+    });
+  });
+});
+
+describe('getHostUsernames', () => {
+  it('should combine the author, required follows and team', () => {
+    expect(getHostUsernames({ author: 'Brand', requiredAccounts: ['partner', 'brand'], team: ['@mod'] }))
+      .toEqual(['brand', 'mod', 'partner']);
+    expect(getHostUsernames({ author: null })).toEqual([]);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Draw receipt utilities
+ * A receipt records how a draw was run (tweet, rule, filters, per-source counts and hashes,
+ * RNG mode and seed, winners) and is signed with a per-install ECDSA P-256 key, so a receipt
+ * can later be shown to come from this install and to be unedited.
+ *
+ * Signed form: { receipt, signature: { algorithm, keyId, publicKey, value } }
+ * The signature covers the canonical JSON of `receipt` (object keys sorted, no whitespace).
+ */
+
+import { hashEntrants, sha256Hex } from './draw.js';
+import { formatEntryWeights } from './eligibility.js';
+
+export const RECEIPT_VERSION = 1;
+
+export const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+
+// Sources listed in a receipt, in display order
+export const RECEIPT_SOURCES = ['retweeters', 'likers', 'repliers', 'quoters'];
+
+const KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Build an unsigned receipt
+ * @param {Object} options
+ * @param {string} options.tweetId - Giveaway tweet ID
+ * @param {string} options.tweetUrl - Giveaway tweet URL
+ * @param {string} options.requirement - Requirement rule as text (see formatRequirement)
+ * @param {Object} options.filters - Filter values used for the draw
+ * @param {Object} options.sources - Collected users per source (retweeters, likers, repliers, quoters)
+ * @param {number} options.entrantCount - Entrants after rule and filters
+ * @param {Object} options.entryWeights - Bonus-entry weights of a weighted draw (see normalizeEntryWeights), or null
+ * @param {number} options.ticketCount - Tickets across all entrants of a weighted draw
+ * @param {Object} options.rng - { mode: 'crypto' | 'seed' | 'beacon', seed, commitment, beaconSource, beacon }
+ * @param {Array} options.tiers - Prize tiers (see lib/tiers.js); empty for a single list of winners
+ * @param {Array} options.winners - Winners in draw order (with `tier` when the draw has tiers, `tickets` when weighted)
+ * @param {Array} options.alternates - Alternates in order
+ * @param {Array} options.replacements - Winners replaced by alternates (see promoteAlternate)
+ * @param {number} options.drawnAt - Time of the draw
+ * @returns {Promise<Object>} Receipt
+ */
+export async function buildReceipt({
+  tweetId,
+  tweetUrl,
+  requirement = '',
+  filters = {},
+  sources = {},
+  entrantCount = 0,
+  entryWeights = null,
+  ticketCount = 0,
+  rng = { mode: 'crypto' },
+  tiers = [],
+  winners = [],
+  alternates = [],
+  replacements = [],
+  drawnAt = Date.now()
+}) {
+  const sourceSummary = {};
+  for (const source of RECEIPT_SOURCES) {
+    const users = sources[source] || [];
+    sourceSummary[source] = { count: users.length, hash: await hashEntrants(users) };
+  }
+
+  return {
+    version: RECEIPT_VERSION,
+    tweetId: tweetId || null,
+    tweetUrl: tweetUrl || (tweetId ? `https://x.com/i/status/${tweetId}` : null),
+    requirement,
+    filters,
+    sources: sourceSummary,
+    entrantCount,
+    ...(entryWeights ? { entryWeights, ticketCount } : {}),
+    rng: {
+      mode: rng.mode,
+      seed: rng.seed || null,
+      commitment: rng.commitment || null,
+      beaconSource: rng.beaconSource || null,
+      beacon: rng.beacon || null
+    },
+    drawnAt: new Date(drawnAt).toISOString(),
+    tiers: tiers.map(t => ({ name: t.name, count: t.count, filters: t.filters || {} })),
+    winners: winners.map(toReceiptUser),
+    alternates: alternates.map(toReceiptUser),
+    replacements: replacements.map(r => ({
+      slot: r.slot,
+      replaced: r.replaced,
+      promoted: r.promoted,
+      reason: r.reason,
+      replacedAt: new Date(r.replacedAt).toISOString(),
+      ...(r.skipped?.length ? { skipped: r.skipped } : {})
+    }))
+  };
+}
+
+/**
+ * JSON with object keys sorted at every level, so the same receipt always signs the same bytes
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(v => canonicalize(v === undefined ? null : v)).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Generate the per-install signing key
+ * @returns {Promise<Object>} { privateKey, publicKey } as JWK (for chrome.storage)
+ */
+export async function generateSigningKey() {
+  const pair = await crypto.subtle.generateKey(KEY_PARAMS, true, ['sign', 'verify']);
+  return {
+    privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+    publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey)
+  };
+}
+
+/**
+ * Fingerprint of a public key: SHA-256 of its canonical JWK (crv, kty, x, y)
+ * @param {Object} publicJwk - Public key as JWK
+ * @returns {Promise<string>} Lowercase hex key ID
+ */
+export async function getKeyId(publicJwk) {
+  const { crv, kty, x, y } = publicJwk;
+  return sha256Hex(canonicalize({ crv, kty, x, y }));
+}
+
+/**
+ * Sign a receipt
+ * @param {Object} receipt - Result of buildReceipt
+ * @param {Object} signingKey - Result of generateSigningKey
+ * @returns {Promise<Object>} { receipt, signature }
+ */
+export async function signReceipt(receipt, signingKey) {
+  const privateKey = await crypto.subtle.importKey('jwk', signingKey.privateKey, KEY_PARAMS, false, ['sign']);
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, privateKey, new TextEncoder().encode(canonicalize(receipt)));
+  const { crv, kty, x, y } = signingKey.publicKey;
+
+  return {
+    receipt,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: await getKeyId(signingKey.publicKey),
+      publicKey: { crv, kty, x, y },
+      value: toBase64(new Uint8Array(signature))
+    }
+  };
+}
+
+/**
+ * Check a signed receipt against the public key it carries
+ * (compare `signature.keyId` with the install's published key ID to prove where it came from)
+ * @param {Object} signed - Result of signReceipt
+ * @returns {Promise<boolean>} True if the receipt is unedited and the key ID matches the key
+ */
+export async function verifyReceipt(signed) {
+  const { receipt, signature } = signed || {};
+  if (!receipt || signature?.algorithm !== SIGNATURE_ALGORITHM || !signature.publicKey) return false;
+
+  try {
+    if (await getKeyId(signature.publicKey) !== signature.keyId) return false;
+
+    const publicKey = await crypto.subtle.importKey('jwk', signature.publicKey, KEY_PARAMS, false, ['verify']);
+    return await crypto.subtle.verify(
+      SIGN_PARAMS,
+      publicKey,
+      fromBase64(signature.value),
+      new TextEncoder().encode(canonicalize(receipt))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Human-readable receipt
+ * @param {Object} signed - Result of signReceipt
+ * @returns {string} Receipt text
+ */
+export function formatReceiptText({ receipt, signature }) {
+  // Filters switched off are stored as null (e.g. no allowlist)
+  const filterText = Object.entries(receipt.filters)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value === null ? 'off' : Array.isArray(value) ? value.join(' ') || 'none' : value}`)
+    .join(', ');
+
+  const lines = [
+    'Giveaway draw receipt',
+    `Tweet: ${receipt.tweetUrl || receipt.tweetId || 'unknown'}`,
+    `Drawn: ${receipt.drawnAt}`,
+    `Rule: ${receipt.requirement || 'none'}`,
+    `Filters: ${filterText || 'none'}`,
+    'Sources (count, SHA-256 of sorted usernames):',
+    ...RECEIPT_SOURCES.map(source => `  ${source}: ${receipt.sources[source].count}, ${receipt.sources[source].hash}`),
+    `Entrants after rule and filters: ${receipt.entrantCount}`,
+    ...(receipt.entryWeights
+      ? [`Bonus entries: ${formatEntryWeights(receipt.entryWeights)}, ${receipt.ticketCount} tickets in total`]
+      : []),
+    `RNG: ${receipt.rng.mode}` + (receipt.rng.seed ? `, seed ${receipt.rng.seed}` : ''),
+    ...(receipt.rng.beacon ? [`Beacon: ${receipt.rng.beaconSource}: ${receipt.rng.beacon}`] : []),
+    ...(receipt.tiers?.length > 0
+      ? ['Prize tiers:', ...receipt.tiers.map(t => `  ${t.name}: ${t.count}` + formatTierFilters(t.filters))]
+      : []),
+    'Winners:',
+    ...receipt.winners.map((w, i) => `  ${i + 1}. ${w.tier ? w.tier + ': ' : ''}@${w.username}${formatTickets(w)}`)
+  ];
+
+  if (receipt.alternates.length > 0) {
+    lines.push('Alternates:', ...receipt.alternates.map((w, i) => `  ${i + 1}. @${w.username}${formatTickets(w)}`));
+  }
+  if (receipt.replacements?.length > 0) {
+    lines.push('Replacements:', ...receipt.replacements.map(r =>
+      `  ${r.replacedAt}: winner ${r.slot} @${r.replaced} -> @${r.promoted} (${r.reason})` +
+      (r.skipped ? `, passed over ${r.skipped.map(s => `@${s.username} (${s.reason})`).join(', ')}` : '')));
+  }
+
+  lines.push(
+    `Signature (${signature.algorithm}): ${signature.value}`,
+    `Signing key ID: ${signature.keyId}`
+  );
+  return lines.join('\n');
+}
+
+function toReceiptUser(user) {
+  const entry = { username: user.username };
+  if (user.position) entry.position = user.position;
+  if (user.tier) entry.tier = user.tier;
+  if (user.tickets) entry.tickets = user.tickets;
+  return entry;
+}
+
+function formatTickets(user) {
+  return user.tickets ? ` (${user.tickets} ticket${user.tickets === 1 ? '' : 's'})` : '';
+}
+
+function formatTierFilters(filters = {}) {
+  const text = Object.entries(filters).map(([key, value]) => `${key}=${value}`).join(', ');
+  return text ? ` (${text})` : '';
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(String(text)), c => c.charCodeAt(0));
+}
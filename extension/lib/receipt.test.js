@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  RECEIPT_VERSION,
+  buildReceipt,
+  canonicalize,
+  generateSigningKey,
+  getKeyId,
+  signReceipt,
+  verifyReceipt,
+  formatReceiptText
+} from './receipt.js';
+import { hashEntrants } from './draw.js';
+
+// Helper to create a receipt for a small draw
+function createReceipt(overrides = {}) {
+  return buildReceipt({
+    tweetId: '123',
+    requirement: 'retweet AND like',
+    filters: { minFollowers: 10, blacklist: [] },
+    sources: {
+      retweeters: [{ username: 'alice' }, { username: 'bob' }],
+      likers: [{ username: 'alice' }]
+    },
+    entrantCount: 1,
+    rng: { mode: 'seed', seed: 'abc', commitment: 'def' },
+    winners: [{ username: 'alice', position: 1, followerCount: 50 }],
+    drawnAt: Date.UTC(2026, 0, 1),
+    ...overrides
+  });
+}
+
+describe('buildReceipt', () => {
+  it('should summarize each source with a count and list hash', async () => {
+    const receipt = await createReceipt();
+
+    expect(receipt.version).toBe(RECEIPT_VERSION);
+    expect(receipt.tweetUrl).toBe('https://x.com/i/status/123');
+    expect(receipt.sources.retweeters).toEqual({ count: 2, hash: await hashEntrants(['alice', 'bob']) });
+    expect(receipt.sources.quoters).toEqual({ count: 0, hash: await hashEntrants([]) });
+    expect(receipt.drawnAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('should keep only username and position of winners', async () => {
+    const receipt = await createReceipt({ alternates: [{ username: 'bob' }] });
+
+    expect(receipt.winners).toEqual([{ username: 'alice', position: 1 }]);
+    expect(receipt.alternates).toEqual([{ username: 'bob' }]);
+  });
+
+  it('should keep the tier of each winner', async () => {
+    const receipt = await createReceipt({
+      tiers: [{ name: 'Grand', count: 1, filters: { minFollowers: 100 } }],
+      winners: [{ username: 'alice', tier: 'Grand' }]
+    });
+
+    expect(receipt.winners).toEqual([{ username: 'alice', tier: 'Grand' }]);
+    expect(formatReceiptText({ receipt, signature: { algorithm: 'x', value: 'y', keyId: 'z' } }))
+      .toContain('  Grand: 1 (minFollowers=100)\nWinners:\n  1. Grand: @alice');
+  });
+
+  it('should record bonus entries and the tickets of each pick', async () => {
+    const plain = await createReceipt();
+    const receipt = await createReceipt({
+      entryWeights: { reply: 2 },
+      ticketCount: 7,
+      winners: [{ username: 'alice', tickets: 3 }]
+    });
+    const text = formatReceiptText({ receipt, signature: { algorithm: 'x', value: 'y', keyId: 'z' } });
+
+    expect(plain).not.toHaveProperty('entryWeights');
+    expect(receipt.winners).toEqual([{ username: 'alice', tickets: 3 }]);
+    expect(text).toContain('Bonus entries: +2 reply, 7 tickets in total');
+    expect(text).toContain('1. @alice (3 tickets)');
+  });
+
+  it('should timestamp replacements', async () => {
+    const receipt = await createReceipt({
+      replacements: [{ slot: 1, replaced: 'alice', promoted: 'bob', reason: 'Did not claim', replacedAt: Date.UTC(2026, 0, 2) }]
+    });
+
+    expect(receipt.replacements[0].replacedAt).toBe('2026-01-02T00:00:00.000Z');
+  });
+});
+
+describe('canonicalize', () => {
+  it('should sort keys at every level', () => {
+    expect(canonicalize({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: 'x' } }))
+      .toBe('{"a":{"c":"x","d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  it('should drop undefined object values', () => {
+    expect(canonicalize({ a: undefined, b: null })).toBe('{"b":null}');
+  });
+});
+
+describe('signReceipt / verifyReceipt', () => {
+  let signingKey;
+
+  beforeAll(async () => {
+    signingKey = await generateSigningKey();
+  });
+
+  it('should verify an unedited receipt', async () => {
+    const signed = await signReceipt(await createReceipt(), signingKey);
+
+    expect(signed.signature.keyId).toBe(await getKeyId(signingKey.publicKey));
+    expect(signed.signature.publicKey.d).toBeUndefined();
+    expect(await verifyReceipt(signed)).toBe(true);
+  });
+
+  it('should still verify after a JSON round trip with reordered keys', async () => {
+    const signed = await signReceipt(await createReceipt(), signingKey);
+    const { signature, receipt } = JSON.parse(JSON.stringify(signed));
+
+    expect(await verifyReceipt({ signature, receipt: { winners: receipt.winners, ...receipt } })).toBe(true);
+  });
+
+  it('should reject an edited receipt', async () => {
+    const signed = await signReceipt(await createReceipt(), signingKey);
+    signed.receipt.winners[0].username = 'mallory';
+
+    expect(await verifyReceipt(signed)).toBe(false);
+  });
+
+  it('should reject a swapped key', async () => {
+    const signed = await signReceipt(await createReceipt(), signingKey);
+    const other = await generateSigningKey();
+    signed.signature.publicKey = other.publicKey;
+
+    expect(await verifyReceipt(signed)).toBe(false);
+  });
+
+  it('should reject malformed input', async () => {
+    expect(await verifyReceipt(null)).toBe(false);
+    expect(await verifyReceipt({ receipt: {}, signature: { algorithm: 'none' } })).toBe(false);
+  });
+});
+
+describe('formatReceiptText', () => {
+  it('should list the draw details, winners and signature', async () => {
+    const signed = await signReceipt(await createReceipt({
+      alternates: [{ username: 'bob' }],
+      replacements: [{ slot: 1, replaced: 'carol', promoted: 'alice', reason: 'Declined', replacedAt: 0 }]
+    }), await generateSigningKey());
+
+    const text = formatReceiptText(signed);
+
+    expect(text).toContain('Tweet: https://x.com/i/status/123');
+    expect(text).toContain('Rule: retweet AND like');
+    expect(text).toContain('minFollowers=10, blacklist=none');
+    expect(text).toContain('retweeters: 2,');
+    expect(text).toContain('RNG: seed, seed abc');
+    expect(text).toContain('1. @alice');
+    expect(text).toContain('Alternates:');
+    expect(text).toContain('winner 1 @carol -> @alice (Declined)');
+    expect(text).toContain(`Signing key ID: ${signed.signature.keyId}`);
+  });
+
+  it('should show filters that are switched off as off', async () => {
+    const receipt = await createReceipt({ filters: { minFollowers: 10, allowlist: null } });
+
+    const text = formatReceiptText({ receipt, signature: { algorithm: 'x', value: 'y', keyId: 'z' } });
+
+    expect(text).toContain('Filters: minFollowers=10, allowlist=off\n');
+    expect(text).not.toContain('null');
+  });
+});
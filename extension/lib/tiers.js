@@ -0,0 +1,142 @@
+/**
+ * Prize tier utilities
+ * A draw can have several named tiers ("Grand prize" x1, "Runner-up" x3, ...), each with its own
+ * count and optional stricter filters. All tiers are drawn from one shuffle: tiers are filled in
+ * order, each taking the next unused candidates that pass its filters, so nobody wins twice.
+ *
+ * Tier shape: { name, count, filters: { minFollowers, minTweets, minAccountAgeDays, requireAvatar } }
+ */
+
+import { createFilterPredicate } from './eligibility.js';
+
+export const MAX_TIERS = 10;
+
+export const MAX_TIER_WINNERS = 100;
+
+// Name of the single tier used when no tiers are defined
+export const DEFAULT_TIER_NAME = 'Winners';
+
+const MAX_TIER_NAME_LENGTH = 40;
+
+// Filters a tier may tighten; the missing-data policy, blacklist and reference time stay the draw's
+const NUMERIC_TIER_FILTERS = ['minFollowers', 'minTweets', 'minAccountAgeDays'];
+
+/**
+ * Clean up tier definitions from the popup or an imported record
+ * @param {Array} tiers - Raw tiers
+ * @returns {Array} Up to MAX_TIERS tiers with a name, a count of 1-MAX_TIER_WINNERS and known filters only
+ */
+export function normalizeTiers(tiers) {
+  if (!Array.isArray(tiers)) return [];
+
+  const names = new Set();
+  return tiers.slice(0, MAX_TIERS).map((tier, i) => {
+    const filters = {};
+    for (const key of NUMERIC_TIER_FILTERS) {
+      const value = parseInt(tier?.filters?.[key]);
+      if (value > 0) filters[key] = value;
+    }
+    if (tier?.filters?.requireAvatar === true) filters.requireAvatar = true;
+
+    // Names group the winners, so they must be unique
+    let name = String(tier?.name ?? '').trim().slice(0, MAX_TIER_NAME_LENGTH) || `Tier ${i + 1}`;
+    if (names.has(name)) name = `${name} (${i + 1})`;
+    names.add(name);
+
+    return {
+      name,
+      count: Math.max(1, Math.min(parseInt(tier?.count) || 1, MAX_TIER_WINNERS)),
+      filters
+    };
+  });
+}
+
+/**
+ * The single tier equivalent to a plain "pick N winners" draw
+ * @param {number} count - Number of winners
+ * @returns {Array} One unfiltered tier
+ */
+export function createDefaultTiers(count) {
+  return [{ name: DEFAULT_TIER_NAME, count, filters: {} }];
+}
+
+/**
+ * Filters for one tier: the draw's filters, tightened by the tier's own
+ * @param {Object} baseFilters - Draw filters (see applyFilters)
+ * @param {Object} tier - Tier
+ * @returns {Object} Filters for applyFilters
+ */
+export function getTierFilters(baseFilters, tier) {
+  const filters = { ...baseFilters };
+  for (const key of NUMERIC_TIER_FILTERS) {
+    if (tier.filters?.[key] > (filters[key] || 0)) filters[key] = tier.filters[key];
+  }
+  if (tier.filters?.requireAvatar) filters.requireAvatar = true;
+  return filters;
+}
+
+/**
+ * Strictest filters across all tiers (what profiles must be fetched for)
+ * @param {Object} baseFilters - Draw filters
+ * @param {Array} tiers - Tiers
+ * @returns {Object} Filters for applyFilters
+ */
+export function getStrictestFilters(baseFilters, tiers) {
+  return tiers.reduce((filters, tier) => getTierFilters(filters, tier), { ...baseFilters });
+}
+
+/**
+ * Fill tiers, then alternates, from one shuffle
+ * @param {Array} shuffled - Entrants in shuffled order
+ * @param {Array} tiers - Normalized tiers, highest prize first
+ * @param {Object} baseFilters - Draw filters (entrants already pass them; tiers tighten them)
+ * @param {Object} options
+ * @param {Function} options.isExcluded - (user) => true for candidates that can't win (e.g. failed a follow check)
+ * @param {number} options.alternateCount - Alternates to take after the tiers, in shuffle order
+ * @returns {Object} { winners: users with `tier` and 1-based `position`, in tier order, alternates, filled: per-tier counts }
+ */
+export function drawTiers(shuffled, tiers, baseFilters = {}, { isExcluded = () => false, alternateCount = 0 } = {}) {
+  const used = new Set();
+  const winners = [];
+  const filled = [];
+
+  for (const tier of tiers) {
+    const passes = createFilterPredicate(getTierFilters(baseFilters, tier), shuffled);
+    let taken = 0;
+    for (let i = 0; i < shuffled.length && taken < tier.count; i++) {
+      if (used.has(i) || isExcluded(shuffled[i])) continue;
+      if (!passes(shuffled[i])) continue;
+      used.add(i);
+      winners.push({ ...shuffled[i], tier: tier.name, position: i + 1 });
+      taken++;
+    }
+    filled.push(taken);
+  }
+
+  const alternates = [];
+  for (let i = 0; i < shuffled.length && alternates.length < alternateCount; i++) {
+    if (used.has(i) || isExcluded(shuffled[i])) continue;
+    alternates.push({ ...shuffled[i], position: i + 1 });
+  }
+
+  return { winners, alternates, filled };
+}
+
+/**
+ * Group winners by tier for display and export, keeping tier order
+ * @param {Array} winners - Winners with a `tier` name
+ * @param {Array} tiers - Tiers (winners of unknown tiers are listed last)
+ * @returns {Array<{name: string, winners: Array}>} Groups
+ */
+export function groupWinnersByTier(winners, tiers = []) {
+  const groups = tiers.map(tier => ({ name: tier.name, winners: [] }));
+  for (const winner of winners) {
+    let group = groups.find(g => g.name === (winner.tier || DEFAULT_TIER_NAME));
+    if (!group) {
+      group = { name: winner.tier || DEFAULT_TIER_NAME, winners: [] };
+      groups.push(group);
+    }
+    group.winners.push(winner);
+  }
+  return groups.filter(g => g.winners.length > 0);
+}
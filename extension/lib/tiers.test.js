@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_TIERS,
+  MAX_TIER_WINNERS,
+  DEFAULT_TIER_NAME,
+  normalizeTiers,
+  createDefaultTiers,
+  getTierFilters,
+  getStrictestFilters,
+  drawTiers,
+  groupWinnersByTier
+} from './tiers.js';
+
+// Helper to create users; user i has i * 10 followers
+function createUsers(count) {
+  return Array.from({ length: count }, (_, i) => ({ username: `user${i}`, followerCount: i * 10 }));
+}
+
+describe('normalizeTiers', () => {
+  it('should clamp counts, name unnamed tiers and keep known filters only', () => {
+    const tiers = normalizeTiers([
+      { name: ' Grand prize ', count: 1, filters: { minFollowers: '100', bogus: 5 } },
+      { name: '', count: 500, filters: { requireAvatar: true, minTweets: -3 } },
+      { name: 'Grand prize', count: 0 }
+    ]);
+
+    expect(tiers).toEqual([
+      { name: 'Grand prize', count: 1, filters: { minFollowers: 100 } },
+      { name: 'Tier 2', count: MAX_TIER_WINNERS, filters: { requireAvatar: true } },
+      { name: 'Grand prize (3)', count: 1, filters: {} }
+    ]);
+  });
+
+  it('should cap the number of tiers', () => {
+    expect(normalizeTiers(Array(20).fill({ count: 1 }))).toHaveLength(MAX_TIERS);
+    expect(normalizeTiers(null)).toEqual([]);
+  });
+});
+
+describe('getTierFilters / getStrictestFilters', () => {
+  it('should only tighten the draw filters', () => {
+    const base = { minFollowers: 50, missingData: 'exclude' };
+
+    expect(getTierFilters(base, { filters: { minFollowers: 10, minTweets: 5 } }))
+      .toEqual({ minFollowers: 50, minTweets: 5, missingData: 'exclude' });
+    expect(getStrictestFilters(base, [{ filters: { minFollowers: 100 } }, { filters: { requireAvatar: true } }]))
+      .toEqual({ minFollowers: 100, requireAvatar: true, missingData: 'exclude' });
+  });
+});
+
+describe('drawTiers', () => {
+  it('should match a plain draw with the default tier', () => {
+    const shuffled = createUsers(5);
+
+    const { winners } = drawTiers(shuffled, createDefaultTiers(2));
+
+    expect(winners.map(w => [w.username, w.tier, w.position])).toEqual([
+      ['user0', DEFAULT_TIER_NAME, 1],
+      ['user1', DEFAULT_TIER_NAME, 2]
+    ]);
+  });
+
+  it('should fill tiers in order without picking anyone twice', () => {
+    const shuffled = createUsers(10);
+    const tiers = normalizeTiers([
+      { name: 'Grand', count: 1, filters: { minFollowers: 50 } },
+      { name: 'Runner-up', count: 3 }
+    ]);
+
+    const { winners, alternates, filled } = drawTiers(shuffled, tiers, {}, { alternateCount: 2 });
+
+    expect(winners.map(w => `${w.tier}:${w.username}`)).toEqual([
+      'Grand:user5', 'Runner-up:user0', 'Runner-up:user1', 'Runner-up:user2'
+    ]);
+    expect(alternates.map(a => a.position)).toEqual([4, 5]);
+    expect(filled).toEqual([1, 3]);
+  });
+
+  it('should skip excluded candidates and report unfilled tiers', () => {
+    const shuffled = createUsers(3);
+
+    const { winners, filled } = drawTiers(shuffled, createDefaultTiers(3), {}, {
+      isExcluded: u => u.username === 'user1'
+    });
+
+    expect(winners.map(w => w.username)).toEqual(['user0', 'user2']);
+    expect(filled).toEqual([2]);
+  });
+
+  it('should judge each candidate against the whole shuffle', () => {
+    const bio = 'Follow for daily giveaways!!';
+    const shuffled = createUsers(3).map((u, i) => ({ ...u, bio: i < 2 ? bio : 'Photographer in Lisbon' }));
+
+    const { winners } = drawTiers(shuffled, createDefaultTiers(1), { botScoreThreshold: 30 });
+
+    // user0 and user1 share a bio, which only shows across the entrants
+    expect(winners.map(w => w.username)).toEqual(['user2']);
+  });
+});
+
+describe('groupWinnersByTier', () => {
+  it('should group in tier order and drop empty tiers', () => {
+    const tiers = [{ name: 'Grand' }, { name: 'Stickers' }, { name: 'Empty' }];
+    const winners = [{ username: 'b', tier: 'Stickers' }, { username: 'a', tier: 'Grand' }, { username: 'c' }];
+
+    expect(groupWinnersByTier(winners, tiers)).toEqual([
+      { name: 'Grand', winners: [{ username: 'a', tier: 'Grand' }] },
+      { name: 'Stickers', winners: [{ username: 'b', tier: 'Stickers' }] },
+      { name: DEFAULT_TIER_NAME, winners: [{ username: 'c' }] }
+    ]);
+  });
+});
@@ -5,61 +5,306 @@
  * UX: Sequential collection with progress feedback
  */
 
+import {
+  calculateEligible as computeEligible,
+  applyFilters,
+  createFilterPredicate,
+  findUsersMissingData,
+  applyReplyRules,
+  hasReplyRules,
+  buildRequirementTree,
+  buildSourceIndex,
+  createUserFacts,
+  evaluateRequirement,
+  parseRequirement,
+  formatRequirement,
+  getRequirementSources,
+  getRequirementAccounts,
+  normalizeEntryWeights,
+  hasEntryWeights,
+  calculateEntryTickets,
+  formatEntryWeights,
+  countFilterRejections,
+  FILTER_REJECTION_LABELS,
+  mergeUserData
+} from './lib/eligibility.js';
+import { buildResumeQueue, countResumableUsers, getCompletedFollowerAccounts } from './lib/checkpoints.js';
+import {
+  buildDrawRecord,
+  getEntrantFollows,
+  createDrawSettings,
+  hashDrawSettings,
+  getChangedDrawSettings,
+  formatDrawSettings
+} from './lib/audit.js';
+import { buildReceipt, generateSigningKey, signReceipt, formatReceiptText } from './lib/receipt.js';
+import {
+  SEED_SOURCES,
+  generateSeed,
+  normalizeEntrants,
+  normalizeBeacon,
+  deriveBeaconSeed,
+  hashEntrants,
+  createCommitment,
+  seededShuffle,
+  weightedShuffle,
+  seededWeightedShuffle,
+  formatCommitment,
+  formatReveal,
+  promoteAlternate
+} from './lib/draw.js';
+import {
+  FOLLOWER_COLLECTION_LIMIT,
+  planFollowerCollection,
+  restoreFollowCache,
+  recordFollowResult,
+  getFollowResults,
+  getPendingFollowChecks,
+  getFollowCacheKey,
+  getVerifiedFollowMap,
+  mergeFollowCaches
+} from './lib/follows.js';
+import {
+  MAX_TIERS,
+  MAX_TIER_WINNERS,
+  normalizeTiers,
+  createDefaultTiers,
+  getTierFilters,
+  getStrictestFilters,
+  drawTiers,
+  groupWinnersByTier
+} from './lib/tiers.js';
+import {
+  CLAIM_STATUSES,
+  DEFAULT_CLAIM_HOURS,
+  withClaims,
+  setClaimStatus,
+  needsReplacement,
+  expireClaims
+} from './lib/claims.js';
+import { MAX_EXCLUDE_DAYS, normalizeWinnerHistory, recordGiveaway, getPreviousWinners } from './lib/history.js';
+import { CLUSTER_EVIDENCE_LABELS, findClusters, getClusterExclusions, getClusterDecision } from './lib/clusters.js';
+import { DEFAULT_BOT_SCORE_THRESHOLD, normalizeBotScoreThreshold, scoreEntrants, formatBotScore } from './lib/botscore.js';
+import {
+  BLOCK_REASONS,
+  normalizeListEntries,
+  parseListImport,
+  mergeListEntries,
+  removeListEntry,
+  getListUsernames,
+  parseHandleList,
+  getHostUsernames
+} from './lib/lists.js';
+
+// Profiles requested per FETCH_PROFILES message (keeps progress updates frequent)
+const PROFILE_FETCH_BATCH = 20;
+
+// Follow checks sent per CHECK_FOLLOWS_BULK message
+const FOLLOW_CHECK_BATCH = 50;
+
+// Rows shown in the verification participants table
+const VERIFY_TABLE_LIMIT = 300;
+
+// Shuffled candidates kept after the last alternate for replacing winners
+const REPLACEMENT_POOL_SIZE = 500;
+
+// Past giveaways offered in the "also exclude winners of" list
+const PAST_GIVEAWAYS_SHOWN = 20;
+
+// Rows shown per blocklist / allowlist (the rest are summarised)
+const USER_LIST_SHOWN = 200;
+
+// Highest-scoring participants listed in the bot score breakdown
+const BOT_SCORE_ROWS = 100;
+
+// Sockpuppet clusters listed for review, and members named per cluster
+const CLUSTERS_SHOWN = 50;
+const CLUSTER_MEMBERS_SHOWN = 12;
+
+// Requirement source -> collection queue type
+const SOURCE_COLLECT_TYPES = {
+  retweet: 'retweeters',
+  like: 'likers',
+  reply: 'repliers',
+  quote: 'quoters'
+};
+
 document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const tweetUrlInput = document.getElementById('tweet-url');
   const detectBtn = document.getElementById('detect-btn');
   const reqRetweet = document.getElementById('req-retweet');
   const reqLike = document.getElementById('req-like');
+  const reqReply = document.getElementById('req-reply');
+  const reqQuote = document.getElementById('req-quote');
+  const reqQuoteAsRetweet = document.getElementById('req-quote-as-retweet');
+  const replyRulesSummary = document.getElementById('reply-rules-summary');
+  const ruleCustom = document.getElementById('rule-custom');
+  const ruleExpression = document.getElementById('rule-expression');
+  const rulePreview = document.getElementById('rule-preview');
+  const ruleChips = document.getElementById('rule-chips');
+  const ruleFromCheckboxesBtn = document.getElementById('rule-from-checkboxes');
   const reqFollow = document.getElementById('req-follow');
   const followAccountsContainer = document.getElementById('follow-accounts');
   const addFollowBtn = document.getElementById('add-follow-btn');
   const collectAllBtn = document.getElementById('collect-all-btn');
+  const resumeBtn = document.getElementById('resume-btn');
   const clearDataBtn = document.getElementById('clear-data-btn');
   const stopBtn = document.getElementById('stop-btn');
   const pickBtn = document.getElementById('pick-btn');
   const winnerCountInput = document.getElementById('winner-count');
+  const winnerCountRow = document.getElementById('winner-count-row');
+  const useTiersToggle = document.getElementById('use-tiers');
+  const tiersEditor = document.getElementById('tiers-editor');
+  const tiersList = document.getElementById('tiers-list');
+  const addTierBtn = document.getElementById('add-tier-btn');
+  const alternateCountInput = document.getElementById('alternate-count');
+  const claimHoursInput = document.getElementById('claim-hours');
   const winnersSection = document.getElementById('step-winners');
   const winnersList = document.getElementById('winners-list');
   const copyWinnersBtn = document.getElementById('copy-winners');
+  const fairDrawToggle = document.getElementById('fair-draw');
+  const fairDrawOptions = document.getElementById('fair-draw-options');
+  const fairDrawSource = document.getElementById('fair-draw-source');
+  const beaconSourceInput = document.getElementById('beacon-source');
+  const beaconValueInput = document.getElementById('beacon-value');
+  const fairDrawPanel = document.getElementById('fair-draw-panel');
+  const fairDrawText = document.getElementById('fair-draw-text');
+  const fairDrawCopyBtn = document.getElementById('fair-draw-copy');
+  const fairDrawEntrantsBtn = document.getElementById('fair-draw-entrants');
+  const fairDrawDiscardBtn = document.getElementById('fair-draw-discard');
+  const fairDrawExportBtn = document.getElementById('fair-draw-export');
   const repickBtn = document.getElementById('repick-btn');
+  const alternatesBlock = document.getElementById('alternates-block');
+  const alternatesList = document.getElementById('alternates-list');
+  const promoteRow = document.getElementById('promote-row');
+  const replaceWinnerSelect = document.getElementById('replace-winner');
+  const replaceReasonInput = document.getElementById('replace-reason');
+  const promoteAlternateBtn = document.getElementById('promote-alternate-btn');
+  const replacementsList = document.getElementById('replacements-list');
+  const downloadReceiptBtn = document.getElementById('download-receipt-btn');
+  const copyReceiptBtn = document.getElementById('copy-receipt-btn');
   const newGiveawayBtn = document.getElementById('new-giveaway-btn');
   const errorDiv = document.getElementById('error');
   const progressDiv = document.getElementById('progress-info');
   const progressText = document.getElementById('progress-text');
+  const verifySection = document.getElementById('verify-section');
+  const verifyActions = document.getElementById('verify-actions');
+  const verifyAllBtn = document.getElementById('verify-all-btn');
+  const verifyPauseBtn = document.getElementById('verify-pause-btn');
+  const verifyProgress = document.getElementById('verify-progress');
+  const verifyParticipants = document.getElementById('verify-participants');
+  const verifyTable = document.getElementById('verify-table');
 
   // Stats elements
   const statRetweeters = document.getElementById('stat-retweeters');
   const statLikers = document.getElementById('stat-likers');
+  const statRepliers = document.getElementById('stat-repliers');
+  const statQuoters = document.getElementById('stat-quoters');
   const statEligible = document.getElementById('stat-eligible');
   const statFiltered = document.getElementById('stat-filtered');
+  const filterBreakdown = document.getElementById('filter-breakdown');
+  const excludeWinnersDaysInput = document.getElementById('exclude-winners-days');
+  const pastGiveawaysList = document.getElementById('past-giveaways');
+  const clustersSection = document.getElementById('clusters-section');
+  const clusterCount = document.getElementById('cluster-count');
+  const clusterList = document.getElementById('cluster-list');
+  const botScoreInput = document.getElementById('filter-bot-score');
+  const botScoresDetails = document.getElementById('bot-scores');
+  const botScoreList = document.getElementById('bot-score-list');
+  const excludeHostsToggle = document.getElementById('exclude-hosts');
+  const teamMembersInput = document.getElementById('team-members');
+  const hostSummary = document.getElementById('host-summary');
+  const blocklistEl = document.getElementById('blocklist');
+  const blocklistCount = document.getElementById('blocklist-count');
+  const allowlistEl = document.getElementById('allowlist');
+  const allowlistCount = document.getElementById('allowlist-count');
+  const allowlistEnabledToggle = document.getElementById('allowlist-enabled');
+  const listImportText = document.getElementById('list-import-text');
+  const listTargetSelect = document.getElementById('list-target');
+  const listImportReason = document.getElementById('list-import-reason');
+  const listImportFile = document.getElementById('list-import-file');
+  const listImportStatus = document.getElementById('list-import-status');
 
   // Status elements
   const statusRetweet = document.getElementById('status-retweet');
   const statusLike = document.getElementById('status-like');
+  const statusReply = document.getElementById('status-reply');
+  const statusQuote = document.getElementById('status-quote');
 
   // State
   let state = {
     tweetId: null,
+    tweetAuthor: null, // lowercase username of whoever posted the giveaway tweet, once known
+    clusterExclusions: [], // usernames disqualified while reviewing sockpuppet clusters
     retweeters: [],
     likers: [],
+    repliers: [],
+    quoters: [],
     followers: {},
     eligible: [],
-    winners: [],
+    winners: [], // each with a `claim` (see lib/claims.js)
+    alternates: [],
+    remaining: [], // rest of the shuffle after the alternates, for replacements
+    replacements: [],
+    lastDraw: null,
     isCollecting: false,
     currentCollection: null
   };
 
+  // Jobs left over from an interrupted collection (see lib/checkpoints.js)
+  let resumeQueue = [];
+
+  // Accounts whose follower list was collected to the end for this tweet
+  let collectedFollowerAccounts = [];
+
+  // Follow checks for this giveaway (see lib/follows.js) and the background verify job status
+  let followCache = restoreFollowCache(null, null);
+  let verifyStatus = { status: 'idle' };
+
+  // Commit–reveal draw for this tweet (see lib/draw.js), kept until revealed or discarded:
+  // { tweetId, source, seed, commitment, beaconSource, beacon, seedInput,
+  //   entrantsHash, entrantCount, entrants, committedAt, revealedAt, winners }
+  // For beacon draws `seed`, `beacon` and `seedInput` (exactly what was hashed) are filled in at the reveal
+  let drawCommitment = null;
+
+  // Winners of past giveaways (see lib/history.js) and which of them this draw excludes.
+  // Both have their own storage keys, so starting a new giveaway keeps them.
+  let winnerHistory = [];
+  let previousWinnerRule = { days: 0, tweetIds: [] };
+
+  // Whether the tweet author, required-follow accounts and team members are kept out of the draw.
+  // Stored under 'hostExclusion' so the team list outlives the giveaway.
+  let hostExclusion = { enabled: true, team: [] };
+
+  // Clusters shown in the sockpuppet review (see lib/clusters.js); buttons refer to them by index
+  let clusterReview = [];
+
+  // Blocklist and allowlist (see lib/lists.js), stored under 'userLists' and shared by all giveaways.
+  // The username arrays are what getFilters() sends as the blacklist / allowlist filters.
+  let userLists = { blocklist: [], allowlist: [], allowlistEnabled: false };
+  let listUsernames = { blocklist: [], allowlist: [] };
+
   // Load saved state
   await loadState();
 
   // Try to detect tweet from current tab - this will clear data if tweet changed
   await detectCurrentTweet();
+  await refreshResumeQueue();
+  followCache = await loadFollowCache();
+  drawCommitment = await loadDrawCommitment();
+  await loadWinnerHistory();
+  await loadUserLists();
+  await loadHostExclusion();
+  try {
+    verifyStatus = await chrome.runtime.sendMessage({ type: 'GET_VERIFY_STATUS' }) || verifyStatus;
+  } catch (e) {}
 
   updateUI();
 
   // Display winners if they exist from previous session
   if (state.winners && state.winners.length > 0) {
+    expireOverdueClaims();
     displayWinners();
   }
 
@@ -106,7 +351,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     saveSettings();
   });
 
+  useTiersToggle.addEventListener('change', () => {
+    if (useTiersToggle.checked && tiersList.children.length === 0) {
+      addTierRow({ name: 'Grand prize', count: 1 });
+      addTierRow({ name: 'Runner-up', count: parseInt(winnerCountInput.value) > 1 ? parseInt(winnerCountInput.value) - 1 : 1 });
+    }
+    updateTiersEditor();
+    saveSettings();
+  });
+  addTierBtn.addEventListener('click', () => {
+    if (tiersList.children.length < MAX_TIERS) addTierRow();
+    saveSettings();
+  });
+  tiersList.addEventListener('click', (e) => {
+    if (e.target.classList.contains('remove-tier')) {
+      e.target.closest('.tier-row').remove();
+      if (tiersList.children.length === 0) useTiersToggle.checked = false;
+      updateTiersEditor();
+      saveSettings();
+    }
+  });
+  tiersList.addEventListener('input', saveSettings);
+
   collectAllBtn.addEventListener('click', startCollection);
+  resumeBtn.addEventListener('click', resumeCollection);
+  verifyAllBtn.addEventListener('click', startVerifyAll);
+  verifyPauseBtn.addEventListener('click', toggleVerifyPause);
+  verifyParticipants.addEventListener('toggle', renderVerifyTable);
   clearDataBtn.addEventListener('click', clearDataAndRefresh);
   stopBtn.addEventListener('click', stopCollection);
 
@@ -125,22 +396,149 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('filter-tweets').addEventListener('input', debouncedUpdateUI);
   document.getElementById('filter-age').addEventListener('input', debouncedUpdateUI);
   document.getElementById('filter-avatar').addEventListener('change', debouncedUpdateUI);
+  document.getElementById('filter-missing').addEventListener('change', debouncedUpdateUI);
+  botScoreInput.title = `Sum of the signals in the breakdown below, 0-100. ${DEFAULT_BOT_SCORE_THRESHOLD} is a reasonable start.`;
+  botScoreInput.addEventListener('input', debouncedUpdateUI);
+  botScoresDetails.addEventListener('toggle', () => renderBotScores(calculateEligible()));
+  document.getElementById('copy-bot-scores').addEventListener('click', (e) => {
+    const lines = scoreEntrants(calculateEligible())
+      .filter(result => result.score > 0)
+      .map(result => `@${result.user.username} ${formatBotScore(result)}`);
+    copyText(lines.join('\n') || 'No participant has any bot signals', e.target);
+  });
+
+  // Update stats when reply rules change
+  document.getElementById('rule-mentions').addEventListener('input', debouncedUpdateUI);
+  document.getElementById('rule-hashtags').addEventListener('input', debouncedUpdateUI);
+  document.getElementById('rule-keywords').addEventListener('input', debouncedUpdateUI);
+  document.getElementById('rule-forbidden').addEventListener('input', debouncedUpdateUI);
+  document.getElementById('rule-media').addEventListener('change', debouncedUpdateUI);
+
+  // Previous-winner exclusions are saved right away, outside the per-giveaway settings
+  excludeWinnersDaysInput.addEventListener('input', savePreviousWinnerRule);
+  pastGiveawaysList.addEventListener('change', savePreviousWinnerRule);
+
+  // Sockpuppet review: clusters are found when the section is opened
+  clustersSection.addEventListener('toggle', renderClusters);
+  clusterList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    const cluster = button && clusterReview[parseInt(button.dataset.index)];
+    if (!cluster) return;
+
+    const members = new Set(getClusterExclusions(cluster, 'all'));
+    const others = state.clusterExclusions.filter(u => !members.has(u));
+    state.clusterExclusions = button.dataset.action === 'undo'
+      ? others
+      : [...others, ...getClusterExclusions(cluster, button.dataset.action)];
+    saveState();
+    updateUI();
+  });
+
+  // Host exclusion, also saved right away
+  excludeHostsToggle.addEventListener('change', saveHostExclusion);
+  teamMembersInput.addEventListener('input', saveHostExclusion);
+
+  // Blocklist / allowlist editing, also saved right away
+  document.getElementById('list-add-btn').addEventListener('click', () => {
+    importListText(listImportText.value);
+  });
+  document.getElementById('list-file-btn').addEventListener('click', () => listImportFile.click());
+  listImportFile.addEventListener('change', async () => {
+    const file = listImportFile.files[0];
+    listImportFile.value = '';
+    if (!file) return;
+    try {
+      importListText(await file.text(), file.name);
+    } catch (e) {
+      showListStatus(`Could not read ${file.name}: ${e.message}`);
+    }
+  });
+  document.getElementById('list-clear-btn').addEventListener('click', () => {
+    const listName = listTargetSelect.value;
+    if (userLists[listName].length === 0) return;
+    if (!confirm(`Remove all ${userLists[listName].length} users from the ${listName}?`)) return;
+    userLists[listName] = [];
+    saveUserLists();
+    showListStatus(`Cleared the ${listName}`);
+  });
+  allowlistEnabledToggle.addEventListener('change', () => {
+    userLists.allowlistEnabled = allowlistEnabledToggle.checked;
+    saveUserLists();
+  });
+  for (const listEl of [blocklistEl, allowlistEl]) {
+    listEl.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-username]');
+      if (!button) return;
+      userLists[button.dataset.list] = removeListEntry(userLists[button.dataset.list], button.dataset.username);
+      saveUserLists();
+    });
+  }
 
-  // Save settings when requirements change
-  reqRetweet.addEventListener('change', saveSettings);
-  reqLike.addEventListener('change', saveSettings);
-  reqFollow.addEventListener('change', saveSettings);
+  // Update the participant list and save settings when bonus entries change
+  document.getElementById('bonus-entries').addEventListener('input', debouncedUpdateUI);
+
+  // Update stats and save settings when requirements change
+  reqRetweet.addEventListener('change', onRequirementsChanged);
+  reqLike.addEventListener('change', onRequirementsChanged);
+  reqReply.addEventListener('change', onRequirementsChanged);
+  reqQuote.addEventListener('change', onRequirementsChanged);
+  reqQuoteAsRetweet.addEventListener('change', onRequirementsChanged);
+  reqFollow.addEventListener('change', onRequirementsChanged);
+
+  // Custom requirement rule builder
+  ruleCustom.addEventListener('change', onRequirementsChanged);
+  ruleExpression.addEventListener('input', () => {
+    updateRulePreview();
+    debouncedUpdateUI();
+  });
+  ruleChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-insert]');
+    if (chip) insertRuleToken(chip.dataset.insert);
+  });
+  ruleFromCheckboxesBtn.addEventListener('click', () => {
+    const wasCustom = ruleCustom.checked;
+    ruleCustom.checked = false;
+    ruleExpression.value = formatRequirement(getRequirementTree());
+    ruleCustom.checked = wasCustom;
+    onRequirementsChanged();
+  });
   winnerCountInput.addEventListener('change', saveSettings);
-  pickBtn.addEventListener('click', async () => {
+  alternateCountInput.addEventListener('change', saveSettings);
+  claimHoursInput.addEventListener('change', saveSettings);
+  // Pick and Pick Again share the handler, so commit, reveal and shuffle errors show in the popup
+  const onPickClick = async () => {
     try {
       await pickWinners();
     } catch (e) {
       console.error('[Popup] Pick winners error:', e);
       showError('Error picking winners: ' + e.message);
     }
-  });
+  };
+  pickBtn.addEventListener('click', onPickClick);
   copyWinnersBtn.addEventListener('click', copyWinners);
-  repickBtn.addEventListener('click', pickWinners);
+  promoteAlternateBtn.addEventListener('click', promoteNextAlternate);
+  downloadReceiptBtn.addEventListener('click', downloadReceipt);
+  copyReceiptBtn.addEventListener('click', copyReceipt);
+  fairDrawToggle.addEventListener('change', () => {
+    updateUI();
+    saveSettings();
+  });
+  fairDrawSource.addEventListener('change', () => {
+    updateUI();
+    saveSettings();
+  });
+  fairDrawCopyBtn.addEventListener('click', () => copyText(fairDrawText.textContent, fairDrawCopyBtn));
+  fairDrawEntrantsBtn.addEventListener('click', () => copyText(drawCommitment?.entrants.join('\n') || '', fairDrawEntrantsBtn));
+  fairDrawDiscardBtn.addEventListener('click', discardDrawCommitment);
+  fairDrawExportBtn.addEventListener('click', async () => {
+    try {
+      await exportDrawRecord();
+    } catch (e) {
+      console.error('[Popup] Export draw record error:', e);
+      showError('Error exporting the draw record: ' + e.message);
+    }
+  });
+  repickBtn.addEventListener('click', onPickClick);
   newGiveawayBtn.addEventListener('click', resetGiveaway);
 
   // Listen for collection updates from content script and background
@@ -150,7 +548,18 @@ document.addEventListener('DOMContentLoaded', async () => {
       showProgress(`Collecting ${message.collectType}: ${message.count} found...`);
     } else if (message.type === 'COLLECTION_COMPLETE') {
       updateCollectionStatus(message.collectType, 'complete', message.count, message.account);
-      fetchCollectedData().then(() => updateUI());
+      Promise.all([fetchCollectedData(), refreshResumeQueue()]).then(() => updateUI());
+    } else if (message.type === 'VERIFY_PROGRESS') {
+      verifyStatus = message;
+      loadFollowCache().then(cache => {
+        followCache = cache;
+        updateUI();
+      });
+    } else if (message.type === 'CLAIMS_EXPIRED') {
+      expireOverdueClaims();
+      displayWinners();
+    } else if (message.type === 'RATE_LIMIT_WAIT') {
+      showProgress(`Waiting ${message.seconds} seconds for rate limit...`);
     } else if (message.type === 'STORAGE_ERROR') {
       // Show storage error to user
       showWarning('Warning: Failed to save data. Your progress may be lost if you close the browser.');
@@ -160,9 +569,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       collectAllBtn.classList.remove('hidden');
       stopBtn.classList.add('hidden');
       hideProgress();
-      fetchCollectedData().then(() => {
+      Promise.all([fetchCollectedData(), refreshResumeQueue()]).then(() => {
         updateUI();
-        if (state.retweeters.length > 0 || state.likers.length > 0) {
+        if (state.retweeters.length > 0 || state.likers.length > 0 ||
+            state.repliers.length > 0 || state.quoters.length > 0) {
           showSuccess('Collection complete!');
         }
       });
@@ -181,6 +591,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (saved.collectedData) {
         state.retweeters = saved.collectedData.retweeters || [];
         state.likers = saved.collectedData.likers || [];
+        state.repliers = saved.collectedData.repliers || [];
+        state.quoters = saved.collectedData.quoters || [];
         state.followers = saved.collectedData.followers || {};
         state.tweetId = saved.collectedData.currentTweetId || state.tweetId;
       }
@@ -200,21 +612,68 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (settings.requireAvatar !== undefined) {
           document.getElementById('filter-avatar').checked = settings.requireAvatar;
         }
+        if (settings.missingData !== undefined) {
+          document.getElementById('filter-missing').value = settings.missingData;
+        }
+        if (settings.botScoreThreshold !== undefined) {
+          botScoreInput.value = settings.botScoreThreshold;
+        }
         if (settings.requireRetweet !== undefined) {
           reqRetweet.checked = settings.requireRetweet;
         }
         if (settings.requireLike !== undefined) {
           reqLike.checked = settings.requireLike;
         }
+        if (settings.requireReply !== undefined) {
+          reqReply.checked = settings.requireReply;
+        }
+        if (settings.requireQuote !== undefined) {
+          reqQuote.checked = settings.requireQuote;
+        }
+        if (settings.quoteCountsAsRetweet !== undefined) {
+          reqQuoteAsRetweet.checked = settings.quoteCountsAsRetweet;
+        }
         if (settings.requireFollow !== undefined) {
           reqFollow.checked = settings.requireFollow;
         }
         if (settings.winnerCount !== undefined) {
           winnerCountInput.value = settings.winnerCount;
         }
+        if (settings.alternateCount !== undefined) {
+          alternateCountInput.value = settings.alternateCount;
+        }
+        if (settings.claimHours !== undefined) {
+          claimHoursInput.value = settings.claimHours;
+        }
+        if (Array.isArray(settings.tiers)) {
+          tiersList.replaceChildren();
+          normalizeTiers(settings.tiers).forEach(tier => addTierRow(tier));
+        }
+        if (settings.useTiers !== undefined) {
+          useTiersToggle.checked = settings.useTiers && tiersList.children.length > 0;
+        }
+        updateTiersEditor();
         if (settings.followAccounts && settings.followAccounts.length > 0) {
           restoreFollowAccounts(settings.followAccounts);
         }
+        if (settings.replyRules) {
+          restoreReplyRules(settings.replyRules);
+        }
+        if (settings.entryWeights) {
+          restoreEntryWeights(settings.entryWeights);
+        }
+        if (typeof settings.requirementExpression === 'string') {
+          ruleExpression.value = settings.requirementExpression;
+        }
+        if (settings.useCustomRule !== undefined) {
+          ruleCustom.checked = settings.useCustomRule;
+        }
+        if (settings.fairDraw !== undefined) {
+          fairDrawToggle.checked = settings.fairDraw;
+        }
+        if (SEED_SOURCES.includes(settings.fairDrawSource)) {
+          fairDrawSource.value = settings.fairDrawSource;
+        }
       }
     } catch (e) {
       console.error('Error loading state:', e);
@@ -239,20 +698,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  function restoreReplyRules(rules) {
+    document.getElementById('rule-mentions').value = rules.minMentions || 0;
+    document.getElementById('rule-hashtags').value = (rules.requiredHashtags || []).map(t => '#' + t).join(', ');
+    document.getElementById('rule-keywords').value = (rules.requiredKeywords || []).join(', ');
+    document.getElementById('rule-forbidden').value = (rules.forbiddenKeywords || []).join(', ');
+    document.getElementById('rule-media').checked = Boolean(rules.requireMedia);
+  }
+
+  function restoreEntryWeights(weights) {
+    const w = normalizeEntryWeights(weights);
+    document.getElementById('weight-retweet').value = w.retweet;
+    document.getElementById('weight-like').value = w.like;
+    document.getElementById('weight-reply').value = w.reply;
+    document.getElementById('weight-quote').value = w.quote;
+    document.getElementById('weight-mention').value = w.perMention;
+    document.getElementById('weight-mention-max').value = w.maxMentions;
+    document.getElementById('weight-follows').value = Object.entries(w.follows)
+      .map(([account, weight]) => `@${account}=${weight}`)
+      .join(', ');
+  }
+
   async function saveState() {
     try {
       await chrome.storage.local.set({
         giveawayState: {
           tweetId: state.tweetId,
+          tweetAuthor: state.tweetAuthor,
+          clusterExclusions: state.clusterExclusions,
           winners: state.winners,
-          eligible: state.eligible
+          alternates: state.alternates,
+          remaining: state.remaining,
+          replacements: state.replacements,
+          eligible: state.eligible,
+          lastDraw: state.lastDraw
         }
       });
+      scheduleClaimChecks();
     } catch (e) {
       console.error('Error saving state:', e);
     }
   }
 
+  // Let the background worker set its claim-deadline alarm from the saved winners
+  function scheduleClaimChecks() {
+    chrome.runtime.sendMessage({ type: 'SCHEDULE_CLAIMS' }).catch(() => {});
+  }
+
   // Save filter settings (debounced)
   let saveSettingsTimeout = null;
   function saveSettings() {
@@ -265,11 +757,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             minTweets: parseInt(document.getElementById('filter-tweets').value) || 0,
             minAge: parseInt(document.getElementById('filter-age').value) || 0,
             requireAvatar: document.getElementById('filter-avatar').checked,
+            missingData: document.getElementById('filter-missing').value,
+            botScoreThreshold: normalizeBotScoreThreshold(botScoreInput.value),
             requireRetweet: reqRetweet.checked,
             requireLike: reqLike.checked,
+            requireReply: reqReply.checked,
+            requireQuote: reqQuote.checked,
+            quoteCountsAsRetweet: reqQuoteAsRetweet.checked,
             requireFollow: reqFollow.checked,
             winnerCount: parseInt(winnerCountInput.value) || 1,
-            followAccounts: getFollowAccounts()
+            alternateCount: parseInt(alternateCountInput.value) || 0,
+            claimHours: parseInt(claimHoursInput.value) || DEFAULT_CLAIM_HOURS,
+            useTiers: useTiersToggle.checked,
+            tiers: getTierSettings(),
+            followAccounts: getFollowAccounts(),
+            replyRules: getReplyRules(),
+            entryWeights: getEntryWeights(),
+            useCustomRule: ruleCustom.checked,
+            requirementExpression: ruleExpression.value,
+            requirementTree: getRequirementTree(),
+            fairDraw: fairDrawToggle.checked,
+            fairDrawSource: fairDrawSource.value
           }
         });
       } catch (e) {
@@ -293,12 +801,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
 
       let newTweetId = null;
+      let author = null;
 
-      // Try to get tweet ID from content script
+      // Try to get tweet ID (and the author, once the tweet page has loaded) from content script
       try {
         const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_TWEET_ID' });
         if (response?.tweetId) {
           newTweetId = response.tweetId;
+          author = response.author || null;
         }
       } catch (e) {
         // Content script not loaded, try URL parsing
@@ -323,7 +833,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         await clearCollectedData();
       }
 
+      // Fall back to the handle in the URL (x.com/<author>/status/<id>); /i/status/ links have none
+      if (!author) {
+        const match = tab.url.match(/\.com\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/);
+        if (match && match[1].toLowerCase() !== 'i' && match[2] === newTweetId) {
+          author = match[1];
+        }
+      }
+
       state.tweetId = newTweetId;
+      if (author && author.toLowerCase() !== state.tweetAuthor) {
+        state.tweetAuthor = author.toLowerCase();
+        await saveState();
+      }
       tweetUrlInput.value = tab.url;
       hideError();
       updateUI();
@@ -334,14 +856,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   async function clearCollectedData() {
+    state.tweetAuthor = null;
+    state.clusterExclusions = [];
     state.retweeters = [];
     state.likers = [];
+    state.repliers = [];
+    state.quoters = [];
     state.followers = {};
     state.eligible = [];
     state.winners = [];
+    state.alternates = [];
+    state.remaining = [];
+    state.replacements = [];
+    state.lastDraw = null;
+    resumeQueue = [];
+    drawCommitment = null;
 
     try {
-      await chrome.storage.local.remove(['collectedData', 'pendingCollection']);
+      await chrome.storage.local.remove([
+        'collectedData', 'pendingCollection', 'collectionCheckpoints', 'collectionPlan', 'followCache',
+        'drawCommitment'
+      ]);
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       await chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_DATA' });
     } catch (e) {}
@@ -355,6 +890,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       statusLike.className = 'requirement-status status-idle';
       statusLike.textContent = 'Not collected';
     }
+    if (statusReply) {
+      statusReply.className = 'requirement-status status-idle';
+      statusReply.textContent = 'Not collected';
+    }
+    if (statusQuote) {
+      statusQuote.className = 'requirement-status status-idle';
+      statusQuote.textContent = 'Not collected';
+    }
 
     winnersSection.classList.add('hidden');
   }
@@ -387,6 +930,55 @@ document.addEventListener('DOMContentLoaded', async () => {
     followAccountsContainer.appendChild(row);
   }
 
+  function addTierRow(tier = {}) {
+    const row = document.createElement('div');
+    row.className = 'tier-row';
+
+    const fields = [
+      ['tier-name', 'text', tier.name || '', 'Prize name'],
+      ['tier-count', 'number', tier.count || 1, 'Number of winners of this prize'],
+      ['tier-followers', 'number', tier.filters?.minFollowers || '', 'Minimum followers for this prize'],
+      ['tier-age', 'number', tier.filters?.minAccountAgeDays || '', 'Minimum account age in days for this prize']
+    ];
+    for (const [className, type, value, label] of fields) {
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = className;
+      input.value = value;
+      input.setAttribute('aria-label', label);
+      if (type === 'number') {
+        input.min = className === 'tier-count' ? '1' : '0';
+        if (className === 'tier-count') input.max = String(MAX_TIER_WINNERS);
+      }
+      row.appendChild(input);
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary remove-tier';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', 'Remove this prize tier');
+    row.appendChild(removeBtn);
+
+    tiersList.appendChild(row);
+  }
+
+  function updateTiersEditor() {
+    tiersEditor.classList.toggle('hidden', !useTiersToggle.checked);
+    winnerCountRow.classList.toggle('hidden', useTiersToggle.checked);
+  }
+
+  // Tiers from the editor (empty when tiers are off)
+  function getTierSettings() {
+    return normalizeTiers(Array.from(tiersList.querySelectorAll('.tier-row'), row => ({
+      name: row.querySelector('.tier-name').value,
+      count: row.querySelector('.tier-count').value,
+      filters: {
+        minFollowers: row.querySelector('.tier-followers').value,
+        minAccountAgeDays: row.querySelector('.tier-age').value
+      }
+    })));
+  }
+
   function getFollowAccounts() {
     const inputs = followAccountsContainer.querySelectorAll('.follow-input');
     return Array.from(inputs)
@@ -394,6 +986,131 @@ document.addEventListener('DOMContentLoaded', async () => {
       .filter(v => v.length > 0 && /^[a-zA-Z0-9_]{1,15}$/.test(v));
   }
 
+  // Read reply rules from the Requirements section (hashtags split on commas/spaces, keywords on commas)
+  function getReplyRules() {
+    const splitList = (value, pattern) => value.split(pattern).map(v => v.trim()).filter(Boolean);
+
+    return {
+      minMentions: parseInt(document.getElementById('rule-mentions').value) || 0,
+      requiredHashtags: splitList(document.getElementById('rule-hashtags').value, /[,\s]+/)
+        .map(tag => tag.replace(/^#/, '').toLowerCase()),
+      requiredKeywords: splitList(document.getElementById('rule-keywords').value, ',')
+        .map(keyword => keyword.toLowerCase()),
+      forbiddenKeywords: splitList(document.getElementById('rule-forbidden').value, ',')
+        .map(keyword => keyword.toLowerCase()),
+      requireMedia: document.getElementById('rule-media').checked
+    };
+  }
+
+  // Bonus-entry weights; following a required account is not optional, so it earns nothing extra
+  function getEntryWeights() {
+    const required = getRequirementAccounts(getRequirementTree());
+    const follows = {};
+    for (const item of document.getElementById('weight-follows').value.split(',')) {
+      const [account, weight = '1'] = item.split('=').map(part => part.trim());
+      const key = account.replace(/^@/, '').toLowerCase();
+      if (key && !required.includes(key)) follows[key] = parseInt(weight) || 0;
+    }
+
+    return normalizeEntryWeights({
+      retweet: document.getElementById('weight-retweet').value,
+      like: document.getElementById('weight-like').value,
+      reply: document.getElementById('weight-reply').value,
+      quote: document.getElementById('weight-quote').value,
+      perMention: document.getElementById('weight-mention').value,
+      maxMentions: document.getElementById('weight-mention-max').value,
+      follows
+    });
+  }
+
+  // Tickets per entrant (lowercase username -> count). Bonus follows count when the account's
+  // follower list was collected or the follow was verified.
+  function calculateTickets(users, weights, verifiedFollows = getVerifiedFollowMap(followCache)) {
+    return calculateEntryTickets(users, {
+      retweeters: state.retweeters,
+      likers: state.likers,
+      repliers: state.repliers,
+      quoters: state.quoters,
+      followers: getCollectedFollowers(),
+      replyRules: getReplyRules(),
+      verifiedFollows,
+      weights
+    });
+  }
+
+  // Requirement tree in effect: the custom rule when enabled, otherwise the checkboxes ANDed together
+  // Returns null when nothing is required or the custom rule doesn't parse
+  function getRequirementTree() {
+    if (ruleCustom.checked) {
+      try {
+        return parseRequirement(ruleExpression.value);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    return buildRequirementTree({
+      requireRetweet: reqRetweet.checked,
+      requireLike: reqLike.checked,
+      requireReply: reqReply.checked,
+      requireQuote: reqQuote.checked,
+      quoteCountsAsRetweet: reqQuoteAsRetweet.checked,
+      mustFollow: reqFollow.checked ? getFollowAccounts() : []
+    });
+  }
+
+  // Insert a token into the rule expression at the cursor, padded with spaces
+  function insertRuleToken(token) {
+    const value = ruleExpression.value;
+    const start = ruleExpression.selectionStart ?? value.length;
+    const end = ruleExpression.selectionEnd ?? value.length;
+    const before = value.slice(0, start).replace(/\s*$/, '');
+    const after = value.slice(end).replace(/^\s*/, '');
+    const joinBefore = before && token !== ')' && !before.endsWith('(') ? ' ' : '';
+    const joinAfter = after && !token.endsWith('@') && token !== '(' ? ' ' : '';
+
+    ruleExpression.value = before + joinBefore + token + joinAfter + after;
+    const cursor = (before + joinBefore + token).length;
+    ruleExpression.focus();
+    ruleExpression.setSelectionRange(cursor, cursor);
+    onRequirementsChanged();
+  }
+
+  function onRequirementsChanged() {
+    updateUI();
+    saveSettings();
+  }
+
+  // Show the parsed rule (or the parse error) and what it will collect and verify
+  function updateRulePreview() {
+    const fixedRequirementInputs = [reqRetweet, reqLike, reqReply, reqQuote, reqQuoteAsRetweet, reqFollow];
+    fixedRequirementInputs.forEach(input => { input.disabled = ruleCustom.checked; });
+
+    if (!ruleCustom.checked) {
+      rulePreview.className = 'rule-preview';
+      rulePreview.textContent = 'Using the checkboxes above: ' + (formatRequirement(getRequirementTree()) || 'nothing required');
+      return;
+    }
+
+    try {
+      const tree = parseRequirement(ruleExpression.value);
+      const sources = getRequirementSources(tree);
+      const accounts = getRequirementAccounts(tree);
+
+      let text = '✓ ' + formatRequirement(tree);
+      text += sources.length > 0 ? ` · collects ${sources.join(', ')}` : ' · no engagement to collect';
+      if (accounts.length > 0) {
+        text += ` · checks follows of ${accounts.map(a => '@' + a).join(', ')}` +
+          ` (follower lists up to ${FOLLOWER_COLLECTION_LIMIT.toLocaleString()} are collected, bigger accounts are verified when picking)`;
+      }
+      rulePreview.className = 'rule-preview';
+      rulePreview.textContent = text;
+    } catch (e) {
+      rulePreview.className = 'rule-preview rule-error';
+      rulePreview.textContent = e.message;
+    }
+  }
+
   async function startCollection() {
     // Validate tweet ID
     if (!state.tweetId) {
@@ -406,28 +1123,88 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
 
-    hideError();
-    state.isCollecting = true;
-    startPolling(); // Start polling for updates
-    const queue = [];
-
-    // Build collection queue (only retweeters and likers - followers verified at pick time)
-    if (reqRetweet.checked) {
-      queue.push({ type: 'retweeters', tweetId: state.tweetId });
-    }
-    if (reqLike.checked) {
-      queue.push({ type: 'likers', tweetId: state.tweetId });
+    const requirement = getRequirementTree();
+    if (ruleCustom.checked && !requirement) {
+      showError('Fix the custom rule before collecting');
+      return;
     }
-    // Note: followers are verified when picking winners, not collected
+
+    // Build collection queue from the sources the requirement references
+    const queue = getRequirementSources(requirement)
+      .map(source => ({ type: SOURCE_COLLECT_TYPES[source], tweetId: state.tweetId }));
 
     if (queue.length === 0) {
       showError('Select at least one requirement');
-      state.isCollecting = false;
       return;
     }
 
+    // Collect follower lists of small accounts upfront; bigger ones are verified per participant.
+    // Bonus-entry accounts are planned the same way.
+    const accounts = [...getRequirementAccounts(requirement), ...Object.keys(getEntryWeights().follows)];
+    if (accounts.length > 0) {
+      showProgress('Looking up required accounts...');
+      const plan = planFollowerCollection(accounts, await lookupFollowerCounts(accounts));
+      for (const account of plan.collect) {
+        queue.push({ type: 'followers', tweetId: state.tweetId, account });
+      }
+    }
+
+    // Remember the full plan so an interrupted run can be resumed
+    try {
+      await chrome.storage.local.set({ collectionPlan: queue });
+    } catch (e) {}
+
+    await runQueue(queue);
+  }
+
+  // Follower counts of the required accounts (lowercase account -> count); lookups that fail are left out
+  async function lookupFollowerCounts(accounts) {
+    const counts = {};
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'FETCH_PROFILES', usernames: accounts });
+      for (const user of response?.success ? response.users : []) {
+        if (typeof user.followerCount === 'number') {
+          counts[user.username.toLowerCase()] = user.followerCount;
+        }
+      }
+    } catch (e) {
+      console.error('Error looking up follower counts:', e);
+    }
+    return counts;
+  }
+
+  // Continue unfinished jobs from their saved cursors, then the rest of the last plan
+  async function resumeCollection() {
+    await refreshResumeQueue();
+    if (resumeQueue.length === 0) {
+      updateUI();
+      return;
+    }
+    await runQueue(resumeQueue);
+  }
+
+  async function refreshResumeQueue() {
+    try {
+      const saved = await chrome.storage.local.get(['collectionCheckpoints', 'collectionPlan']);
+      resumeQueue = buildResumeQueue(saved.collectionCheckpoints, saved.collectionPlan, state.tweetId);
+      collectedFollowerAccounts = getCompletedFollowerAccounts(saved.collectionCheckpoints, state.tweetId);
+      const collected = countResumableUsers(saved.collectionCheckpoints, state.tweetId);
+      resumeBtn.textContent = collected > 0 ? `Resume (${collected.toLocaleString()} so far)` : 'Resume';
+    } catch (e) {
+      resumeQueue = [];
+      collectedFollowerAccounts = [];
+    }
+  }
+
+  async function runQueue(queue) {
+    hideError();
+    state.isCollecting = true;
+    startPolling(); // Start polling for updates
+
     // Update UI
     collectAllBtn.classList.add('hidden');
+    resumeBtn.classList.add('hidden');
     stopBtn.classList.remove('hidden');
     showProgress('Starting collection...');
 
@@ -460,6 +1237,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     collectAllBtn.classList.remove('hidden');
     stopBtn.classList.add('hidden');
     hideProgress();
+    await refreshResumeQueue();
     updateUI();
   }
 
@@ -471,6 +1249,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (response) {
         if (response.retweeters) state.retweeters = response.retweeters;
         if (response.likers) state.likers = response.likers;
+        if (response.repliers) state.repliers = response.repliers;
+        if (response.quoters) state.quoters = response.quoters;
         if (response.followers) state.followers = response.followers;
         if (response.isCollecting !== undefined) state.isCollecting = response.isCollecting;
       }
@@ -487,6 +1267,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       statusEl = statusRetweet;
     } else if (type === 'likers') {
       statusEl = statusLike;
+    } else if (type === 'repliers') {
+      statusEl = statusReply;
+    } else if (type === 'quoters') {
+      statusEl = statusQuote;
     }
 
     if (!statusEl) return;
@@ -507,214 +1291,1065 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   function calculateEligible() {
-    // If a requirement is set but list is empty, no one can be eligible
-    if (reqRetweet.checked && state.retweeters.length === 0) {
-      return [];
-    }
-    if (reqLike.checked && state.likers.length === 0) {
-      return [];
-    }
-
-    let eligibleSet = null;
-
-    const retweeterSet = new Set(state.retweeters.map(u => u.username.toLowerCase()));
-    const likerSet = new Set(state.likers.map(u => u.username.toLowerCase()));
-
-    // Start with retweeters if required
-    if (reqRetweet.checked) {
-      eligibleSet = new Set(retweeterSet);
-    }
-
-    // Intersect with likers if required
-    if (reqLike.checked) {
-      if (eligibleSet) {
-        eligibleSet = new Set([...eligibleSet].filter(u => likerSet.has(u)));
-      } else {
-        eligibleSet = new Set(likerSet);
-      }
-    }
-
-    if (!eligibleSet) return [];
-
-    // Build user objects - prefer retweeter data (most complete)
-    const userMap = new Map();
-    [...state.likers, ...state.retweeters].forEach(u => {
-      userMap.set(u.username.toLowerCase(), u);
+    return computeEligible({
+      retweeters: state.retweeters,
+      likers: state.likers,
+      repliers: state.repliers,
+      quoters: state.quoters,
+      followers: getCollectedFollowers(),
+      replyRules: getReplyRules(),
+      requirement: getRequirementTree(),
+      verifiedFollows: getVerifiedFollowMap(followCache)
     });
-
-    return Array.from(eligibleSet)
-      .map(username => userMap.get(username))
-      .filter(Boolean);
   }
 
-  function applyFilters(users) {
-    const minFollowers = parseInt(document.getElementById('filter-followers').value) || 0;
-    const minTweets = parseInt(document.getElementById('filter-tweets').value) || 0;
-    const minAge = parseInt(document.getElementById('filter-age').value) || 0;
-    const requireAvatar = document.getElementById('filter-avatar').checked;
-
-    const minDate = new Date();
-    minDate.setDate(minDate.getDate() - minAge);
+  // Only complete follower lists count: a partial one can't tell who doesn't follow
+  function getCollectedFollowers() {
+    return Object.fromEntries(
+      Object.entries(state.followers).filter(([account]) => collectedFollowerAccounts.includes(account.toLowerCase()))
+    );
+  }
 
-    return users.filter(u => {
-      // Only apply filters when we have the data (don't exclude if data is missing)
-      if (minFollowers > 0 && u.followerCount !== undefined) {
-        if (u.followerCount < minFollowers) return false;
-      }
-      if (minTweets > 0 && u.tweetCount !== undefined) {
-        if (u.tweetCount < minTweets) return false;
-      }
-      if (minAge > 0 && u.createdAt) {
-        try {
-          const created = new Date(u.createdAt);
-          if (created > minDate) return false;
-        } catch (e) {}
-      }
-      if (requireAvatar && u.avatarUrl) {
-        if (u.avatarUrl.includes('default_profile')) return false;
-      }
-      return true;
-    });
+  // Required accounts that need per-participant verification (no complete follower list)
+  function getAccountsToVerify(requirement) {
+    return getRequirementAccounts(requirement).filter(account => !collectedFollowerAccounts.includes(account));
   }
 
-  async function pickWinners() {
-    showProgress('Picking winners...');
+  // Required accounts plus bonus-entry accounts: everything Verify All checks per participant
+  function getAllAccountsToVerify() {
+    const accounts = getAccountsToVerify(getRequirementTree());
+    const bonus = Object.keys(getEntryWeights().follows)
+      .filter(account => !collectedFollowerAccounts.includes(account) && !accounts.includes(account));
+    return [...accounts, ...bonus];
+  }
 
-    const eligible = calculateEligible();
-    const filtered = applyFilters(eligible);
-    let count = parseInt(winnerCountInput.value) || 1;
+  function getFilters() {
+    return {
+      minFollowers: parseInt(document.getElementById('filter-followers').value) || 0,
+      minTweets: parseInt(document.getElementById('filter-tweets').value) || 0,
+      minAccountAgeDays: parseInt(document.getElementById('filter-age').value) || 0,
+      requireAvatar: document.getElementById('filter-avatar').checked,
+      missingData: document.getElementById('filter-missing').value,
+      botScoreThreshold: normalizeBotScoreThreshold(botScoreInput.value),
+      hosts: getExcludedHosts(),
+      previousWinners: getExcludedWinners(),
+      blacklist: listUsernames.blocklist,
+      allowlist: userLists.allowlistEnabled ? listUsernames.allowlist : null,
+      clusterExclusions: state.clusterExclusions
+    };
+  }
 
-    // Validate count
-    count = Math.max(1, Math.min(count, 100, filtered.length));
+  // Usernames this draw excludes for winning an earlier giveaway
+  function getExcludedWinners(now = Date.now()) {
+    return getPreviousWinners(winnerHistory, { ...previousWinnerRule, now, currentTweetId: state.tweetId });
+  }
 
-    if (filtered.length === 0) {
-      hideProgress();
-      if (eligible.length === 0) {
-        showError('No eligible participants. Make sure to collect data first and check that users meet all requirements.');
-      } else {
-        showError(`All ${eligible.length} eligible participants were filtered out. Try relaxing your filters.`);
+  async function loadWinnerHistory() {
+    try {
+      const saved = await chrome.storage.local.get(['winnerHistory', 'previousWinnerRule']);
+      winnerHistory = normalizeWinnerHistory(saved.winnerHistory);
+      if (saved.previousWinnerRule) {
+        previousWinnerRule = {
+          days: parseInt(saved.previousWinnerRule.days) || 0,
+          tweetIds: Array.isArray(saved.previousWinnerRule.tweetIds) ? saved.previousWinnerRule.tweetIds : []
+        };
       }
-      return;
+    } catch (e) {
+      console.error('Error loading winner history:', e);
     }
+    excludeWinnersDaysInput.value = previousWinnerRule.days;
+    renderPastGiveaways();
+  }
 
-    if (count > filtered.length) {
-      showWarning(`Only ${filtered.length} participants after filters. Picking all of them.`);
-      count = filtered.length;
+  // Record this giveaway's current winners (after a draw or a replacement)
+  async function saveWinnerHistory() {
+    if (!state.tweetId) return;
+    winnerHistory = recordGiveaway(winnerHistory, {
+      tweetId: state.tweetId,
+      drawnAt: state.lastDraw?.drawnAt || Date.now(),
+      winners: state.winners
+    });
+    try {
+      await chrome.storage.local.set({ winnerHistory });
+    } catch (e) {
+      console.error('Error saving winner history:', e);
     }
+  }
 
-    hideError();
-
-    // Crypto shuffle using rejection sampling for unbiased results
-    const shuffled = unbiasedShuffle(filtered);
+  function savePreviousWinnerRule() {
+    previousWinnerRule = {
+      days: Math.max(0, Math.min(parseInt(excludeWinnersDaysInput.value) || 0, MAX_EXCLUDE_DAYS)),
+      tweetIds: Array.from(pastGiveawaysList.querySelectorAll('input:checked')).map(input => input.value)
+    };
+    chrome.storage.local.set({ previousWinnerRule }).catch(() => {});
+    updateUI();
+  }
 
-    // Check if we need to verify followers
-    const requiredFollows = reqFollow.checked ? getFollowAccounts() : [];
+  // Checkbox per recent giveaway (other than this one), titled with its winners
+  function renderPastGiveaways() {
+    pastGiveawaysList.replaceChildren();
 
-    if (requiredFollows.length > 0) {
-      showProgress('Verifying winners follow required accounts...');
-      pickBtn.disabled = true;
+    const past = winnerHistory.filter(entry => entry.tweetId !== state.tweetId).slice(0, PAST_GIVEAWAYS_SHOWN);
+    if (past.length === 0) {
+      pastGiveawaysList.textContent = 'No past giveaways yet';
+      return;
+    }
 
-      try {
-        const verifiedWinners = await verifyAndPickWinners(shuffled, count, requiredFollows);
-        state.winners = verifiedWinners;
-      } catch (e) {
-        showError('Failed to verify followers: ' + e.message);
-        pickBtn.disabled = false;
-        hideProgress();
-        return;
-      }
+    for (const entry of past) {
+      const label = document.createElement('label');
+      label.title = entry.winners.map(u => '@' + u).join(' ');
 
-      pickBtn.disabled = false;
-      hideProgress();
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = entry.tweetId;
+      checkbox.checked = previousWinnerRule.tweetIds.includes(entry.tweetId);
 
-      if (state.winners.length === 0) {
-        showError('No winners found. None of the eligible participants follow the required accounts, or verification failed.');
-        return;
-      }
-    } else {
-      state.winners = shuffled.slice(0, count);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(
+        `${new Date(entry.drawnAt).toLocaleDateString()} · tweet ${entry.tweetId} · ` +
+        `${entry.winners.length} winner${entry.winners.length === 1 ? '' : 's'}`));
+      pastGiveawaysList.appendChild(label);
     }
-
-    state.eligible = eligible;
-    displayWinners();
-    saveState();
   }
 
-  // Verify candidates follow required accounts and return verified winners
-  // Checks one at a time until we have enough winners (avoids unnecessary verification)
-  async function verifyAndPickWinners(candidates, count, requiredAccounts) {
-    const winners = [];
-    const failed = [];
-    const errors = [];
-
-    for (let i = 0; i < candidates.length && winners.length < count; i++) {
-      const candidate = candidates[i];
-      showProgress(`Verifying @${candidate.username} (${winners.length}/${count} winners, checked ${i + 1})...`);
+  // The giveaway's own accounts, or none when the exclusion is off
+  function getExcludedHosts() {
+    if (!hostExclusion.enabled) return [];
+    return getHostUsernames({
+      author: state.tweetAuthor,
+      requiredAccounts: getRequirementAccounts(getRequirementTree()),
+      team: hostExclusion.team
+    });
+  }
 
-      try {
-        const result = await checkUserFollows(candidate.username, requiredAccounts);
-        if (result.followsAll) {
-          winners.push(candidate);
-        } else if (result.results) {
-          // Track which accounts they don't follow
-          const notFollowing = Object.entries(result.results)
-            .filter(([_, follows]) => !follows)
-            .map(([account]) => account);
-          failed.push({ username: candidate.username, notFollowing });
-        } else if (result.error) {
-          errors.push({ username: candidate.username, error: result.error });
-        }
-      } catch (e) {
-        errors.push({ username: candidate.username, error: e.message });
+  async function loadHostExclusion() {
+    try {
+      const saved = await chrome.storage.local.get(['hostExclusion']);
+      if (saved.hostExclusion) {
+        hostExclusion = {
+          enabled: saved.hostExclusion.enabled !== false,
+          team: Array.isArray(saved.hostExclusion.team) ? parseHandleList(saved.hostExclusion.team.join(' ')).usernames : []
+        };
       }
+    } catch (e) {
+      console.error('Error loading host exclusion:', e);
+    }
+    excludeHostsToggle.checked = hostExclusion.enabled;
+    teamMembersInput.value = hostExclusion.team.map(u => '@' + u).join(' ');
+  }
 
-      // Small delay between checks to avoid rate limiting
-      if (winners.length < count && i < candidates.length - 1) {
-        await sleep(500);
-      }
+  function saveHostExclusion() {
+    hostExclusion = {
+      enabled: excludeHostsToggle.checked,
+      team: parseHandleList(teamMembersInput.value).usernames
+    };
+    chrome.storage.local.set({ hostExclusion }).catch(() => {});
+    debouncedUpdateUI();
+  }
+
+  // Which accounts are excluded as hosts and how many of them would otherwise be in the pool
+  function updateHostSummary(eligible) {
+    if (!hostExclusion.enabled) {
+      hostSummary.textContent = 'Off: the host accounts can win like anyone else.';
+      return;
     }
 
-    // Report issues to user
-    if (winners.length < count) {
-      let message = `Only found ${winners.length} of ${count} winners who follow all required accounts.`;
-      if (failed.length > 0) {
-        message += ` ${failed.length} candidates didn't follow required accounts.`;
-      }
-      if (errors.length > 0) {
-        message += ` ${errors.length} verification(s) failed (API errors).`;
-      }
-      showWarning(message);
+    const required = getRequirementAccounts(getRequirementTree());
+    const parts = [state.tweetAuthor ? `@${state.tweetAuthor} (author)` : 'author not detected yet (open the tweet)'];
+    if (required.length > 0) parts.push(required.map(u => '@' + u).join(', ') + ' (required follows)');
+    if (hostExclusion.team.length > 0) {
+      parts.push(`${hostExclusion.team.length} team member${hostExclusion.team.length === 1 ? '' : 's'}`);
     }
 
-    return winners;
+    const hosts = new Set(getExcludedHosts());
+    const inPool = eligible.filter(u => hosts.has(u.username.toLowerCase())).length;
+    const { invalid } = parseHandleList(teamMembersInput.value);
+    hostSummary.textContent = `Excluding ${parts.join(', ')}. ` +
+      `${inPool.toLocaleString()} of them took part and can't win.` +
+      (invalid.length > 0 ? ` Ignored: ${invalid.slice(0, 3).join(' ')}` : '');
   }
 
-  // Check if a user follows all required accounts
-  // Returns { followsAll: boolean, results?: { account: boolean }, error?: string }
-  async function checkUserFollows(username, requiredAccounts) {
+  async function loadUserLists() {
     try {
-      // Get the user's following list by sending message to content script
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const saved = await chrome.storage.local.get(['userLists']);
+      userLists = {
+        blocklist: normalizeListEntries(saved.userLists?.blocklist),
+        allowlist: normalizeListEntries(saved.userLists?.allowlist),
+        allowlistEnabled: saved.userLists?.allowlistEnabled === true
+      };
+    } catch (e) {
+      console.error('Error loading blocklist/allowlist:', e);
+    }
+    allowlistEnabledToggle.checked = userLists.allowlistEnabled;
+    document.getElementById('block-reasons').replaceChildren(...BLOCK_REASONS.map(reason => {
+      const option = document.createElement('option');
+      option.value = reason;
+      return option;
+    }));
+    renderUserLists();
+  }
+
+  async function saveUserLists() {
+    renderUserLists();
+    updateUI();
+    try {
+      await chrome.storage.local.set({ userLists });
+    } catch (e) {
+      console.error('Error saving blocklist/allowlist:', e);
+    }
+  }
+
+  // Add pasted text or an imported file to the selected list
+  function importListText(text, source = 'the pasted text') {
+    const listName = listTargetSelect.value;
+    const { entries, skipped } = parseListImport(text, listImportReason.value.trim());
+    if (entries.length === 0) {
+      showListStatus(`No usernames found in ${source}`);
+      return;
+    }
+
+    const before = userLists[listName].length;
+    userLists[listName] = mergeListEntries(userLists[listName], entries);
+    listImportText.value = '';
+    saveUserLists();
+
+    const added = userLists[listName].length - before;
+    const parts = [`Added ${added} to the ${listName}`];
+    if (added < entries.length) parts.push(`${entries.length - added} already listed`);
+    if (skipped.length > 0) {
+      parts.push(`skipped ${skipped.length} line${skipped.length === 1 ? '' : 's'} (e.g. "${skipped[0].slice(0, 40)}")`);
+    }
+    showListStatus(parts.join(', '));
+  }
+
+  function showListStatus(message) {
+    listImportStatus.textContent = message;
+    listImportStatus.classList.remove('hidden');
+  }
+
+  function renderUserLists() {
+    listUsernames = {
+      blocklist: getListUsernames(userLists.blocklist),
+      allowlist: getListUsernames(userLists.allowlist)
+    };
+    renderUserList(blocklistEl, blocklistCount, userLists.blocklist, 'blocklist');
+    renderUserList(allowlistEl, allowlistCount, userLists.allowlist, 'allowlist');
+  }
+
+  // One row per user with its reason and a remove button
+  function renderUserList(container, countEl, entries, listName) {
+    container.replaceChildren();
+    countEl.textContent = entries.length > 0 ? `(${entries.length.toLocaleString()})` : '';
+    if (entries.length === 0) {
+      container.textContent = 'Empty';
+      return;
+    }
+
+    for (const entry of entries.slice(0, USER_LIST_SHOWN)) {
+      const row = document.createElement('div');
+      row.className = 'user-list-row';
+
+      const name = document.createElement('span');
+      name.textContent = '@' + entry.username;
+
+      const reason = document.createElement('span');
+      reason.className = 'user-list-reason';
+      reason.textContent = entry.reason;
+      reason.title = entry.reason;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn btn-secondary remove-follow';
+      removeBtn.textContent = '×';
+      removeBtn.dataset.list = listName;
+      removeBtn.dataset.username = entry.username;
+      removeBtn.setAttribute('aria-label', `Remove @${entry.username} from the ${listName}`);
+
+      row.append(name, reason, removeBtn);
+      container.appendChild(row);
+    }
+
+    if (entries.length > USER_LIST_SHOWN) {
+      const more = document.createElement('div');
+      more.className = 'user-list-reason';
+      more.textContent = `…and ${(entries.length - USER_LIST_SHOWN).toLocaleString()} more`;
+      container.appendChild(more);
+    }
+  }
+
+  // Stats preview: users waiting on a profile fetch still count until the draw
+  function getPreviewFilters() {
+    const filters = getFilters();
+    return filters.missingData === 'fetch' ? { ...filters, missingData: 'include' } : filters;
+  }
+
+  // Ask the content script to look up profiles the filters need, then reload collected data
+  async function fetchMissingProfiles(users, filters) {
+    const missing = findUsersMissingData(users, filters);
+    if (missing.length === 0) return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url?.includes('twitter.com') && !tab?.url?.includes('x.com')) {
+      throw new Error('Open Twitter/X in this tab to fetch missing profiles');
+    }
+
+    for (let i = 0; i < missing.length; i += PROFILE_FETCH_BATCH) {
+      showProgress(`Fetching missing profiles... (${i}/${missing.length})`);
+      const batch = missing.slice(i, i + PROFILE_FETCH_BATCH).map(u => u.username);
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'FETCH_PROFILES', usernames: batch });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Profile fetch failed');
+      }
+    }
+
+    await fetchCollectedData();
+  }
+
+  async function pickWinners() {
+    showProgress('Picking winners...');
+
+    const filters = getFilters();
+    // Fair draws measure account age at commit time, so the reveal and the verifier get the same entrants
+    if (fairDrawToggle.checked) {
+      filters.now = drawCommitment && !drawCommitment.revealedAt ? drawCommitment.committedAt : Date.now();
+      filters.previousWinners = getExcludedWinners(filters.now);
+    }
+    const tiersEnabled = useTiersToggle.checked && getTierSettings().length > 0;
+    let eligible = calculateEligible();
+
+    if (filters.missingData === 'fetch') {
+      pickBtn.disabled = true;
+      try {
+        // Tier filters can need profile fields the draw filters don't
+        await fetchMissingProfiles(eligible, tiersEnabled ? getStrictestFilters(filters, getTierSettings()) : filters);
+      } catch (e) {
+        showError('Failed to fetch missing profiles: ' + e.message);
+        pickBtn.disabled = false;
+        hideProgress();
+        return;
+      }
+      pickBtn.disabled = false;
+      eligible = calculateEligible();
+    }
+
+    const filtered = applyFilters(eligible, filters);
+    let count = parseInt(winnerCountInput.value) || 1;
+
+    // Validate count
+    count = Math.max(1, Math.min(count, MAX_TIER_WINNERS, filtered.length));
+
+    if (filtered.length === 0) {
+      hideProgress();
+      if (eligible.length === 0) {
+        showError('No eligible participants. Make sure to collect data first and check that users meet all requirements.');
+      } else {
+        showError(`All ${eligible.length} eligible participants were filtered out. Try relaxing your filters.`);
+      }
+      return;
+    }
+
+    // A plain draw is a single unfiltered tier
+    const tiers = tiersEnabled ? getTierSettings() : createDefaultTiers(count);
+    const totalWinners = tiers.reduce((sum, tier) => sum + tier.count, 0);
+    if (totalWinners > filtered.length) {
+      showWarning(`Only ${filtered.length} participants after filters. Picking all of them.`);
+    }
+
+    // Alternates come right after the winners in the same shuffle
+    const alternateCount = Math.max(0, Math.min(parseInt(alternateCountInput.value) || 0, 20, filtered.length - totalWinners));
+
+    hideError();
+
+    // Everything besides the shuffle that decides who wins what; a fair draw commits to it
+    const requirement = getRequirementTree();
+    const settings = createDrawSettings({
+      requirement,
+      replyRules: getReplyRules(),
+      filters,
+      tiers: tiersEnabled ? tiers : [],
+      winnerCount: totalWinners,
+      alternateCount
+    });
+
+    const weights = getEntryWeights();
+    let shuffled;
+    let tickets = null;
+    if (fairDrawToggle.checked) {
+      shuffled = await runFairDraw(filtered, filters, weights, settings);
+      if (!shuffled) return;
+      tickets = drawCommitment.tickets ? new Map(Object.entries(drawCommitment.tickets)) : null;
+    } else if (hasEntryWeights(weights)) {
+      // Bonus entries: crypto RNG, weighted sampling without replacement
+      tickets = calculateTickets(filtered, weights);
+      shuffled = await weightedShuffle(filtered, tickets, secureRandomInt);
+    } else {
+      // Crypto shuffle using rejection sampling for unbiased results
+      shuffled = unbiasedShuffle(filtered);
+    }
+    if (tickets) {
+      shuffled = shuffled.map(u => ({ ...u, tickets: tickets.get(u.username.toLowerCase()) }));
+    }
+
+    // Check if we need to verify followers
+    const requiredFollows = getRequirementAccounts(requirement);
+
+    let picked;
+    if (requiredFollows.length > 0) {
+      showProgress('Verifying winners follow required accounts...');
+      pickBtn.disabled = true;
+
+      try {
+        picked = await verifyAndPickWinners(shuffled, tiers, filters, requirement, alternateCount);
+      } catch (e) {
+        showError('Failed to verify followers: ' + e.message);
+        pickBtn.disabled = false;
+        hideProgress();
+        return;
+      }
+
+      pickBtn.disabled = false;
+      hideProgress();
+
+      if (picked.winners.length === 0) {
+        showError('No winners found. None of the eligible participants follow the required accounts, or verification failed.');
+        return;
+      }
+    } else {
+      picked = drawTiers(shuffled, tiers, filters, { alternateCount });
+    }
+    warnUnfilledPicks(picked, tiers, alternateCount);
+
+    state.winners = tiersEnabled ? picked.winners : picked.winners.map(({ tier, ...winner }) => winner);
+    state.alternates = picked.alternates;
+    state.replacements = [];
+
+    // Candidates after the last pick replace winners whose claims fall through
+    const lastPick = Math.max(0, ...[...state.winners, ...state.alternates].map(w => w.position));
+    state.remaining = shuffled.slice(lastPick, lastPick + REPLACEMENT_POOL_SIZE)
+      .map((u, i) => ({ ...u, position: lastPick + i + 1 }));
+
+    if (fairDrawToggle.checked) {
+      await revealDrawCommitment(shuffled);
+    }
+
+    // What the receipt describes: the draw as it was run, not the settings at export time
+    const fair = fairDrawToggle.checked && drawCommitment?.revealedAt;
+    const withTickets = w => (tickets ? { ...w, tickets: tickets.get(w.username.toLowerCase()) } : w);
+    state.lastDraw = {
+      drawnAt: Date.now(),
+      requirement: formatRequirement(requirement),
+      // The rule itself, so replacements are checked against it rather than the current settings
+      requirementTree: requirement,
+      replyRules: settings.replyRules,
+      filters,
+      entrantCount: filtered.length,
+      entryWeights: tickets ? (fair ? drawCommitment.entryWeights : weights) : null,
+      ticketCount: tickets ? Array.from(tickets.values()).reduce((sum, count) => sum + count, 0) : 0,
+      rng: fair
+        ? {
+          mode: drawCommitment.source === 'beacon' ? 'beacon' : 'seed',
+          seed: drawCommitment.seed,
+          commitment: drawCommitment.commitment,
+          beaconSource: drawCommitment.beaconSource,
+          beacon: drawCommitment.beacon
+        }
+        : { mode: 'crypto' },
+      tiers: tiersEnabled ? tiers : [],
+      winners: (fair ? drawCommitment.winners : state.winners.map(w => (w.tier ? { username: w.username, tier: w.tier } : { username: w.username })))
+        .map(withTickets),
+      alternates: (fair ? drawCommitment.alternates : state.alternates.map(w => ({ username: w.username }))).map(withTickets),
+      replacements: []
+    };
+
+    state.winners = withClaims(state.winners, Date.now(), parseInt(claimHoursInput.value) || DEFAULT_CLAIM_HOURS);
+    state.eligible = eligible;
+    displayWinners();
+    saveState();
+    saveWinnerHistory();
+    updateUI();
+  }
+
+  // Commit–reveal draw: the first click commits to a fresh seed (or names the beacon), the
+  // entrant list and the draw settings, the next one checks they are unchanged and returns the seeded shuffle.
+  // Returns null when it only committed (or something is missing).
+  async function runFairDraw(entrants, filters, weights, settings) {
+    if (!drawCommitment || drawCommitment.revealedAt) {
+      await commitDraw(entrants, filters, weights, settings);
+      return null;
+    }
+
+    // The committed tickets decide the draw, whatever the bonus-entry settings are now
+    const tickets = drawCommitment.tickets ? new Map(Object.entries(drawCommitment.tickets)) : null;
+    if (await hashEntrants(entrants, tickets) !== drawCommitment.entrantsHash) {
+      hideProgress();
+      showError(`Entrants changed since the commitment (${drawCommitment.entrantCount.toLocaleString()} committed, ` +
+        `${normalizeEntrants(entrants).length.toLocaleString()} now). Restore them or discard the commitment.`);
+      return null;
+    }
+
+    // The rule, filters, prizes and counts can't change after the seed or beacon is known either
+    if (!drawCommitment.settingsHash) {
+      hideProgress();
+      showError('This commitment does not cover the draw settings. Discard it and commit again.');
+      return null;
+    }
+    if (await hashDrawSettings(settings) !== drawCommitment.settingsHash) {
+      hideProgress();
+      showError(`Draw settings changed since the commitment (${getChangedDrawSettings(drawCommitment.settings, settings).join(', ')}). ` +
+        'Restore them or discard the commitment.');
+      return null;
+    }
+
+    if (drawCommitment.source === 'beacon') {
+      const beacon = normalizeBeacon(beaconValueInput.value);
+      if (!beacon) {
+        hideProgress();
+        showError(`Enter the published value of: ${drawCommitment.beaconSource}`);
+        return null;
+      }
+      const { seed, input } = await deriveBeaconSeed(beacon, drawCommitment.entrantsHash);
+      drawCommitment.beacon = beacon;
+      drawCommitment.seedInput = input;
+      drawCommitment.seed = seed;
+      await saveDrawCommitment();
+    }
+
+    showProgress('Drawing with the committed seed...');
+    return tickets
+      ? seededWeightedShuffle(entrants, tickets, drawCommitment.seed)
+      : seededShuffle(entrants, drawCommitment.seed);
+  }
+
+  async function commitDraw(entrants, filters, weights, settings) {
+    const source = fairDrawSource.value;
+    const weighted = hasEntryWeights(weights);
+
+    // Bonus follows of the entrants as verified now; the draw record carries them so the
+    // verifier recomputes the same tickets
+    const entryFollows = {};
+    if (weighted) {
+      const accounts = Object.keys(weights.follows);
+      for (const entrant of entrants) {
+        const results = getFollowResults(followCache, entrant.username, accounts);
+        if (Object.keys(results).length > 0) entryFollows[entrant.username.toLowerCase()] = results;
+      }
+    }
+    const tickets = weighted ? calculateTickets(entrants, weights, entryFollows) : null;
+
+    const base = {
+      tweetId: state.tweetId,
+      source,
+      entrants: normalizeEntrants(entrants),
+      entryWeights: weighted ? weights : null,
+      entryFollows,
+      tickets: tickets ? Object.fromEntries(tickets) : null,
+      settings,
+      settingsHash: await hashDrawSettings(settings),
+      committedAt: filters.now,
+      revealedAt: null,
+      winners: []
+    };
+
+    if (source === 'beacon') {
+      const beaconSource = beaconSourceInput.value.trim();
+      if (!beaconSource) {
+        hideProgress();
+        showError('Describe the beacon first, e.g. "Bitcoin block 900000 hash"');
+        return;
+      }
+      drawCommitment = {
+        ...base,
+        beaconSource,
+        beacon: null,
+        seedInput: null,
+        seed: null,
+        entrantsHash: await hashEntrants(entrants, tickets),
+        entrantCount: base.entrants.length
+      };
+    } else {
+      const seed = generateSeed();
+      drawCommitment = { ...base, seed, ...(await createCommitment(seed, entrants, tickets)) };
+    }
+
+    beaconValueInput.value = '';
+    await saveDrawCommitment();
+    hideProgress();
+    updateUI();
+    showSuccess(source === 'beacon'
+      ? 'Draw committed. Publish it, then enter the beacon value once it is out and click Reveal & Pick.'
+      : 'Draw committed. Publish the commitment, then click Reveal & Pick.');
+  }
+
+  // Record the winners and their positions in the seeded shuffle so the reveal can be checked,
+  // plus the committed rule, filters and tiers and the follow results the draw used (for the exported draw record)
+  async function revealDrawCommitment(shuffled) {
+    const { requirement, replyRules, filters, tiers } = drawCommitment.settings;
+    const accounts = getAccountsToVerify(requirement);
+    const positions = new Map(shuffled.map((u, i) => [u.username.toLowerCase(), i + 1]));
+
+    const withPosition = w => ({
+      username: w.username,
+      position: positions.get(w.username.toLowerCase()),
+      ...(w.tier ? { tier: w.tier } : {})
+    });
+
+    drawCommitment.revealedAt = Date.now();
+    drawCommitment.tiers = tiers;
+    drawCommitment.winners = state.winners.map(withPosition);
+    drawCommitment.alternates = state.alternates.map(withPosition);
+    drawCommitment.replacements = [];
+    drawCommitment.requirement = requirement;
+    drawCommitment.replyRules = replyRules;
+    drawCommitment.filters = filters;
+
+    // Follow results of every candidate up to the last alternate decide who was skipped
+    const lastPosition = Math.max(0, ...[...drawCommitment.winners, ...drawCommitment.alternates].map(w => w.position));
+    drawCommitment.followChecks = {};
+    if (accounts.length > 0) {
+      for (const candidate of shuffled.slice(0, lastPosition)) {
+        const results = getFollowResults(followCache, candidate.username, accounts);
+        if (Object.keys(results).length > 0) {
+          drawCommitment.followChecks[candidate.username.toLowerCase()] = results;
+        }
+      }
+    }
+    await saveDrawCommitment();
+  }
+
+  // Download the revealed draw with everything verify.html needs to re-run it
+  async function exportDrawRecord() {
+    if (!drawCommitment?.revealedAt) return;
+    if (!drawCommitment.settingsHash) {
+      showError('This draw was committed without its settings, so the record would not verify. Commit a new draw.');
+      return;
+    }
+
+    const inputs = {
+      retweeters: state.retweeters,
+      likers: state.likers,
+      repliers: state.repliers,
+      quoters: state.quoters,
+      followers: getCollectedFollowers(),
+      replyRules: drawCommitment.replyRules,
+      requirement: drawCommitment.requirement,
+      filters: drawCommitment.filters,
+      // Entrants' own results only for bonus-entry accounts, which decide tickets but not entry
+      verifiedFollows: {
+        ...getEntrantFollows(getVerifiedFollowMap(followCache), drawCommitment.entrants),
+        ...(drawCommitment.entryFollows || {})
+      },
+      entryWeights: drawCommitment.entryWeights || null
+    };
+
+    // The collected data must still produce the committed entrants (and tickets)
+    const entrants = applyFilters(computeEligible(inputs), inputs.filters);
+    const tickets = inputs.entryWeights ? calculateEntryTickets(entrants, { ...inputs, weights: inputs.entryWeights }) : null;
+    if (await hashEntrants(entrants, tickets) !== drawCommitment.entrantsHash) {
+      showError('Collected data changed since the draw, so the record would not verify. Export before collecting again.');
+      return;
+    }
+
+    const record = buildDrawRecord({
+      draw: drawCommitment,
+      inputs,
+      followChecks: drawCommitment.followChecks,
+      tiers: drawCommitment.tiers || [],
+      winners: drawCommitment.winners,
+      alternates: drawCommitment.alternates || [],
+      replacements: drawCommitment.replacements || [],
+      tickets
+    });
+
+    downloadJson(record, `draw-${drawCommitment.tweetId || 'record'}.json`);
+  }
+
+  function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Per-install receipt signing key, created on first use and kept across giveaways
+  async function loadSigningKey() {
+    const saved = await chrome.storage.local.get(['receiptSigningKey']);
+    if (saved.receiptSigningKey?.privateKey && saved.receiptSigningKey?.publicKey) {
+      return saved.receiptSigningKey;
+    }
+    const signingKey = await generateSigningKey();
+    await chrome.storage.local.set({ receiptSigningKey: signingKey });
+    return signingKey;
+  }
+
+  async function createSignedReceipt() {
+    const draw = state.lastDraw;
+    if (!draw) {
+      throw new Error('Pick winners first');
+    }
+
+    const receipt = await buildReceipt({
+      tweetId: state.tweetId,
+      tweetUrl: tweetUrlInput.value.includes('/status/') ? tweetUrlInput.value : null,
+      requirement: draw.requirement,
+      filters: draw.filters,
+      sources: {
+        retweeters: state.retweeters,
+        likers: state.likers,
+        repliers: state.repliers,
+        quoters: state.quoters
+      },
+      entrantCount: draw.entrantCount,
+      entryWeights: draw.entryWeights || null,
+      ticketCount: draw.ticketCount || 0,
+      rng: draw.rng,
+      tiers: draw.tiers || [],
+      winners: draw.winners,
+      alternates: draw.alternates || [],
+      replacements: draw.replacements || [],
+      drawnAt: draw.drawnAt
+    });
+    return signReceipt(receipt, await loadSigningKey());
+  }
+
+  async function downloadReceipt() {
+    try {
+      const signed = await createSignedReceipt();
+      downloadJson(signed, `receipt-${state.tweetId || 'draw'}.json`);
+    } catch (e) {
+      showError('Failed to create receipt: ' + e.message);
+    }
+  }
+
+  async function copyReceipt() {
+    try {
+      await copyText(formatReceiptText(await createSignedReceipt()), copyReceiptBtn);
+    } catch (e) {
+      showError('Failed to create receipt: ' + e.message);
+    }
+  }
+
+  async function loadDrawCommitment() {
+    try {
+      const saved = await chrome.storage.local.get(['drawCommitment']);
+      return saved.drawCommitment?.tweetId === state.tweetId ? saved.drawCommitment : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function saveDrawCommitment() {
+    try {
+      if (drawCommitment) {
+        await chrome.storage.local.set({ drawCommitment });
+      } else {
+        await chrome.storage.local.remove('drawCommitment');
+      }
+    } catch (e) {
+      console.error('Error saving draw commitment:', e);
+    }
+  }
+
+  async function discardDrawCommitment() {
+    drawCommitment = null;
+    await saveDrawCommitment();
+    updateUI();
+  }
+
+  function updateFairDrawPanel() {
+    const pending = drawCommitment && !drawCommitment.revealedAt;
+
+    if (!fairDrawToggle.checked) {
+      pickBtn.textContent = 'Pick Winners';
+    } else {
+      pickBtn.textContent = pending ? 'Reveal & Pick' : 'Commit Draw';
+    }
+
+    // Seed source and beacon description are chosen before committing, the beacon value after
+    fairDrawOptions.classList.toggle('hidden',
+      !fairDrawToggle.checked || (Boolean(pending) && drawCommitment.source !== 'beacon'));
+    fairDrawSource.classList.toggle('hidden', Boolean(pending));
+    beaconSourceInput.classList.toggle('hidden', Boolean(pending) || fairDrawSource.value !== 'beacon');
+    beaconValueInput.classList.toggle('hidden', !pending || drawCommitment.source !== 'beacon');
+
+    if (!fairDrawToggle.checked || !drawCommitment) {
+      fairDrawPanel.classList.add('hidden');
+      return;
+    }
+
+    const record = {
+      ...drawCommitment,
+      bonusEntries: drawCommitment.entryWeights ? formatEntryWeights(drawCommitment.entryWeights) : null,
+      settingsSummary: drawCommitment.settings ? formatDrawSettings(drawCommitment.settings) : null
+    };
+    fairDrawText.textContent = pending
+      ? formatCommitment(record)
+      : formatReveal(record, drawCommitment.winners, drawCommitment.alternates || []);
+    fairDrawDiscardBtn.classList.toggle('hidden', !pending);
+    fairDrawExportBtn.classList.toggle('hidden', Boolean(pending));
+    fairDrawPanel.classList.remove('hidden');
+  }
+
+  // Fill the tiers and alternates with candidates that satisfy the requirement's follow checks.
+  // Verifies only the candidates the tiers currently pick, in draw order, and redraws around the
+  // ones that fail; pairs already in the follow cache are skipped (so "Pick Again" doesn't re-verify anyone)
+  // Returns drawTiers' result plus how many candidates failed or couldn't be checked
+  async function verifyAndPickWinners(candidates, tiers, filters, requirement, alternateCount = 0) {
+    const requiredAccounts = getAccountsToVerify(requirement);
+    const sourceIndex = buildSourceIndex({
+      retweeters: state.retweeters,
+      likers: state.likers,
+      repliers: state.repliers,
+      quoters: state.quoters,
+      replyRules: getReplyRules(),
+      followers: getCollectedFollowers()
+    });
+    followCache = await loadFollowCache();
+    const cache = followCache;
+    const verified = new Set();
+    const excluded = new Set();
+    let failedCount = 0;
+    let errorCount = 0;
+
+    for (;;) {
+      const picked = drawTiers(candidates, tiers, filters, {
+        isExcluded: u => excluded.has(u.username.toLowerCase()),
+        alternateCount
+      });
+      const picks = [...picked.winners, ...picked.alternates];
+      const batch = picks.filter(u => !verified.has(u.username.toLowerCase()));
+      if (batch.length === 0) {
+        return { ...picked, failedCount, errorCount };
+      }
+      showProgress(`Verifying ${batch.length} candidate(s) (${picks.length - batch.length} picks verified, ` +
+        `${excluded.size} skipped)...`);
 
-      if (!tab?.id) {
-        return { followsAll: false, error: 'No active Twitter tab found' };
+      const pending = getPendingFollowChecks(cache, batch.map(u => u.username), requiredAccounts);
+      if (pending.length > 0) {
+        await runFollowChecks(pending, cache);
+      }
+
+      for (const candidate of batch) {
+        const results = getFollowResults(cache, candidate.username, requiredAccounts);
+        const verdict = evaluateRequirement(requirement, createUserFacts(sourceIndex, candidate.username, results));
+
+        if (verdict === true) {
+          verified.add(candidate.username.toLowerCase());
+        } else {
+          excluded.add(candidate.username.toLowerCase());
+          if (verdict === false) failedCount++;
+          else errorCount++;
+        }
       }
+    }
+  }
+
+  // One warning for tiers, winners or alternates the draw couldn't fill
+  function warnUnfilledPicks({ alternates, filled, failedCount = 0, errorCount = 0 }, tiers, alternateCount) {
+    const short = tiers
+      .map((tier, i) => ({ tier, found: filled[i] }))
+      .filter(({ tier, found }) => found < tier.count);
+    const parts = short.map(({ tier, found }) => tiers.length > 1
+      ? `Only found ${found} of ${tier.count} for "${tier.name}".`
+      : `Only found ${found} of ${tier.count} winners.`);
+    if (alternates.length < alternateCount) {
+      parts.push(`Only found ${alternates.length} of ${alternateCount} alternates.`);
+    }
+    if (parts.length === 0) return;
+
+    if (failedCount > 0) {
+      parts.push(`${failedCount} candidates didn't meet the follow requirements.`);
+    }
+    if (errorCount > 0) {
+      parts.push(`${errorCount} verification(s) failed (API errors).`);
+    }
+    showWarning(parts.join(' '));
+  }
+
+  async function loadFollowCache() {
+    try {
+      const saved = await chrome.storage.local.get(['followCache']);
+      return restoreFollowCache(saved.followCache, state.tweetId);
+    } catch (e) {
+      return restoreFollowCache(null, state.tweetId);
+    }
+  }
+
+  // Check (user, account) pairs through the content script and record the results in the cache
+  async function runFollowChecks(pairs, cache) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    for (let i = 0; i < pairs.length; i += FOLLOW_CHECK_BATCH) {
+      const batch = pairs.slice(i, i + FOLLOW_CHECK_BATCH);
+      let response;
+
+      try {
+        response = tab?.id
+          ? await chrome.tabs.sendMessage(tab.id, { type: 'CHECK_FOLLOWS_BULK', pairs: batch })
+          : { success: false, error: 'No active Twitter tab found' };
+      } catch (e) {
+        response = { success: false, error: 'Content script unavailable: ' + e.message };
+      }
+
+      if (response?.success && Array.isArray(response.results)) {
+        for (const result of response.results) {
+          recordFollowResult(cache, result.username, result.account, result);
+        }
+      } else {
+        for (const pair of batch) {
+          recordFollowResult(cache, pair.username, pair.account, { error: response?.error || 'No response from content script' });
+        }
+      }
+    }
+
+    // Merge so results from a background verify job running at the same time are kept
+    try {
+      const saved = await chrome.storage.local.get(['followCache']);
+      await chrome.storage.local.set({ followCache: mergeFollowCaches(saved.followCache, cache) });
+    } catch (e) {
+      console.error('Error saving follow cache:', e);
+    }
+  }
+
+  // Queue a background job that verifies follows for every eligible participant
+  async function startVerifyAll() {
+    const accounts = getAllAccountsToVerify();
+    const eligible = calculateEligible();
 
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        type: 'CHECK_FOLLOWS',
-        username: username,
-        requiredAccounts: requiredAccounts
+    if (state.isCollecting) {
+      showError('Wait for collection to finish before verifying follows');
+      return;
+    }
+    if (accounts.length === 0 || eligible.length === 0) return;
+
+    hideError();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'START_QUEUE',
+        queue: [{
+          type: 'verify',
+          tweetId: state.tweetId,
+          usernames: eligible.map(u => u.username),
+          accounts
+        }]
       });
+      if (!response?.success || response.queueLength === 0) {
+        showError('Could not start verification');
+      }
+    } catch (e) {
+      showError('Failed to start verification: ' + e.message);
+    }
+  }
 
-      // Return full response object for detailed error reporting
-      return response || { followsAll: false, error: 'No response from content script' };
+  async function toggleVerifyPause() {
+    const type = verifyStatus.status === 'running' ? 'PAUSE_VERIFY' : 'RESUME_VERIFY';
+    try {
+      const response = await chrome.runtime.sendMessage({ type });
+      if (response && !response.success) showError(response.error);
     } catch (e) {
-      return { followsAll: false, error: 'Content script unavailable: ' + e.message };
+      showError('Failed to update verification: ' + e.message);
     }
   }
 
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  function updateVerifySection(eligible) {
+    const accounts = getAllAccountsToVerify();
+    const active = verifyStatus.status !== 'idle' && verifyStatus.tweetId === state.tweetId;
+    const weighted = hasEntryWeights(getEntryWeights());
+
+    // With bonus entries the participant list also shows tickets, even with nothing to verify
+    if ((accounts.length === 0 && !weighted) || (eligible.length === 0 && !active)) {
+      verifySection.classList.add('hidden');
+      return;
+    }
+    verifySection.classList.remove('hidden');
+    verifyActions.classList.toggle('hidden', accounts.length === 0);
+    verifyProgress.classList.toggle('hidden', accounts.length === 0 && !active);
+
+    verifyAllBtn.disabled = verifyStatus.status === 'running' || state.isCollecting;
+    verifyPauseBtn.classList.toggle('hidden', !active || verifyStatus.status === 'complete');
+    verifyPauseBtn.textContent = verifyStatus.status === 'running' ? 'Pause' : 'Resume';
+
+    if (active) {
+      const { status, verified, pairs, errors, users, byAccount, error } = verifyStatus;
+      if (status === 'complete') {
+        const perAccount = Object.entries(byAccount || {})
+          .map(([account, counts]) => `@${account} ${counts.follows.toLocaleString()}/${users.toLocaleString()}`)
+          .join(', ');
+        verifyProgress.textContent = `Verified ${users.toLocaleString()} participants. Following: ${perAccount}.` +
+          (errors > 0 ? ` ${errors} check(s) failed, verify again to retry.` : '');
+      } else {
+        verifyProgress.textContent = `${status === 'running' ? 'Verifying' : 'Paused'}: ` +
+          `${verified.toLocaleString()}/${pairs.toLocaleString()} checks done` +
+          (errors > 0 ? `, ${errors} failed` : '') + (error ? `. ${error}` : '');
+      }
+    }
+
+    renderVerifyTable();
+  }
+
+  // Per-participant follow results, one column per account to verify, plus tickets with bonus entries
+  function renderVerifyTable() {
+    if (!verifyParticipants.open) return;
+
+    const accounts = getAllAccountsToVerify();
+    const users = calculateEligible();
+    const weights = getEntryWeights();
+    const tickets = hasEntryWeights(weights) ? calculateTickets(users, weights) : null;
+
+    verifyTable.replaceChildren();
+
+    const header = document.createElement('tr');
+    for (const label of ['User', ...accounts.map(a => '@' + a), ...(tickets ? ['Tickets'] : [])]) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      header.appendChild(th);
+    }
+    verifyTable.appendChild(header);
+
+    for (const user of users.slice(0, VERIFY_TABLE_LIMIT)) {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = '@' + user.username;
+      row.appendChild(name);
+
+      for (const account of accounts) {
+        const entry = followCache.entries[getFollowCacheKey(user.username, account)];
+        const cell = document.createElement('td');
+        if (entry?.follows === true) {
+          cell.textContent = '✓';
+          cell.className = 'verify-pass';
+        } else if (entry?.follows === false) {
+          cell.textContent = '✗';
+          cell.className = 'verify-fail';
+        } else if (entry?.error) {
+          cell.textContent = '!';
+          cell.className = 'verify-error';
+          cell.title = entry.error;
+        } else {
+          cell.textContent = '…';
+          cell.className = 'verify-pending';
+        }
+        row.appendChild(cell);
+      }
+
+      if (tickets) {
+        const cell = document.createElement('td');
+        cell.textContent = tickets.get(user.username.toLowerCase());
+        row.appendChild(cell);
+      }
+      verifyTable.appendChild(row);
+    }
+
+    if (users.length > VERIFY_TABLE_LIMIT) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = accounts.length + (tickets ? 2 : 1);
+      cell.textContent = `Showing ${VERIFY_TABLE_LIMIT} of ${users.length.toLocaleString()} participants`;
+      row.appendChild(cell);
+      verifyTable.appendChild(row);
+    }
   }
 
   // Unbiased Fisher-Yates shuffle
@@ -756,55 +2391,339 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
+    // Grouped by prize tier when the draw has tiers; numbers stay the winner's slot in the draw
+    const tiers = state.lastDraw?.tiers || [];
+    const groups = tiers.length > 0 ? groupWinnersByTier(state.winners, tiers) : [{ name: null, winners: state.winners }];
+    for (const group of groups) {
+      if (group.name) {
+        const title = document.createElement('div');
+        title.className = 'tier-title';
+        title.textContent = group.name;
+        winnersList.appendChild(title);
+      }
+      for (const winner of group.winners) {
+        const item = createWinnerItem(winner, state.winners.indexOf(winner) + 1);
+        if (winner.claim) {
+          item.querySelector('.winner-info').appendChild(createClaimRow(winner));
+          item.classList.toggle('needs-replacement', needsReplacement(winner));
+        }
+        winnersList.appendChild(item);
+      }
+    }
+
+    alternatesList.innerHTML = '';
+    state.alternates.forEach((alternate, index) => {
+      const item = createWinnerItem(alternate, index + 1);
+      item.classList.add('alternate');
+      alternatesList.appendChild(item);
+    });
+
+    replaceWinnerSelect.innerHTML = '';
     state.winners.forEach((winner, index) => {
-      const item = document.createElement('div');
-      item.className = 'winner-item';
+      const option = document.createElement('option');
+      option.value = winner.username;
+      option.textContent = `${index + 1}. @${winner.username}`;
+      replaceWinnerSelect.appendChild(option);
+    });
 
-      const rank = document.createElement('div');
-      rank.className = 'winner-rank';
-      rank.textContent = index + 1;
+    replacementsList.innerHTML = '';
+    for (const replacement of state.replacements) {
+      const line = document.createElement('div');
+      line.textContent = `Winner ${replacement.slot}: @${replacement.replaced} replaced by @${replacement.promoted} (${replacement.reason})`;
+      replacementsList.appendChild(line);
+    }
 
-      const info = document.createElement('div');
-      info.className = 'winner-info';
+    alternatesBlock.classList.toggle('hidden', state.alternates.length === 0 && state.replacements.length === 0);
+    promoteRow.classList.toggle('hidden', state.alternates.length === 0);
+    replacementsList.classList.toggle('hidden', state.replacements.length === 0);
+    winnersSection.classList.remove('hidden');
+  }
 
-      const link = document.createElement('a');
-      link.href = `https://twitter.com/${encodeURIComponent(winner.username)}`;
-      link.target = '_blank';
-      link.rel = 'noopener noreferrer';
-      link.className = 'winner-link';
+  function createWinnerItem(winner, rankNumber) {
+    const item = document.createElement('div');
+    item.className = 'winner-item';
+
+    const rank = document.createElement('div');
+    rank.className = 'winner-rank';
+    rank.textContent = rankNumber;
+
+    const info = document.createElement('div');
+    info.className = 'winner-info';
+
+    const link = document.createElement('a');
+    link.href = `https://twitter.com/${encodeURIComponent(winner.username)}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'winner-link';
+
+    const username = document.createElement('span');
+    username.className = 'winner-username';
+    username.textContent = '@' + winner.username;
+    link.appendChild(username);
+
+    info.appendChild(link);
+
+    const details = [];
+    if (winner.followerCount !== undefined) details.push(winner.followerCount.toLocaleString() + ' followers');
+    if (winner.tickets) details.push(`${winner.tickets} ticket${winner.tickets === 1 ? '' : 's'}`);
+    if (details.length > 0) {
+      const meta = document.createElement('div');
+      meta.className = 'winner-meta';
+      meta.textContent = details.join(' · ');
+      info.appendChild(meta);
+    }
 
-      const username = document.createElement('span');
-      username.className = 'winner-username';
-      username.textContent = '@' + winner.username;
-      link.appendChild(username);
+    item.appendChild(rank);
+    item.appendChild(info);
+    return item;
+  }
 
-      info.appendChild(link);
+  // Status, deadline and notes of a winner's claim, with a one-click replacement once it falls through
+  function createClaimRow(winner) {
+    const row = document.createElement('div');
+    row.className = 'claim-row';
+
+    const status = document.createElement('select');
+    status.setAttribute('aria-label', `Claim status of @${winner.username}`);
+    for (const value of CLAIM_STATUSES) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+      status.appendChild(option);
+    }
+    status.value = winner.claim.status;
+    status.addEventListener('change', () => updateClaim(winner.username, claim => setClaimStatus(claim, status.value)));
+
+    const deadline = document.createElement('span');
+    deadline.textContent = needsReplacement(winner) || winner.claim.status === 'claimed'
+      ? ''
+      : 'by ' + new Date(winner.claim.deadline).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+    const notes = document.createElement('input');
+    notes.type = 'text';
+    notes.placeholder = 'Notes';
+    notes.value = winner.claim.notes || '';
+    notes.setAttribute('aria-label', `Claim notes for @${winner.username}`);
+    notes.addEventListener('change', () => updateClaim(winner.username, claim => ({ ...claim, notes: notes.value.trim().slice(0, 500) })));
+
+    row.appendChild(status);
+    row.appendChild(deadline);
+    row.appendChild(notes);
+
+    if (needsReplacement(winner)) {
+      const replace = document.createElement('button');
+      replace.className = 'btn btn-secondary';
+      replace.textContent = 'Replace';
+      replace.addEventListener('click', () => replaceWinner(winner.username, replace));
+      row.appendChild(replace);
+    }
+    return row;
+  }
 
-      if (winner.followerCount !== undefined) {
-        const meta = document.createElement('div');
-        meta.className = 'winner-meta';
-        meta.textContent = winner.followerCount.toLocaleString() + ' followers';
-        info.appendChild(meta);
+  function updateClaim(username, update) {
+    try {
+      state.winners = state.winners.map(w => (w.username === username ? { ...w, claim: update(w.claim) } : w));
+      hideError();
+    } catch (e) {
+      showError(e.message);
+    }
+    displayWinners();
+    saveState();
+  }
+
+  // Expire claims whose deadline passed while the popup was closed (the background alarm does the same)
+  function expireOverdueClaims() {
+    const { winners, expired } = expireClaims(state.winners || []);
+    if (expired.length > 0) {
+      state.winners = winners;
+      saveState();
+    }
+  }
+
+  // Replace a winner whose claim expired or who was disqualified with the next shuffled candidate
+  // (alternates first) that still meets the requirement. Follows are checked again, one candidate
+  // at a time, and candidates passed over are recorded with the replacement.
+  async function replaceWinner(username, button) {
+    const winner = state.winners.find(w => w.username === username);
+    if (!winner) return;
+
+    const reason = winner.claim.status === 'expired'
+      ? 'Claim expired'
+      : 'Disqualified' + (winner.claim.notes ? `: ${winner.claim.notes}` : '');
+    const queue = [...state.alternates, ...state.remaining];
+    const { requirement, replyRules } = getDrawRules();
+    const getTierRejection = createTierCheck(winner);
+    const skipped = [];
+
+    button.disabled = true;
+    try {
+      let next = 0;
+      while (next < queue.length) {
+        showProgress(`Checking @${queue[next].username} to replace @${username}...`);
+        const tierRejection = getTierRejection(queue[next]);
+        const verdict = tierRejection
+          ? { ok: false, reason: tierRejection }
+          : await checkReplacementCandidate(queue[next].username, requirement, replyRules);
+        if (verdict.ok) break;
+        skipped.push({ username: queue[next].username, reason: verdict.reason });
+        next++;
+      }
+      if (next >= queue.length) {
+        throw new Error('No candidates left in the shuffle. Pick again to start a new draw.');
       }
 
-      item.appendChild(rank);
-      item.appendChild(info);
-      winnersList.appendChild(item);
+      const result = promoteAlternate({ ...state, alternates: queue }, username, reason, Date.now(), skipped);
+      const alternatesLeft = Math.max(0, state.alternates.length - skipped.length - 1);
+      applyReplacement(result);
+      state.alternates = result.alternates.slice(0, alternatesLeft);
+      state.remaining = result.alternates.slice(alternatesLeft);
+      hideProgress();
+      hideError();
+    } catch (e) {
+      hideProgress();
+      showError('Could not replace @' + username + ': ' + e.message);
+    } finally {
+      button.disabled = false;
+    }
+
+    displayWinners();
+    saveState();
+    updateUI();
+  }
+
+  // Check of whether a candidate may take over a winner's prize tier: (user) => reason, or null when they may
+  // Candidates are judged against the draw's entrants, as drawTiers did; without tiers everyone may
+  function createTierCheck(winner) {
+    const tier = state.lastDraw?.tiers?.find(t => t.name === winner.tier);
+    if (!tier) return () => null;
+    const passes = createFilterPredicate(
+      getTierFilters(state.lastDraw.filters, tier),
+      applyFilters(state.eligible, state.lastDraw.filters)
+    );
+    return user => (passes(user) ? null : `Does not meet the ${tier.name} filters`);
+  }
+
+  // The rule and reply rules the last draw used; replacements must meet those, whatever the
+  // settings say now (draws saved before they were stored fall back to the settings)
+  function getDrawRules() {
+    const draw = state.lastDraw;
+    return {
+      requirement: draw && draw.requirementTree !== undefined ? draw.requirementTree : getRequirementTree(),
+      replyRules: draw?.replyRules !== undefined ? draw.replyRules : getReplyRules()
+    };
+  }
+
+  // Fresh follow check of a replacement candidate through CHECK_FOLLOWS
+  // Returns { ok: true } or { ok: false, reason }; throws when the check itself fails
+  async function checkReplacementCandidate(username, requirement, replyRules) {
+    const accounts = getAccountsToVerify(requirement);
+    if (accounts.length === 0) return { ok: true };
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    let response;
+    try {
+      response = tab?.id
+        ? await chrome.tabs.sendMessage(tab.id, { type: 'CHECK_FOLLOWS', username, requiredAccounts: accounts })
+        : { error: 'No active Twitter tab found' };
+    } catch (e) {
+      response = { error: 'Content script unavailable: ' + e.message };
+    }
+    if (response?.error || !response?.results) {
+      throw new Error(response?.error || 'No response from content script');
+    }
+
+    followCache = await loadFollowCache();
+    for (const account of accounts) {
+      recordFollowResult(followCache, username, account, { follows: response.results[account] === true });
+    }
+    try {
+      const saved = await chrome.storage.local.get(['followCache']);
+      await chrome.storage.local.set({ followCache: mergeFollowCaches(saved.followCache, followCache) });
+    } catch (e) {
+      console.error('Error saving follow cache:', e);
+    }
+
+    const sourceIndex = buildSourceIndex({
+      retweeters: state.retweeters,
+      likers: state.likers,
+      repliers: state.repliers,
+      quoters: state.quoters,
+      replyRules,
+      followers: getCollectedFollowers()
     });
+    const results = getFollowResults(followCache, username, accounts);
+    if (evaluateRequirement(requirement, createUserFacts(sourceIndex, username, results)) === true) {
+      return { ok: true };
+    }
+    const notFollowing = accounts.filter(account => results[account] === false);
+    return { ok: false, reason: `Does not follow ${notFollowing.map(a => '@' + a).join(', ')}` };
+  }
 
-    winnersSection.classList.remove('hidden');
+  // Store a promotion result: new winners get a fresh claim window, and the log follows the draw
+  function applyReplacement(result) {
+    state.winners = withClaims(result.winners, Date.now(), parseInt(claimHoursInput.value) || DEFAULT_CLAIM_HOURS);
+    state.alternates = result.alternates;
+    state.replacements = result.replacements;
+    if (state.lastDraw) {
+      state.lastDraw.replacements = result.replacements;
+    }
+    if (drawCommitment?.revealedAt) {
+      drawCommitment.replacements = result.replacements;
+      saveDrawCommitment();
+    }
+    saveWinnerHistory();
+  }
+
+  // Replace the selected winner with the next alternate and record why
+  // Alternates that don't meet the winner's tier filters are passed over and recorded
+  async function promoteNextAlternate() {
+    const winner = state.winners.find(w => w.username === replaceWinnerSelect.value);
+    const getTierRejection = winner ? createTierCheck(winner) : () => null;
+    const skipped = [];
+    for (const alternate of state.alternates) {
+      const reason = getTierRejection(alternate);
+      if (!reason) break;
+      skipped.push({ username: alternate.username, reason });
+    }
+
+    let result;
+    try {
+      result = promoteAlternate(state, replaceWinnerSelect.value, replaceReasonInput.value, Date.now(), skipped);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+
+    hideError();
+    applyReplacement(result);
+
+    replaceReasonInput.value = '';
+    displayWinners();
+    saveState();
+    updateUI();
   }
 
   async function copyWinners() {
-    const text = state.winners.map((w, i) => `${i + 1}. @${w.username}`).join('\n');
+    const tiers = state.lastDraw?.tiers || [];
+    const text = tiers.length > 0
+      ? groupWinnersByTier(state.winners, tiers)
+        .map(group => `${group.name}:\n` + group.winners.map(w => `@${w.username}`).join('\n'))
+        .join('\n\n')
+      : state.winners.map((w, i) => `${i + 1}. @${w.username}`).join('\n');
+    await copyText(text, copyWinnersBtn);
+  }
+
+  // Copy to the clipboard and briefly confirm on the button that was clicked
+  async function copyText(text, button) {
+    const label = button.textContent;
 
     try {
       await navigator.clipboard.writeText(text);
-      copyWinnersBtn.textContent = 'Copied!';
-      copyWinnersBtn.classList.add('btn-success');
+      button.textContent = 'Copied!';
+      button.classList.add('btn-success');
       setTimeout(() => {
-        copyWinnersBtn.textContent = 'Copy';
-        copyWinnersBtn.classList.remove('btn-success');
+        button.textContent = label;
+        button.classList.remove('btn-success');
       }, 2000);
     } catch (e) {
       showError('Failed to copy. Try selecting and copying manually.');
@@ -814,23 +2733,38 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function resetGiveaway() {
     state = {
       tweetId: null,
+      tweetAuthor: null,
+      clusterExclusions: [],
       retweeters: [],
       likers: [],
+      repliers: [],
+      quoters: [],
       followers: {},
       eligible: [],
       winners: [],
+      alternates: [],
+      remaining: [],
+      replacements: [],
+      lastDraw: null,
       isCollecting: false,
       currentCollection: null
     };
+    resumeQueue = [];
+    drawCommitment = null;
 
     try {
-      await chrome.storage.local.remove(['giveawayState', 'collectedData', 'pendingCollection', 'giveawaySettings']);
+      await chrome.storage.local.remove([
+        'giveawayState', 'collectedData', 'pendingCollection', 'giveawaySettings',
+        'collectionCheckpoints', 'collectionPlan', 'followCache', 'drawCommitment'
+      ]);
+      scheduleClaimChecks();
 
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       await chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_DATA' });
     } catch (e) {}
 
     tweetUrlInput.value = '';
+    renderPastGiveaways();
     winnersSection.classList.add('hidden');
     collectAllBtn.classList.remove('hidden');
     stopBtn.classList.add('hidden');
@@ -844,6 +2778,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       statusLike.className = 'requirement-status status-idle';
       statusLike.textContent = 'Not collected';
     }
+    if (statusReply) {
+      statusReply.className = 'requirement-status status-idle';
+      statusReply.textContent = 'Not collected';
+    }
+    if (statusQuote) {
+      statusQuote.className = 'requirement-status status-idle';
+      statusQuote.textContent = 'Not collected';
+    }
 
     updateUI();
     hideError();
@@ -854,12 +2796,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Update stats
     statRetweeters.textContent = state.retweeters.length.toLocaleString();
     statLikers.textContent = state.likers.length.toLocaleString();
+    statRepliers.textContent = state.repliers.length.toLocaleString();
+    statQuoters.textContent = state.quoters.length.toLocaleString();
 
     const eligible = calculateEligible();
-    const filtered = applyFilters(eligible);
+    const filtered = applyFilters(eligible, getPreviewFilters());
 
     statEligible.textContent = eligible.length.toLocaleString();
     statFiltered.textContent = filtered.length.toLocaleString();
+    updateFilterBreakdown(eligible);
+    updateHostSummary(eligible);
+    renderBotScores(eligible);
+    renderClusters();
+
+    updateReplyRulesSummary();
+    updateRulePreview();
+    updateVerifySection(eligible);
+    updateFairDrawPanel();
 
     // Update status indicators
     if (state.retweeters.length > 0) {
@@ -868,6 +2821,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (state.likers.length > 0) {
       updateCollectionStatus('likers', 'complete', state.likers.length);
     }
+    if (state.repliers.length > 0) {
+      updateCollectionStatus('repliers', 'complete', state.repliers.length);
+    }
+    if (state.quoters.length > 0) {
+      updateCollectionStatus('quoters', 'complete', state.quoters.length);
+    }
 
     // Enable/disable pick button
     pickBtn.disabled = filtered.length === 0;
@@ -875,13 +2834,153 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Update buttons based on collection state
     if (state.isCollecting) {
       collectAllBtn.classList.add('hidden');
+      resumeBtn.classList.add('hidden');
       stopBtn.classList.remove('hidden');
     } else {
       collectAllBtn.classList.remove('hidden');
+      resumeBtn.classList.toggle('hidden', resumeQueue.length === 0);
       stopBtn.classList.add('hidden');
     }
   }
 
+  // Why eligible users were filtered out, most common reason first
+  function updateFilterBreakdown(eligible) {
+    const parts = Object.entries(countFilterRejections(eligible, getPreviewFilters()))
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `${FILTER_REJECTION_LABELS[reason] || reason} (${count.toLocaleString()})`);
+
+    filterBreakdown.textContent = parts.length > 0 ? 'Filtered out: ' + parts.join(', ') : '';
+    filterBreakdown.classList.toggle('hidden', parts.length === 0);
+  }
+
+  // Suspected sockpuppet clusters among everyone collected, with what linked them and the decision taken
+  function renderClusters() {
+    if (!clustersSection.open) return;
+
+    const users = Array.from(mergeUserData(state.quoters, state.repliers, state.likers, state.retweeters).values());
+    clusterReview = findClusters(users).slice(0, CLUSTERS_SHOWN);
+    const reviewed = clusterReview.filter(c => getClusterDecision(c, state.clusterExclusions)).length;
+    clusterCount.textContent = clusterReview.length > 0 ? `(${clusterReview.length} found, ${reviewed} reviewed)` : '';
+
+    clusterList.replaceChildren();
+    if (clusterReview.length === 0) {
+      clusterList.textContent = users.length > 0 ? 'No clusters of similar accounts found' : 'Collect participants first';
+      return;
+    }
+
+    clusterReview.forEach((cluster, index) => {
+      const card = document.createElement('div');
+      card.className = 'cluster-card';
+
+      const evidence = document.createElement('div');
+      evidence.textContent = `${cluster.members.length} accounts · ` + cluster.evidence
+        .map(item => `${CLUSTER_EVIDENCE_LABELS[item.key] || item.key}: ${item.detail}`)
+        .join('; ');
+
+      const members = document.createElement('div');
+      members.className = 'user-list-reason';
+      const names = cluster.members.map(u => '@' + u.username);
+      members.textContent = names.slice(0, CLUSTER_MEMBERS_SHOWN).join(' ') +
+        (names.length > CLUSTER_MEMBERS_SHOWN ? ` +${names.length - CLUSTER_MEMBERS_SHOWN} more` : '');
+      members.title = names.join(' ');
+
+      const decision = getClusterDecision(cluster, state.clusterExclusions);
+      const actions = document.createElement('div');
+      actions.className = 'cluster-actions';
+      const status = document.createElement('span');
+      status.className = decision ? 'verify-fail' : 'verify-pending';
+      status.textContent = {
+        'all': 'All disqualified',
+        'keep-one': `Keeping only @${cluster.members[0].username} (oldest account)`,
+        'partial': 'Some members disqualified'
+      }[decision] || 'Not reviewed';
+      actions.appendChild(status);
+
+      const buttons = decision
+        ? [['undo', 'Undo']]
+        : [['all', 'Disqualify All'], ['keep-one', 'Keep One']];
+      for (const [action, label] of buttons) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary copy-btn';
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.index = index;
+        actions.appendChild(button);
+      }
+
+      card.append(evidence, members, actions);
+      clusterList.appendChild(card);
+    });
+  }
+
+  // Participants with any bot signal, highest score first, marked when the threshold excludes them
+  function renderBotScores(eligible) {
+    if (!botScoresDetails.open) return;
+
+    const threshold = normalizeBotScoreThreshold(botScoreInput.value);
+    const scored = scoreEntrants(eligible).filter(result => result.score > 0);
+    botScoreList.replaceChildren();
+    if (scored.length === 0) {
+      botScoreList.textContent = eligible.length > 0 ? 'No participant has any bot signals' : 'No participants yet';
+      return;
+    }
+
+    for (const result of scored.slice(0, BOT_SCORE_ROWS)) {
+      const row = document.createElement('div');
+      row.className = 'user-list-row';
+
+      const name = document.createElement('span');
+      name.textContent = `@${result.user.username} ${result.score}`;
+      if (threshold > 0 && result.score >= threshold) name.className = 'verify-fail';
+
+      const signals = document.createElement('span');
+      signals.className = 'user-list-reason';
+      signals.textContent = result.signals.map(s => `${s.detail} +${s.points}`).join(', ');
+      signals.title = formatBotScore(result);
+
+      row.append(name, signals);
+      botScoreList.appendChild(row);
+    }
+
+    if (scored.length > BOT_SCORE_ROWS) {
+      const more = document.createElement('div');
+      more.className = 'user-list-reason';
+      more.textContent = `…and ${(scored.length - BOT_SCORE_ROWS).toLocaleString()} more (Copy Breakdown lists all)`;
+      botScoreList.appendChild(more);
+    }
+  }
+
+  // Summarize why replies were rejected, most common reason first
+  function updateReplyRulesSummary() {
+    const rules = getReplyRules();
+
+    if (!reqReply.checked || !hasReplyRules(rules) || state.repliers.length === 0) {
+      replyRulesSummary.classList.add('hidden');
+      return;
+    }
+
+    const { rejected } = applyReplyRules(state.repliers, rules);
+    if (rejected.length === 0) {
+      replyRulesSummary.textContent = `All ${state.repliers.length.toLocaleString()} replies meet the rules.`;
+      replyRulesSummary.classList.remove('hidden');
+      return;
+    }
+
+    const reasonCounts = new Map();
+    rejected.forEach(({ reasons }) => {
+      reasons.forEach(reason => reasonCounts.set(reason, (reasonCounts.get(reason) || 0) + 1));
+    });
+    const topReasons = [...reasonCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason, count]) => `${reason} (${count})`);
+
+    replyRulesSummary.textContent =
+      `${rejected.length.toLocaleString()} of ${state.repliers.length.toLocaleString()} repliers rejected: ${topReasons.join(', ')}`;
+    replyRulesSummary.classList.remove('hidden');
+  }
+
   function showError(msg) {
     errorDiv.textContent = msg;
     errorDiv.className = 'message error-msg';
@@ -0,0 +1,114 @@
+/**
+ * Verifier page script - re-runs an exported draw record offline, or checks a signed receipt
+ *
+ * Uses the picker's own eligibility, filter and shuffle code (lib/audit.js)
+ * Security: Uses textContent/createElement instead of innerHTML
+ */
+
+import { verifyDrawRecord } from './lib/audit.js';
+import { formatEntryWeights } from './lib/eligibility.js';
+import { verifyReceipt, formatReceiptText } from './lib/receipt.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const recordFile = document.getElementById('record-file');
+  const recordText = document.getElementById('record-text');
+  const verifyBtn = document.getElementById('verify-btn');
+  const resultSection = document.getElementById('result-section');
+  const verdict = document.getElementById('verdict');
+  const checksEl = document.getElementById('checks');
+  const summary = document.getElementById('summary');
+
+  recordFile.addEventListener('change', async () => {
+    const file = recordFile.files[0];
+    if (!file) return;
+    recordText.value = await file.text();
+    await verify();
+  });
+
+  verifyBtn.addEventListener('click', verify);
+
+  async function verify() {
+    let record;
+    try {
+      record = JSON.parse(recordText.value);
+    } catch (e) {
+      showResult(false, [{ label: 'Record is valid JSON', ok: false, detail: e.message }], '');
+      return;
+    }
+
+    verifyBtn.disabled = true;
+    verifyBtn.textContent = 'Verifying...';
+    try {
+      if (record?.receipt && record?.signature) {
+        await verifySignedReceipt(record);
+        return;
+      }
+      const result = await verifyDrawRecord(record);
+      showResult(result.ok, result.checks, formatSummary(record, result));
+    } catch (e) {
+      showResult(false, [{ label: 'Record could be re-run', ok: false, detail: e.message }], '');
+    } finally {
+      verifyBtn.disabled = false;
+      verifyBtn.textContent = 'Verify Draw';
+    }
+  }
+
+  // A receipt can't be re-run, but its signature shows it is unedited and which install signed it
+  async function verifySignedReceipt(signed) {
+    const ok = await verifyReceipt(signed);
+    const checks = [{
+      label: 'Receipt signature is valid',
+      ok,
+      detail: `Signing key ID ${signed.signature.keyId}. Compare it with the key ID the host published.`
+    }];
+    showResult(ok, checks, ok ? formatReceiptText(signed) : '', ok
+      ? '✓ This receipt is signed and unedited'
+      : '✗ This receipt was edited or is not signed');
+  }
+
+  function showResult(ok, checks, text, title) {
+    verdict.className = 'verdict ' + (ok ? 'pass' : 'fail');
+    verdict.textContent = title || (ok ? '✓ The published winners match this draw' : '✗ This draw does not verify');
+
+    checksEl.replaceChildren();
+    for (const check of checks) {
+      const row = document.createElement('div');
+      row.className = 'check ' + (check.ok ? 'pass' : 'fail');
+
+      const mark = document.createElement('span');
+      mark.className = 'check-mark';
+      mark.textContent = check.ok ? '✓' : '✗';
+
+      const body = document.createElement('div');
+      const label = document.createElement('div');
+      label.textContent = check.label;
+      const detail = document.createElement('div');
+      detail.className = 'check-detail';
+      detail.textContent = check.detail || '';
+      body.appendChild(label);
+      body.appendChild(detail);
+
+      row.appendChild(mark);
+      row.appendChild(body);
+      checksEl.appendChild(row);
+    }
+
+    summary.textContent = text;
+    resultSection.classList.remove('hidden');
+  }
+
+  function formatSummary(record, result) {
+    const lines = [];
+    if (record.tweetId) lines.push(`Tweet: https://x.com/i/status/${record.tweetId}`);
+    if (record.draw?.committedAt) lines.push(`Committed: ${new Date(record.draw.committedAt).toISOString()}`);
+    if (record.draw?.revealedAt) lines.push(`Revealed: ${new Date(record.draw.revealedAt).toISOString()}`);
+    lines.push(`Entrants after rule and filters: ${result.entrants.length}`);
+    if (result.tickets) {
+      lines.push(`Bonus entries: ${formatEntryWeights(record.inputs.entryWeights)}`);
+      const top = Array.from(result.tickets).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, 5);
+      lines.push('Most tickets: ' + top.map(([username, count]) => `@${username} ${count}`).join(', '));
+    }
+    if (record.draw?.source === 'beacon') lines.push(`Seed source: ${record.draw.beaconSource}`);
+    return lines.join('\n');
+  }
+});